@@ -0,0 +1,154 @@
+// backend/lib/botOptions.mjs
+import fs from "fs";
+import path from "path";
+
+/* -------------------------------------------
+   BOT OPTIONS + PRESETS (what goes into Recall's create-bot payload)
+     botName            display name in the call (null = Recall's default)
+     chatMessage        posted to the meeting chat when the bot joins
+     avatar             data:image/jpeg;base64,... shown as the bot's video
+     language           transcript language (BCP 47, e.g. "en", "pt-BR") or "auto"
+     transcriptionMode  "prioritize_low_latency" | "prioritize_accuracy"
+     recordAudio        also record mixed audio (mp3) for playback/download
+   Recall's low-latency streaming is English-only, so other languages and
+   auto-detect need accuracy mode.
+   Presets are named option sets in <DATA_DIR>/bot-presets.json
+   (PUT /api/bot-presets/:id writes it).
+--------------------------------------------*/
+
+export const DEFAULT_BOT_OPTIONS = {
+  botName: null,
+  chatMessage: null,
+  avatar: null,
+  language: "en",
+  transcriptionMode: "prioritize_low_latency",
+  recordAudio: true,
+};
+
+export const TRANSCRIPTION_MODES = ["prioritize_low_latency", "prioritize_accuracy"];
+
+const MAX_AVATAR_BYTES = 1024 * 1024;
+
+function optionalText(value, max) {
+  const text = String(value ?? "").trim();
+  return text ? text.slice(0, max) : null;
+}
+
+/*
+  Validate options on top of base (defaults, or a preset's options).
+  Returns { options } or { error }.
+*/
+export function validateBotOptions(body, base = DEFAULT_BOT_OPTIONS) {
+  const src = body && typeof body === "object" ? body : {};
+  const options = { ...DEFAULT_BOT_OPTIONS, ...base };
+
+  if (src.botName !== undefined) options.botName = optionalText(src.botName, 100);
+  if (src.chatMessage !== undefined) options.chatMessage = optionalText(src.chatMessage, 500);
+
+  if (src.avatar !== undefined) {
+    const avatar = optionalText(src.avatar, Infinity);
+    if (avatar) {
+      const match = /^data:image\/jpe?g;base64,([A-Za-z0-9+/=]+)$/.exec(avatar);
+      if (!match) return { error: "avatar must be a JPEG data URL (data:image/jpeg;base64,...)" };
+      if (Buffer.byteLength(match[1], "base64") > MAX_AVATAR_BYTES) {
+        return { error: "avatar must be 1 MB or smaller" };
+      }
+    }
+    options.avatar = avatar;
+  }
+
+  if (src.language !== undefined) {
+    const language = String(src.language || "").trim();
+    if (language !== "auto" && !/^[a-z]{2,3}(?:-[a-z0-9]{2,4})?$/i.test(language)) {
+      return { error: 'language must be a language code like "en" or "pt-BR", or "auto"' };
+    }
+    options.language = language;
+  }
+
+  if (src.transcriptionMode !== undefined) {
+    if (!TRANSCRIPTION_MODES.includes(src.transcriptionMode)) {
+      return { error: `transcriptionMode must be one of ${TRANSCRIPTION_MODES.join(", ")}` };
+    }
+    options.transcriptionMode = src.transcriptionMode;
+  }
+
+  if (src.recordAudio !== undefined) options.recordAudio = Boolean(src.recordAudio);
+
+  if (options.transcriptionMode === "prioritize_low_latency" && options.language !== "en") {
+    return {
+      error:
+        options.language === "auto"
+          ? "Auto-detecting the language needs accuracy mode (prioritize_accuracy)"
+          : "Low-latency transcription is English-only; use accuracy mode for other languages",
+    };
+  }
+  return { options };
+}
+
+// For bot state and list rows: the avatar image itself stays out.
+export function describeBotOptions(options) {
+  if (!options) return null;
+  return { ...options, avatar: Boolean(options.avatar) };
+}
+
+/* ---------- presets ---------- */
+
+export function validatePreset(id, body) {
+  if (!/^[a-z0-9_-]{1,40}$/i.test(id || "")) {
+    return { error: "Preset id must be 1-40 letters, digits, '_' or '-'" };
+  }
+  const src = body && typeof body === "object" ? body : {};
+  const { options, error } = validateBotOptions(src.options);
+  if (error) return { error };
+  return { preset: { id, name: String(src.name || id).slice(0, 60), options } };
+}
+
+export function createPresetStore({ file = null } = {}) {
+  const presets = {};
+
+  if (file && fs.existsSync(file)) {
+    try {
+      const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+      for (const [id, body] of Object.entries(raw || {})) {
+        const { preset, error } = validatePreset(id, body);
+        if (error) console.warn(`[Presets] Skipping "${id}" in ${file}: ${error}`);
+        else presets[id] = preset;
+      }
+    } catch (e) {
+      console.error(`[Presets] Could not read ${file}:`, e.message);
+    }
+  }
+
+  function write() {
+    if (!file) return;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const body = {};
+      for (const [id, { name, options }] of Object.entries(presets)) body[id] = { name, options };
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify(body, null, 2));
+      fs.renameSync(`${file}.tmp`, file);
+    } catch (e) {
+      console.error(`[Presets] Failed to write ${file}:`, e.message);
+    }
+  }
+
+  return {
+    get(id) {
+      return presets[id] || null;
+    },
+    list() {
+      return Object.values(presets).sort((a, b) => a.name.localeCompare(b.name));
+    },
+    save(preset) {
+      presets[preset.id] = preset;
+      write();
+      return preset;
+    },
+    remove(id) {
+      if (!presets[id]) return false;
+      delete presets[id];
+      write();
+      return true;
+    },
+  };
+}
@@ -0,0 +1,126 @@
+// backend/lib/botStatus.mjs
+
+/* -------------------------------------------
+   BOT LIFECYCLE (Recall status changes)
+   Recall reports each step of a bot's life as a status code:
+     ready -> joining_call -> in_waiting_room -> in_call_not_recording
+       -> in_call_recording -> call_ended -> done      (or fatal at any point)
+   with an optional sub_code saying why (kicked, wrong passcode, timeouts).
+   They arrive as account webhooks ("bot.<code>", or the older
+   "bot.status_change") and in GET /bot/{id}/ status_changes; both land here.
+   "ended" is ours: the console's End button.
+   state.statusHistory keeps [{ code, subCode, message, at }] oldest first,
+   and state.status always follows its newest entry (a terminal one also
+   sets state.endedAt).
+--------------------------------------------*/
+
+export const TERMINAL_STATUSES = new Set(["call_ended", "done", "fatal", "ended"]);
+
+const MAX_HISTORY = 50;
+
+const STATUS_MESSAGES = {
+  in_waiting_room: "Waiting for the host to admit the bot.",
+  in_call_not_recording: "In the call but not recording yet.",
+  recording_permission_denied: "The host did not allow the bot to record.",
+};
+
+// Why a bot stopped or can't record, by sub_code.
+const SUB_CODE_MESSAGES = {
+  call_ended_by_host: "The host ended the meeting.",
+  call_ended_by_platform_idle: "The platform ended the call for inactivity.",
+  call_ended_by_platform_max_length: "The call hit the platform's maximum length.",
+  call_ended_by_platform_waiting_room_timeout: "Nobody admitted the bot from the waiting room in time.",
+  timeout_exceeded_waiting_room: "Nobody admitted the bot from the waiting room in time.",
+  timeout_exceeded_noone_joined: "Nobody else joined the call.",
+  timeout_exceeded_everyone_left: "Everyone else left the call.",
+  timeout_exceeded_silence_detected: "Left after a long silence.",
+  timeout_exceeded_only_bots_detected_using_participant_events: "Only bots were left in the call.",
+  timeout_exceeded_in_call_not_recording: "Recording never started, so the bot left.",
+  timeout_exceeded_recording_permission_denied: "Recording permission was never granted, so the bot left.",
+  bot_kicked_from_call: "Someone removed the bot from the call.",
+  bot_kicked_from_waiting_room: "Someone removed the bot from the waiting room.",
+  bot_received_leave_call: "Stopped from the console.",
+  bot_errored: "The bot crashed; Recall has the details.",
+  meeting_not_found: "The meeting doesn't exist (check the link).",
+  meeting_not_started: "The meeting hadn't started.",
+  meeting_requires_registration: "The meeting requires registration.",
+  meeting_requires_sign_in: "The meeting only admits signed-in users.",
+  meeting_link_expired: "The meeting link has expired.",
+  meeting_link_invalid: "The meeting link is invalid.",
+  meeting_password_incorrect: "The meeting passcode is wrong or missing from the link.",
+  meeting_locked: "The meeting is locked.",
+  meeting_full: "The meeting is full.",
+  meeting_ended: "The meeting had already ended.",
+  zoom_local_recording_disabled: "Local recording is disabled in the host's Zoom settings.",
+  zoom_local_recording_request_denied_by_host: "The host denied Zoom's recording request.",
+  zoom_host_not_present: "The Zoom host isn't in the call to approve recording.",
+  google_meet_sign_in_failed: "The bot couldn't sign in to Google Meet.",
+};
+
+function humanize(subCode) {
+  const text = String(subCode).replace(/_/g, " ");
+  return `${text.charAt(0).toUpperCase()}${text.slice(1)}.`;
+}
+
+// The sentence the console shows next to the status, or null.
+export function describeStatus({ code, subCode, message } = {}) {
+  if (subCode) return SUB_CODE_MESSAGES[subCode] || message || humanize(subCode);
+  if (message) return message;
+  if (code === "fatal") return "The bot hit an unrecoverable error.";
+  return STATUS_MESSAGES[code] || null;
+}
+
+function change(code, subCode, message, at) {
+  if (!code) return null;
+  return {
+    code: String(code),
+    subCode: subCode || null,
+    message: message || null,
+    at: at || new Date().toISOString(),
+  };
+}
+
+// Webhook payload -> change, or null when it isn't a status event.
+export function statusFromWebhook(event, body) {
+  const outer = body?.data || {};
+  if (event === "bot.status_change") {
+    const status = outer.status || {};
+    return change(status.code, status.sub_code, status.message, status.created_at);
+  }
+  if (typeof event === "string" && event.startsWith("bot.")) {
+    const inner = outer.data || {};
+    return change(inner.code || event.slice(4), inner.sub_code, inner.message, inner.updated_at);
+  }
+  return null;
+}
+
+// GET /bot/{id}/ response -> changes
+export function statusesFromBot(bot) {
+  return (bot?.status_changes || [])
+    .map((s) => change(s.code, s.sub_code, s.message, s.created_at))
+    .filter(Boolean);
+}
+
+/*
+  Record a change; duplicates (webhook + poll) and out-of-order deliveries
+  are fine. Returns true when state.status or its reason changed.
+*/
+export function applyStatusChange(state, next) {
+  if (!next) return false;
+  const history = state.statusHistory || (state.statusHistory = []);
+  if (history.some((h) => h.code === next.code && h.at === next.at)) return false;
+
+  const before = history[history.length - 1];
+  history.push(next);
+  history.sort((a, b) => String(a.at).localeCompare(String(b.at)));
+  if (history.length > MAX_HISTORY) history.splice(0, history.length - MAX_HISTORY);
+
+  const latest = history[history.length - 1];
+  state.status = latest.code;
+  // "done" only means Recall finished processing; keep the reason the call ended.
+  const previous = history[history.length - 2];
+  state.statusReason =
+    describeStatus(latest) || (latest.code === "done" && previous ? describeStatus(previous) : null);
+  if (TERMINAL_STATUSES.has(latest.code) && !state.endedAt) state.endedAt = latest.at;
+  return latest !== before;
+}
@@ -0,0 +1,185 @@
+// backend/lib/calendar.mjs
+import fs from "fs";
+import path from "path";
+import dns from "dns/promises";
+import net from "net";
+import fetch from "node-fetch";
+import { parseIcs, expandEvents } from "./ics.mjs";
+import { PLATFORM_LABELS } from "./meetingLinks.mjs";
+
+/* -------------------------------------------
+   CALENDAR IMPORT (.ics -> scheduled bots)
+   A source is { ics } (uploaded text), { path } (local .ics file) or
+   { url } (http(s)/webcal feed). Each instance in the horizon is matched
+   to the scheduler job carrying its key (job.source.key), so re-importing
+   the same calendar never books a meeting twice:
+     new          no job yet                      -> schedule (opt-in by default)
+     scheduled    job matches the calendar        -> keep
+     moved        time or link changed            -> cancel + schedule again
+     opted_out    job was cancelled or skipped    -> leave alone unless included
+     dispatched   the bot already went            -> keep
+     failed       the last attempt failed         -> retry only when included
+     cancelled    cancelled in the calendar       -> cancel the job
+     no_link      no Zoom / Meet / Teams link     -> nothing to do
+   Excluding an instance records a "skipped" job, which is how the opt-out
+   survives the next import.
+   Only trusted sources (CALENDAR_ICS) may name a local path or a feed on a
+   private address; anything from the HTTP API gets ics text or a public
+   feed. Feeds are capped at MAX_FEED_BYTES either way.
+--------------------------------------------*/
+
+const FETCH_TIMEOUT_MS = 15000;
+const MAX_FEED_BYTES = 5 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+
+// Loopback, private, link-local and CGNAT ranges (IPv4 and IPv6).
+function isPrivateAddress(address) {
+  if (net.isIPv6(address)) {
+    const lower = address.toLowerCase();
+    if (lower.startsWith("::ffff:")) return isPrivateAddress(lower.slice(7));
+    return lower === "::" || lower === "::1" || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower);
+  }
+  const [a, b] = address.split(".").map(Number);
+  return (
+    a === 0 ||
+    a === 10 ||
+    a === 127 ||
+    (a === 100 && b >= 64 && b <= 127) ||
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168)
+  );
+}
+
+async function assertPublicHost(feedUrl) {
+  const hostname = new URL(feedUrl).hostname.replace(/^\[|\]$/g, "");
+  const addresses = await dns.lookup(hostname, { all: true });
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new Error("url must point to a public host");
+  }
+}
+
+// Body as text, refusing anything over MAX_FEED_BYTES.
+async function readCapped(resp) {
+  if (Number(resp.headers.get("content-length")) > MAX_FEED_BYTES) {
+    throw new Error(`Calendar feed is larger than ${MAX_FEED_BYTES / 1024 / 1024} MB`);
+  }
+  const chunks = [];
+  let bytes = 0;
+  for await (const chunk of resp.body) {
+    bytes += chunk.length;
+    if (bytes > MAX_FEED_BYTES) throw new Error(`Calendar feed is larger than ${MAX_FEED_BYTES / 1024 / 1024} MB`);
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+// Redirects are followed by hand so every hop gets the public-host check.
+async function fetchFeed(feedUrl, { trusted, signal }) {
+  let current = feedUrl;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    if (!trusted) await assertPublicHost(current);
+    const resp = await fetch(current, { signal, redirect: "manual" });
+    const location = resp.headers.get("location");
+    if (resp.status >= 300 && resp.status < 400 && location) {
+      current = new URL(location, current).toString();
+      if (!/^https?:\/\//i.test(current)) throw new Error("Calendar feed redirected to a non-http(s) url");
+      continue;
+    }
+    if (!resp.ok) throw new Error(`Calendar feed returned ${resp.status}`);
+    return readCapped(resp);
+  }
+  throw new Error("Calendar feed redirected too many times");
+}
+
+/*
+  Returns the .ics text; throws Error with a readable message.
+  trusted: the source comes from server config, not a request body.
+*/
+export async function readCalendarSource({ ics, path: filePath, url } = {}, { trusted = false } = {}) {
+  if (typeof ics === "string" && ics.trim()) return ics;
+  if (filePath) {
+    if (!trusted) throw new Error("path is only read from CALENDAR_ICS; upload the file instead");
+    const resolved = path.resolve(String(filePath));
+    if (path.extname(resolved).toLowerCase() !== ".ics") {
+      throw new Error("path must point to an .ics file");
+    }
+    return fs.readFileSync(resolved, "utf8");
+  }
+  if (url) {
+    const feedUrl = String(url).trim().replace(/^webcals?:\/\//i, "https://");
+    if (!/^https?:\/\//i.test(feedUrl)) throw new Error("url must be http(s) or webcal");
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+    try {
+      return await fetchFeed(feedUrl, { trusted, signal: controller.signal });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+  throw new Error("Provide ics, path or url");
+}
+
+function latestJobByKey(jobs) {
+  const byKey = new Map();
+  for (const job of jobs) {
+    const key = job.source?.key;
+    if (!key) continue;
+    const prev = byKey.get(key);
+    if (!prev || String(job.createdAt).localeCompare(String(prev.createdAt)) > 0) byKey.set(key, job);
+  }
+  return byKey;
+}
+
+/*
+  Returns { name, events: [{ ...instance, platformLabel, status, selected, action, jobId }] }
+  include / exclude: arrays of instance keys overriding the defaults.
+  action: "schedule" | "reschedule" | "keep" | "cancel" | "opt_out" | "none"
+*/
+export function planCalendarImport(text, jobs, { include = [], exclude = [], fromMs, toMs }) {
+  const { name, events } = parseIcs(text);
+  const byKey = latestJobByKey(jobs);
+  const included = new Set(include);
+  const excluded = new Set(exclude);
+
+  const planned = expandEvents(events, { fromMs, toMs }).map((instance) => {
+    const job = byKey.get(instance.key) || null;
+    let status;
+    if (instance.cancelled) status = "cancelled";
+    else if (!instance.meetingUrl || instance.allDay) status = "no_link";
+    else if (!job) status = "new";
+    else if (job.status === "scheduled") {
+      const same = Date.parse(job.joinAt) === Date.parse(instance.start) && job.meetingUrl === instance.meetingUrl;
+      status = same ? "scheduled" : "moved";
+    } else if (job.status === "cancelled" || job.status === "skipped") status = "opted_out";
+    else if (job.status === "dispatching") status = "dispatched";
+    else status = job.status;
+
+    const defaultOn = status === "new" || status === "scheduled" || status === "moved";
+    const selected =
+      status === "no_link" || status === "cancelled" || status === "dispatched"
+        ? false
+        : excluded.has(instance.key)
+          ? false
+          : included.has(instance.key) || defaultOn;
+
+    let action = "none";
+    if (status === "cancelled") action = job?.status === "scheduled" ? "cancel" : "none";
+    else if (status === "scheduled") action = selected ? "keep" : "cancel";
+    else if (status === "moved") action = selected ? "reschedule" : "cancel";
+    else if (status === "new") action = selected ? "schedule" : "opt_out";
+    else if (status === "opted_out" || status === "failed") action = selected ? "schedule" : "none";
+    else if (status === "dispatched") action = "keep";
+
+    return {
+      ...instance,
+      platformLabel: PLATFORM_LABELS[instance.platform] || null,
+      status,
+      selected,
+      action,
+      jobId: job?.id || null,
+    };
+  });
+
+  return { name, events: planned };
+}
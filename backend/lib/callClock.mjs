@@ -0,0 +1,45 @@
+// backend/lib/callClock.mjs
+
+/* -------------------------------------------
+   CALL CLOCK (where "0:00" of a call is)
+   Export cues and search from/to both count from the call start: the
+   recording's start when there is one (so times line up with the saved
+   audio), else when the bot was created, else the earliest utterance.
+   Utterance startSec/endSec are usually epoch seconds (from Recall's
+   absolute timestamps); values that already look relative (< 2 days, same
+   heuristic as the frontend's formatTimeSec) are used as-is.
+--------------------------------------------*/
+
+const RELATIVE_LIMIT_SEC = 172800;
+
+function isNum(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+function isAbsolute(sec) {
+  return isNum(sec) && sec > RELATIVE_LIMIT_SEC;
+}
+
+// Smallest absolute startSec, or null. A loop, not Math.min(...), so long
+// persisted meetings can't overflow the call stack.
+function earliestAbsoluteStart(transcripts) {
+  return transcripts.reduce(
+    (min, t) => (isAbsolute(t.startSec) && (min === null || t.startSec < min) ? t.startSec : min),
+    null
+  );
+}
+
+// Epoch seconds the call started at (see header), or null.
+export function callOriginSec(state, transcripts = state?.transcripts || []) {
+  for (const iso of [state?.recording?.startedAt, state?.createdAt]) {
+    const ms = Date.parse(iso || "");
+    if (Number.isFinite(ms)) return ms / 1000;
+  }
+  return earliestAbsoluteStart(transcripts);
+}
+
+// Subtract from an utterance's startSec/endSec to get seconds into the call.
+export function callOffsetSec(state, transcripts = state?.transcripts || []) {
+  if (earliestAbsoluteStart(transcripts) === null) return 0;
+  return callOriginSec(state, transcripts) ?? 0;
+}
@@ -0,0 +1,75 @@
+// backend/lib/events.mjs
+import crypto from "crypto";
+
+/* -------------------------------------------
+   PER-BOT SERVER-SENT EVENTS HUB
+   - publish(botId, type, data) assigns a per-bot sequence id, keeps the
+     last `bufferSize` events and fans them out to connected clients.
+     Ids are "<epoch>:<seq>"; the epoch changes every time the hub is
+     created, so an id from before a restart never looks resumable.
+   - subscribe(...) replays everything after Last-Event-ID when it is still
+     in the buffer, otherwise starts the client from a full snapshot.
+--------------------------------------------*/
+const HEARTBEAT_MS = 15000;
+
+function writeEvent(res, evt) {
+  res.write(`id: ${evt.epoch}:${evt.id}\nevent: ${evt.type}\ndata: ${JSON.stringify(evt.data)}\n\n`);
+}
+
+export function createEventHub({ bufferSize = 500, epoch = crypto.randomUUID().slice(0, 8) } = {}) {
+  const channels = new Map(); // botId -> { seq, buffer, clients }
+
+  function channel(botId) {
+    if (!channels.has(botId)) {
+      channels.set(botId, { seq: 0, buffer: [], clients: new Set() });
+    }
+    return channels.get(botId);
+  }
+
+  function publish(botId, type, data) {
+    const ch = channel(botId);
+    ch.seq += 1;
+    const evt = { epoch, id: ch.seq, type, data };
+    ch.buffer.push(evt);
+    if (ch.buffer.length > bufferSize) ch.buffer.shift();
+    for (const res of ch.clients) writeEvent(res, evt);
+    return evt;
+  }
+
+  // getSnapshot is only called when the client cannot be resumed from the buffer.
+  function subscribe(botId, req, res, getSnapshot) {
+    const ch = channel(botId);
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    res.write(`retry: 2000\n\n`);
+
+    const rawLastId = String(req.get("Last-Event-ID") ?? req.query.lastEventId ?? "");
+    const [lastEpoch, lastSeq] = rawLastId.split(":");
+    const lastId = lastEpoch === epoch ? parseInt(lastSeq, 10) : NaN;
+    const oldest = ch.buffer.length ? ch.buffer[0].id : ch.seq + 1;
+    const canResume =
+      Number.isFinite(lastId) && lastId <= ch.seq && lastId >= oldest - 1;
+
+    if (canResume) {
+      ch.buffer.filter((evt) => evt.id > lastId).forEach((evt) => writeEvent(res, evt));
+    } else {
+      writeEvent(res, { epoch, id: ch.seq, type: "snapshot", data: getSnapshot() });
+    }
+
+    ch.clients.add(res);
+    const heartbeat = setInterval(() => res.write(`: ping\n\n`), HEARTBEAT_MS);
+
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      ch.clients.delete(res);
+    });
+  }
+
+  return { publish, subscribe };
+}
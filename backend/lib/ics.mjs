@@ -0,0 +1,375 @@
+// backend/lib/ics.mjs
+import { findMeetingLink } from "./meetingLinks.mjs";
+
+/* -------------------------------------------
+   ICS PARSER (RFC 5545 subset, fully offline)
+   Reads VEVENTs and expands them into dated occurrences:
+     - folded lines, escaped text, quoted parameters
+     - DTSTART/DTEND as UTC ("...Z"), TZID (IANA, or the common Windows
+       names Outlook writes), floating (server local time) or all-day dates
+     - RRULE FREQ=DAILY|WEEKLY with INTERVAL, BYDAY, COUNT, UNTIL; other
+       frequencies yield only their first instance
+     - EXDATE, and RECURRENCE-ID overrides (moved or cancelled instances)
+   VTIMEZONE blocks are ignored; Intl already knows the IANA rules.
+--------------------------------------------*/
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+const WINDOWS_ZONES = {
+  "UTC": "UTC",
+  "GMT Standard Time": "Europe/London",
+  "Greenwich Standard Time": "Atlantic/Reykjavik",
+  "W. Europe Standard Time": "Europe/Berlin",
+  "Central Europe Standard Time": "Europe/Budapest",
+  "Central European Standard Time": "Europe/Warsaw",
+  "Romance Standard Time": "Europe/Paris",
+  "E. Europe Standard Time": "Europe/Chisinau",
+  "FLE Standard Time": "Europe/Kiev",
+  "Russian Standard Time": "Europe/Moscow",
+  "Eastern Standard Time": "America/New_York",
+  "Central Standard Time": "America/Chicago",
+  "Mountain Standard Time": "America/Denver",
+  "US Mountain Standard Time": "America/Phoenix",
+  "Pacific Standard Time": "America/Los_Angeles",
+  "Atlantic Standard Time": "America/Halifax",
+  "E. South America Standard Time": "America/Sao_Paulo",
+  "India Standard Time": "Asia/Kolkata",
+  "China Standard Time": "Asia/Shanghai",
+  "Singapore Standard Time": "Asia/Singapore",
+  "Tokyo Standard Time": "Asia/Tokyo",
+  "Korea Standard Time": "Asia/Seoul",
+  "AUS Eastern Standard Time": "Australia/Sydney",
+  "New Zealand Standard Time": "Pacific/Auckland",
+};
+
+/* ---------- lines + properties ---------- */
+
+function unfold(text) {
+  return String(text || "")
+    .replace(/\r\n?/g, "\n")
+    .replace(/\n[ \t]/g, "")
+    .split("\n");
+}
+
+// "NAME;P=V;Q=\"a:b\":value" -> { name, params, value }
+function parseLine(line) {
+  let inQuote = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuote = !inQuote;
+    else if (line[i] === ":" && !inQuote) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon <= 0) return null;
+  const [name, ...paramParts] = line.slice(0, colon).split(";");
+  const params = {};
+  for (const part of paramParts) {
+    const eq = part.indexOf("=");
+    if (eq > 0) params[part.slice(0, eq).toUpperCase()] = part.slice(eq + 1).replace(/^"|"$/g, "");
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+function unescapeText(value) {
+  return String(value || "").replace(/\\([nN,;\\])/g, (m, c) => (c === "n" || c === "N" ? "\n" : c));
+}
+
+/* ---------- dates ---------- */
+
+const zoneCache = new Map();
+
+// IANA or Windows zone name -> IANA name, or null when Intl doesn't know it.
+function resolveZone(tzid) {
+  const name = String(tzid || "").replace(/^\/+/, "").trim();
+  if (!name) return null;
+  if (zoneCache.has(name)) return zoneCache.get(name);
+  let zone = null;
+  for (const candidate of [name, WINDOWS_ZONES[name]]) {
+    if (!candidate) continue;
+    try {
+      const format = new Intl.DateTimeFormat("en-US", {
+        timeZone: candidate,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      });
+      zone = { name: candidate, format };
+      break;
+    } catch (e) {
+      // not a zone Intl knows; try the next spelling
+    }
+  }
+  if (!zone) console.warn(`[ICS] Unknown TZID "${name}", using server local time`);
+  zoneCache.set(name, zone);
+  return zone;
+}
+
+// How far the zone's wall clock is ahead of UTC at instant ms.
+function zoneOffsetMs(zone, ms) {
+  const parts = {};
+  for (const p of zone.format.formatToParts(new Date(ms))) parts[p.type] = Number(p.value);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(ms / 1000) * 1000;
+}
+
+// wall: [y, mo, d, h, mi, s]; zone: "UTC" | resolved zone | null (floating)
+function wallToMs(wall, zone) {
+  const [y, mo, d, h, mi, s] = wall;
+  if (zone === "UTC") return Date.UTC(y, mo - 1, d, h, mi, s);
+  if (!zone) return new Date(y, mo - 1, d, h, mi, s).getTime();
+  const guess = Date.UTC(y, mo - 1, d, h, mi, s);
+  // Second pass settles times next to a DST change.
+  const first = guess - zoneOffsetMs(zone, guess);
+  return guess - zoneOffsetMs(zone, first);
+}
+
+// Returns { ms, allDay, wall, zone } or null.
+function parseDate(value, params = {}) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(String(value || "").trim());
+  if (!match) return null;
+  const [, y, mo, d, h, mi, s, utc] = match;
+  const allDay = params.VALUE === "DATE" || h === undefined;
+  const wall = [+y, +mo, +d, +(h || 0), +(mi || 0), +(s || 0)];
+  const zone = utc ? "UTC" : allDay ? null : resolveZone(params.TZID);
+  return { ms: wallToMs(wall, zone), allDay, wall, zone };
+}
+
+// "PT1H30M", "P1D" -> ms
+function parseDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(
+    String(value || "").trim()
+  );
+  if (!match) return null;
+  const [, sign, w, d, h, m, s] = match;
+  const ms = ((+(w || 0) * 7 + +(d || 0)) * 86400 + +(h || 0) * 3600 + +(m || 0) * 60 + +(s || 0)) * 1000;
+  return sign === "-" ? -ms : ms;
+}
+
+function parseRrule(value) {
+  const rule = {};
+  for (const part of String(value || "").split(";")) {
+    const [key, val] = part.split("=");
+    if (key && val) rule[key.toUpperCase()] = val.toUpperCase();
+  }
+  return rule.FREQ ? rule : null;
+}
+
+/* ---------- parse ---------- */
+
+/*
+  Returns { name, events: [{ uid, summary, description, location, url,
+    conference, status, start, endMs, rrule, exdates: Set<ms>, recurrenceIdMs }] }
+  start is { ms, allDay, wall, zone }; events without a usable DTSTART are dropped.
+*/
+export function parseIcs(text) {
+  const events = [];
+  const stack = [];
+  let name = null;
+  let current = null;
+  let durationMs = null;
+
+  for (const line of unfold(text)) {
+    if (!line.trim()) continue;
+    const prop = parseLine(line);
+    if (!prop) continue;
+
+    if (prop.name === "BEGIN") {
+      stack.push(prop.value.toUpperCase());
+      if (stack.length === 2 && stack[1] === "VEVENT") {
+        current = { exdates: new Set(), recurrenceIdMs: null, status: null, endMs: null };
+        durationMs = null;
+      }
+      continue;
+    }
+    if (prop.name === "END") {
+      if (stack.length === 2 && stack[1] === "VEVENT" && current) {
+        if (current.start) {
+          if (current.endMs == null) current.endMs = current.start.ms + (durationMs ?? 0);
+          current.uid = current.uid || `${current.summary || "event"}@${current.start.ms}`;
+          events.push(current);
+        }
+        current = null;
+      }
+      stack.pop();
+      continue;
+    }
+
+    if (stack.length === 1 && prop.name === "X-WR-CALNAME") name = unescapeText(prop.value);
+    // Only the VEVENT's own properties; nested VALARMs are skipped.
+    if (!current || stack.length !== 2) continue;
+
+    switch (prop.name) {
+      case "UID":
+        current.uid = prop.value.trim();
+        break;
+      case "SUMMARY":
+        current.summary = unescapeText(prop.value).trim();
+        break;
+      case "DESCRIPTION":
+        current.description = unescapeText(prop.value);
+        break;
+      case "LOCATION":
+        current.location = unescapeText(prop.value);
+        break;
+      case "URL":
+        current.url = prop.value.trim();
+        break;
+      case "X-GOOGLE-CONFERENCE":
+        current.conference = prop.value.trim();
+        break;
+      case "STATUS":
+        current.status = prop.value.trim().toUpperCase();
+        break;
+      case "DTSTART":
+        current.start = parseDate(prop.value, prop.params);
+        break;
+      case "DTEND":
+        current.endMs = parseDate(prop.value, prop.params)?.ms ?? null;
+        break;
+      case "DURATION":
+        durationMs = parseDuration(prop.value);
+        break;
+      case "RRULE":
+        current.rrule = parseRrule(prop.value);
+        break;
+      case "EXDATE":
+        for (const value of prop.value.split(",")) {
+          const date = parseDate(value, prop.params);
+          if (date) current.exdates.add(date.ms);
+        }
+        break;
+      case "RECURRENCE-ID":
+        current.recurrenceIdMs = parseDate(prop.value, prop.params)?.ms ?? null;
+        break;
+      default:
+        break;
+    }
+  }
+
+  return { name, events };
+}
+
+/* ---------- recurrence ---------- */
+
+// Start times (ms) of an event's instances up to toMs. Days are stepped on
+// the event's own wall clock, so a 09:00 standup stays at 09:00 across DST.
+function instanceStarts(event, fromMs, toMs) {
+  const { start, rrule } = event;
+  if (!rrule || (rrule.FREQ !== "DAILY" && rrule.FREQ !== "WEEKLY")) return [start.ms];
+
+  const interval = Math.max(1, parseInt(rrule.INTERVAL || "1", 10) || 1);
+  const count = rrule.COUNT ? parseInt(rrule.COUNT, 10) : Infinity;
+  const untilDate = rrule.UNTIL ? parseDate(rrule.UNTIL) : null;
+  const untilMs = untilDate ? untilDate.ms + (untilDate.allDay ? DAY_MS - 1 : 0) : Infinity;
+  const byDay = rrule.BYDAY
+    ? rrule.BYDAY.split(",").map((v) => WEEKDAYS.indexOf(v.slice(-2))).filter((i) => i >= 0)
+    : null;
+
+  const [, , , h, mi, s] = start.wall;
+  const day0 = Date.UTC(start.wall[0], start.wall[1] - 1, start.wall[2]);
+  const monday0 = day0 - ((new Date(day0).getUTCDay() + 6) % 7) * DAY_MS;
+
+  const out = [];
+  let n = 0;
+  for (let step = 0; step < 100000 && n < count; step++) {
+    let days;
+    if (rrule.FREQ === "DAILY") {
+      days = [day0 + step * interval * DAY_MS];
+    } else {
+      const monday = monday0 + step * interval * 7 * DAY_MS;
+      days = (byDay || [new Date(day0).getUTCDay()])
+        .map((wd) => monday + ((wd + 6) % 7) * DAY_MS)
+        .sort((a, b) => a - b);
+    }
+    for (const dayMs of days) {
+      if (dayMs < day0) continue;
+      if (byDay && rrule.FREQ === "DAILY" && !byDay.includes(new Date(dayMs).getUTCDay())) continue;
+      // Without COUNT, instances well before the window don't need an exact time.
+      if (count === Infinity && dayMs + 2 * DAY_MS < fromMs) continue;
+      const date = new Date(dayMs);
+      const ms = wallToMs(
+        [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), h, mi, s],
+        start.zone
+      );
+      if (ms > untilMs || ms > toMs) return out;
+      out.push(ms);
+      if (++n >= count) return out;
+    }
+  }
+  return out;
+}
+
+function meetingLinkFor(event) {
+  for (const text of [event.location, event.url, event.conference, event.description]) {
+    const link = findMeetingLink(text);
+    if (link) return link;
+  }
+  return null;
+}
+
+/*
+  Expands parsed events into instances starting within [fromMs, toMs].
+  Returns [{ key, uid, title, start, end, allDay, recurring, cancelled,
+             meetingUrl, platform }] sorted by start.
+  key is stable across re-imports: the UID for single events, UID plus the
+  instance's original start for recurring ones (so a moved instance keeps it).
+*/
+export function expandEvents(events, { fromMs, toMs }) {
+  const overrides = new Map();
+  for (const event of events) {
+    if (event.recurrenceIdMs != null) overrides.set(`${event.uid}|${event.recurrenceIdMs}`, event);
+  }
+  const used = new Set();
+  const out = [];
+
+  function push(event, key, startMs, recurring) {
+    if (startMs < fromMs || startMs > toMs) return;
+    const link = meetingLinkFor(event);
+    out.push({
+      key,
+      uid: event.uid,
+      title: event.summary || "(untitled)",
+      start: new Date(startMs).toISOString(),
+      end: new Date(startMs + Math.max(0, event.endMs - event.start.ms)).toISOString(),
+      allDay: event.start.allDay,
+      recurring,
+      cancelled: event.status === "CANCELLED",
+      meetingUrl: link?.url || null,
+      platform: link?.platform || null,
+    });
+  }
+
+  for (const event of events) {
+    if (event.recurrenceIdMs != null) continue;
+    const recurring = Boolean(event.rrule);
+    for (const originalMs of instanceStarts(event, fromMs, toMs)) {
+      if (event.exdates.has(originalMs)) continue;
+      const key = recurring ? `${event.uid}#${new Date(originalMs).toISOString()}` : event.uid;
+      const override = overrides.get(`${event.uid}|${originalMs}`);
+      if (override) {
+        used.add(override);
+        // The override only lists what changed; the rest comes from the series.
+        const merged = { ...event };
+        for (const [field, value] of Object.entries(override)) if (value != null) merged[field] = value;
+        push(merged, key, override.start.ms, recurring);
+      } else {
+        push(event, key, originalMs, recurring);
+      }
+    }
+  }
+  // Overrides whose series instance fell outside the window (or whose
+  // series isn't in this file, as with single-instance invites).
+  for (const override of overrides.values()) {
+    if (used.has(override)) continue;
+    push(override, `${override.uid}#${new Date(override.recurrenceIdMs).toISOString()}`, override.start.ms, true);
+  }
+
+  return out.sort((a, b) => a.start.localeCompare(b.start));
+}
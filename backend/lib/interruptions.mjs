@@ -0,0 +1,162 @@
+// backend/lib/interruptions.mjs
+
+/* -------------------------------------------
+   INTERRUPTION DETECTION (overlapping speech, not fast hand-offs)
+   Works on segments { speaker, startSec, endSec, text? } from two sources:
+     - "words":  a speaker's back-to-back utterances merged into one turn,
+                 timed by Recall's word timestamps (text available)
+     - "speech": speech_on -> speech_off intervals (no text)
+   B interrupts A when B starts while A is still talking and the two overlap
+   for at least minOverlapSec. Short affirmations ("yeah", "mm-hm") are
+   back-channel, not interruptions. An interruption is successful when A
+   stops before B does (B takes the floor), unsuccessful when B gives up first.
+--------------------------------------------*/
+
+const BACKCHANNEL_PHRASES = new Set([
+  "yeah", "yes", "yep", "yup", "ya", "no", "nope", "right", "ok", "okay", "sure",
+  "mm", "mmm", "mhm", "mm-hm", "mm-hmm", "uh-huh", "hm", "hmm", "uh", "um", "ah", "oh",
+  "cool", "nice", "great", "totally", "exactly", "true", "agreed", "indeed", "wow",
+  "got it", "i see", "makes sense", "sounds good", "of course", "for sure",
+]);
+const BACKCHANNEL_MAX_WORDS = 3;
+// An untranscribed overlap this short, inside the other turn, is most likely back-channel.
+const BACKCHANNEL_MAX_SEC = 1;
+// ASR splits one sentence into several utterances; rejoin them into a turn.
+const TURN_MERGE_GAP_SEC = 0.5;
+// speech_on and word timestamps for the same interruption land this close together.
+const SAME_EVENT_WINDOW_SEC = 2;
+const MAX_EVENTS = 20;
+
+function isNum(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+export function isBackchannel(text) {
+  const normalized = String(text || "")
+    .toLowerCase()
+    .replace(/[^a-z\s'-]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (!normalized) return false;
+  if (BACKCHANNEL_PHRASES.has(normalized)) return true;
+  const words = normalized.split(" ");
+  return words.length <= BACKCHANNEL_MAX_WORDS && words.every((w) => BACKCHANNEL_PHRASES.has(w));
+}
+
+// transcripts: resolved utterances with startSec/endSec (seconds, same clock as speech).
+export function transcriptSegments(transcripts) {
+  const timed = transcripts
+    .filter((t) => isNum(t.startSec) && isNum(t.endSec) && t.endSec >= t.startSec)
+    .sort((a, b) => a.startSec - b.startSec);
+
+  const segments = [];
+  const lastBySpeaker = new Map();
+  for (const t of timed) {
+    const speaker = t.speakerName || "Unknown";
+    const last = lastBySpeaker.get(speaker);
+    if (last && t.startSec - last.endSec <= TURN_MERGE_GAP_SEC) {
+      last.endSec = Math.max(last.endSec, t.endSec);
+      last.text = `${last.text} ${t.text || ""}`.trim();
+      continue;
+    }
+    const segment = {
+      speaker,
+      startSec: t.startSec,
+      endSec: t.endSec,
+      text: t.text || "",
+      source: "words",
+    };
+    segments.push(segment);
+    lastBySpeaker.set(speaker, segment);
+  }
+  return segments;
+}
+
+function detect(segments, minOverlapSec) {
+  const sorted = segments
+    .filter((s) => isNum(s.startSec) && isNum(s.endSec) && s.endSec > s.startSec)
+    .sort((a, b) => a.startSec - b.startSec);
+  const events = [];
+  // Earlier segments still running at the current start; stays as small as the crosstalk.
+  let active = [];
+
+  for (const b of sorted) {
+    active = active.filter((c) => c.endSec > b.startSec);
+    // Who held the floor when b started: the other speaker still talking the longest.
+    let a = null;
+    for (const c of active) {
+      if (c.speaker === b.speaker || c.startSec >= b.startSec) continue;
+      // Ties go to the latest starter
+      if (!a || c.endSec >= a.endSec) a = c;
+    }
+    active.push(b);
+    if (!a) continue;
+
+    const overlapSec = Math.min(a.endSec, b.endSec) - b.startSec;
+    if (overlapSec < minOverlapSec) continue;
+
+    const inside = b.endSec <= a.endSec;
+    const backchannel =
+      b.source === "words"
+        ? isBackchannel(b.text)
+        : inside && b.endSec - b.startSec <= BACKCHANNEL_MAX_SEC;
+
+    events.push({
+      atSec: b.startSec,
+      by: b.speaker,
+      of: a.speaker,
+      overlapSec,
+      kind: backchannel ? "backchannel" : "interruption",
+      successful: backchannel ? null : a.endSec <= b.endSec,
+      source: b.source,
+    });
+  }
+  return events;
+}
+
+/*
+  Returns {
+    interruptions, successful, unsuccessful, backchannels,
+    counts { interrupter: n }, matrix { interrupter: { interrupted: n } },
+    backchannelCounts { speaker: n }, events (latest MAX_EVENTS)
+  }
+*/
+export function detectInterruptions({ transcripts = [], speechSegments = [], minOverlapSec = 0.3 }) {
+  const fromWords = detect(transcriptSegments(transcripts), minOverlapSec);
+  const fromSpeech = detect(
+    speechSegments.map((s) => ({ ...s, source: "speech" })),
+    minOverlapSec
+  ).filter(
+    // Keep speech-only overlaps (e.g. interruptions that were never transcribed).
+    (e) =>
+      !fromWords.some(
+        (w) => w.by === e.by && w.of === e.of && Math.abs(w.atSec - e.atSec) <= SAME_EVENT_WINDOW_SEC
+      )
+  );
+  const events = [...fromWords, ...fromSpeech].sort((a, b) => a.atSec - b.atSec);
+
+  const result = {
+    interruptions: 0,
+    successful: 0,
+    unsuccessful: 0,
+    backchannels: 0,
+    counts: {},
+    matrix: {},
+    backchannelCounts: {},
+    events: events.slice(-MAX_EVENTS),
+  };
+  for (const e of events) {
+    if (e.kind === "backchannel") {
+      result.backchannels += 1;
+      result.backchannelCounts[e.by] = (result.backchannelCounts[e.by] || 0) + 1;
+      continue;
+    }
+    result.interruptions += 1;
+    if (e.successful) result.successful += 1;
+    else result.unsuccessful += 1;
+    result.counts[e.by] = (result.counts[e.by] || 0) + 1;
+    result.matrix[e.by] = result.matrix[e.by] || {};
+    result.matrix[e.by][e.of] = (result.matrix[e.by][e.of] || 0) + 1;
+  }
+  return result;
+}
@@ -0,0 +1,446 @@
+// backend/lib/llm.mjs
+import fetch from "node-fetch";
+
+/* -------------------------------------------
+   LLM PROVIDERS (selected by LLM_PROVIDER in .env)
+     openai            -> OpenAI Responses API (default)
+     openai-compatible -> any /chat/completions server (Ollama, llama.cpp, vLLM...)
+     azure             -> Azure OpenAI chat completions deployment
+     stub              -> deterministic canned output, no network (tests/demos)
+
+   Every provider exposes:
+     name, model
+     generate({ purpose, instructions, input, maxOutputTokens, jsonSchema,
+                onDelta, signal })
+       -> { text, finishReason, model }
+   jsonSchema ({ name, schema }) asks for structured output; providers that
+   can't enforce it still get the schema in the prompt, and callers must
+   validate the text either way.
+   onDelta(chunk) switches to the provider's streaming API and receives text
+   as it arrives; the resolved value is the same as without it.
+   signal (AbortSignal) cancels the request; the promise then rejects.
+   Throws LLMError on transport / API failures.
+--------------------------------------------*/
+
+export class LLMError extends Error {
+  constructor(message, { status = 500, details = null } = {}) {
+    super(message);
+    this.name = "LLMError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Extract text from the different response shapes OpenAI-style APIs return
+export function extractOpenAIText(body) {
+  if (!body || typeof body !== "object") return "";
+
+  // 1) responses API (preferred)
+  if (typeof body.output_text === "string" && body.output_text.trim()) {
+    return body.output_text.trim();
+  }
+
+  // 2) responses API object output: output: [{ content: [{ text }] }]
+  if (Array.isArray(body.output)) {
+    const fromOutput = body.output
+      .map((item) => {
+        if (Array.isArray(item?.content)) {
+          return item.content
+            .map((c) => (typeof c?.text === "string" ? c.text : ""))
+            .filter(Boolean)
+            .join("");
+        }
+        if (typeof item?.text === "string") return item.text;
+        return "";
+      })
+      .filter(Boolean)
+      .join("\n")
+      .trim();
+    if (fromOutput) return fromOutput;
+  }
+
+  // 3) Chat Completions style
+  const choiceText = body.choices?.[0]?.message?.content;
+  if (typeof choiceText === "string" && choiceText.trim()) {
+    return choiceText.trim();
+  }
+
+  // 4) Generic strings we sometimes see
+  if (typeof body.output_str === "string" && body.output_str.trim()) {
+    return body.output_str.trim();
+  }
+  if (typeof body.text === "string" && body.text.trim()) {
+    return body.text.trim();
+  }
+
+  return "";
+}
+
+export function extractFinishReason(body) {
+  return (
+    (Array.isArray(body?.output) &&
+      (body.output[0]?.finish_reason ||
+        body.output[body.output.length - 1]?.finish_reason)) ||
+    body?.choices?.[0]?.finish_reason ||
+    body?.finish_reason ||
+    body?.incomplete_details?.reason ||
+    null
+  );
+}
+
+function cancelledError(label) {
+  return new LLMError(`${label} request cancelled`, { status: 499 });
+}
+
+async function send(label, url, headers, payload, signal) {
+  try {
+    return await fetch(url, {
+      method: "POST",
+      headers: { "content-type": "application/json", ...headers },
+      body: JSON.stringify(payload),
+      signal,
+    });
+  } catch (e) {
+    if (e.name === "AbortError") throw cancelledError(label);
+    console.error(`[LLM] Could not reach ${label} at ${url}:`, e.message);
+    throw new LLMError(`Could not reach ${label}`, { status: 502, details: e.message });
+  }
+}
+
+// POST JSON and parse the reply, turning every failure into an LLMError.
+async function postJson(label, url, headers, payload, signal) {
+  const resp = await send(label, url, headers, payload, signal);
+
+  let raw;
+  try {
+    raw = await resp.text();
+  } catch (e) {
+    if (e.name === "AbortError") throw cancelledError(label);
+    throw new LLMError(`Lost connection to ${label}`, { status: 502, details: e.message });
+  }
+  let json = null;
+  try {
+    json = raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    console.error(`[LLM] Non-JSON from ${label}:`, raw.slice(0, 300));
+    throw new LLMError(`Unexpected response from ${label}`, {
+      status: 502,
+      details: raw.slice(0, 300),
+    });
+  }
+
+  if (!resp.ok) {
+    console.error(`[LLM] ${label} error:`, json);
+    throw new LLMError(`${label} error`, { status: 500, details: json });
+  }
+
+  console.log(
+    `[LLM] ${label} status=${resp.status} finish_reason=${
+      extractFinishReason(json) || "unknown"
+    } keys=${Object.keys(json || {}).join(",")}`
+  );
+  return json;
+}
+
+// POST with stream: true and call onData(json) for every SSE `data:` line.
+async function postStream(label, url, headers, payload, signal, onData) {
+  const resp = await send(label, url, headers, payload, signal);
+
+  if (!resp.ok) {
+    const raw = await resp.text().catch(() => "");
+    let details = raw.slice(0, 300);
+    try {
+      details = JSON.parse(raw);
+    } catch (e) {
+      // keep the raw text
+    }
+    console.error(`[LLM] ${label} stream error:`, details);
+    throw new LLMError(`${label} error`, { status: 500, details });
+  }
+
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let events = 0;
+  try {
+    for await (const chunk of resp.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      let nl;
+      while ((nl = buffer.indexOf("\n")) !== -1) {
+        const line = buffer.slice(0, nl).replace(/\r$/, "");
+        buffer = buffer.slice(nl + 1);
+        if (!line.startsWith("data:")) continue;
+        const data = line.slice(5).trim();
+        if (!data || data === "[DONE]") continue;
+        let json;
+        try {
+          json = JSON.parse(data);
+        } catch (e) {
+          console.warn(`[LLM] Skipping non-JSON stream line from ${label}:`, data.slice(0, 120));
+          continue;
+        }
+        events += 1;
+        onData(json);
+      }
+    }
+  } catch (e) {
+    if (e instanceof LLMError) throw e;
+    if (e.name === "AbortError") throw cancelledError(label);
+    throw new LLMError(`Lost connection to ${label}`, { status: 502, details: e.message });
+  }
+
+  console.log(`[LLM] ${label} stream status=${resp.status} events=${events}`);
+}
+
+// Chat Completions stream chunks: choices[0].delta.content + finish_reason.
+async function streamChat(label, url, headers, payload, { signal, onDelta, model }) {
+  let text = "";
+  let finishReason = null;
+  let streamedModel = model;
+  await postStream(label, url, headers, { ...payload, stream: true }, signal, (chunk) => {
+    const choice = chunk.choices?.[0];
+    const delta = choice?.delta?.content;
+    if (typeof delta === "string" && delta) {
+      text += delta;
+      onDelta(delta);
+    }
+    if (choice?.finish_reason) finishReason = choice.finish_reason;
+    if (chunk.model) streamedModel = chunk.model;
+  });
+  return { text: text.trim(), finishReason, model: streamedModel };
+}
+
+function chatMessages(instructions, input) {
+  return [
+    ...(instructions ? [{ role: "system", content: instructions }] : []),
+    { role: "user", content: input },
+  ];
+}
+
+function chatResponseFormat(jsonSchema) {
+  if (!jsonSchema) return {};
+  return {
+    response_format: {
+      type: "json_schema",
+      json_schema: { name: jsonSchema.name, schema: jsonSchema.schema, strict: true },
+    },
+  };
+}
+
+/* -------------------- ADAPTERS -------------------- */
+
+function createOpenAIResponsesProvider(env) {
+  const apiKey = env.OPENAI_API_KEY;
+  if (!apiKey) throw new LLMError("OPENAI_API_KEY missing");
+  const model = env.LLM_MODEL || env.OPENAI_MODEL || "gpt-5-mini";
+  const base = (env.OPENAI_BASE_URL || "https://api.openai.com/v1").replace(/\/+$/, "");
+
+  return {
+    name: "openai",
+    model,
+    async generate({ instructions, input, maxOutputTokens, jsonSchema, onDelta, signal }) {
+      const url = `${base}/responses`;
+      const headers = { Authorization: `Bearer ${apiKey}` };
+      const payload = {
+        model,
+        instructions,
+        input,
+        max_output_tokens: maxOutputTokens,
+        ...(jsonSchema && {
+          text: {
+            format: {
+              type: "json_schema",
+              name: jsonSchema.name,
+              schema: jsonSchema.schema,
+              strict: true,
+            },
+          },
+        }),
+      };
+
+      if (!onDelta) {
+        const json = await postJson("OpenAI", url, headers, payload, signal);
+        return { text: extractOpenAIText(json), finishReason: extractFinishReason(json), model };
+      }
+
+      // Responses streaming: output_text deltas, then a completed/incomplete event.
+      let text = "";
+      let final = null;
+      await postStream("OpenAI", url, headers, { ...payload, stream: true }, signal, (evt) => {
+        if (evt.type === "response.output_text.delta" && typeof evt.delta === "string") {
+          text += evt.delta;
+          onDelta(evt.delta);
+        } else if (evt.type === "response.completed" || evt.type === "response.incomplete") {
+          final = evt.response;
+        } else if (evt.type === "response.failed" || evt.type === "error") {
+          const details = evt.response?.error || evt.error || evt;
+          console.error("[LLM] OpenAI stream failed:", details);
+          throw new LLMError("OpenAI error", { status: 500, details });
+        }
+      });
+      return {
+        text: text.trim() || extractOpenAIText(final),
+        finishReason: extractFinishReason(final),
+        model: final?.model || model,
+      };
+    },
+  };
+}
+
+function createChatCompletionsProvider(env) {
+  const base = (env.LLM_BASE_URL || "").replace(/\/+$/, "");
+  if (!base) throw new LLMError("LLM_BASE_URL missing (e.g. http://localhost:11434/v1)");
+  const model = env.LLM_MODEL;
+  if (!model) throw new LLMError("LLM_MODEL missing");
+  const headers = env.LLM_API_KEY ? { Authorization: `Bearer ${env.LLM_API_KEY}` } : {};
+
+  return {
+    name: "openai-compatible",
+    model,
+    async generate({ instructions, input, maxOutputTokens, jsonSchema, onDelta, signal }) {
+      const url = `${base}/chat/completions`;
+      const payload = {
+        model,
+        messages: chatMessages(instructions, input),
+        max_tokens: maxOutputTokens,
+        ...chatResponseFormat(jsonSchema),
+      };
+      if (onDelta) {
+        return streamChat("LLM server", url, headers, payload, { signal, onDelta, model });
+      }
+      const json = await postJson("LLM server", url, headers, payload, signal);
+      return { text: extractOpenAIText(json), finishReason: extractFinishReason(json), model };
+    },
+  };
+}
+
+function createAzureProvider(env) {
+  const endpoint = (env.AZURE_OPENAI_ENDPOINT || "").replace(/\/+$/, "");
+  const apiKey = env.AZURE_OPENAI_API_KEY;
+  const deployment = env.AZURE_OPENAI_DEPLOYMENT;
+  const apiVersion = env.AZURE_OPENAI_API_VERSION || "2024-10-21";
+  if (!endpoint || !apiKey || !deployment) {
+    throw new LLMError(
+      "AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_KEY and AZURE_OPENAI_DEPLOYMENT are required"
+    );
+  }
+
+  return {
+    name: "azure",
+    model: deployment,
+    async generate({ instructions, input, maxOutputTokens, jsonSchema, onDelta, signal }) {
+      const url = `${endpoint}/openai/deployments/${encodeURIComponent(
+        deployment
+      )}/chat/completions?api-version=${encodeURIComponent(apiVersion)}`;
+      const headers = { "api-key": apiKey };
+      const payload = {
+        messages: chatMessages(instructions, input),
+        max_completion_tokens: maxOutputTokens,
+        ...chatResponseFormat(jsonSchema),
+      };
+      if (onDelta) {
+        return streamChat("Azure OpenAI", url, headers, payload, {
+          signal,
+          onDelta,
+          model: deployment,
+        });
+      }
+      const json = await postJson("Azure OpenAI", url, headers, payload, signal);
+      return {
+        text: extractOpenAIText(json),
+        finishReason: extractFinishReason(json),
+        model: json?.model || deployment,
+      };
+    },
+  };
+}
+
+// Same input -> same output, so UI work and tests don't need a key.
+const STUB_OUTPUTS = {
+  coach: "Invite someone who hasn't spoken yet to share their view.",
+  summary: [
+    "## Overview",
+    "- Stub summary generated without calling an LLM.",
+    "",
+    "## Decisions",
+    "- None recorded.",
+    "",
+    "## Action Items",
+    "- None recorded.",
+    "",
+    "## Inclusivity & Participation",
+    "- See the participation diagnostics for speaking shares.",
+  ].join("\n"),
+};
+
+const STUB_JSON_OUTPUTS = {
+  summary: {
+    overview: ["Stub summary generated without calling an LLM."],
+    decisions: [],
+    actionItems: [],
+    inclusivity: [
+      {
+        finding: "See the participation diagnostics for speaking shares.",
+        severity: "info",
+        speakers: [],
+      },
+    ],
+  },
+};
+
+const STUB_STREAM_CHUNK = 24;
+const STUB_STREAM_DELAY_MS = 20;
+
+function createStubProvider(env) {
+  return {
+    name: "stub",
+    model: "stub",
+    async generate({ purpose, jsonSchema, onDelta, signal }) {
+      const json = jsonSchema && STUB_JSON_OUTPUTS[purpose];
+      const text =
+        env.LLM_STUB_RESPONSE ||
+        (json && JSON.stringify(json)) ||
+        STUB_OUTPUTS[purpose] ||
+        "NO_HINT";
+
+      // Drip the canned text out in small pieces so streaming UIs have something to show.
+      if (onDelta) {
+        for (let i = 0; i < text.length; i += STUB_STREAM_CHUNK) {
+          if (signal?.aborted) throw cancelledError("Stub LLM");
+          onDelta(text.slice(i, i + STUB_STREAM_CHUNK));
+          await new Promise((resolve) => setTimeout(resolve, STUB_STREAM_DELAY_MS));
+        }
+      }
+      if (signal?.aborted) throw cancelledError("Stub LLM");
+      return { text, finishReason: "stop", model: "stub" };
+    },
+  };
+}
+
+const PROVIDERS = {
+  openai: createOpenAIResponsesProvider,
+  "openai-compatible": createChatCompletionsProvider,
+  azure: createAzureProvider,
+  stub: createStubProvider,
+};
+
+/* -------------------- SELECTION (hot reload aware) -------------------- */
+let cached = null;
+
+// Drop the cached provider; the next call re-reads process.env.
+export function resetLLMProvider() {
+  cached = null;
+}
+
+export function getLLMProvider(env = process.env) {
+  if (cached) return cached;
+  const name = (env.LLM_PROVIDER || "openai").trim();
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new LLMError(
+      `Unknown LLM_PROVIDER "${name}" (expected one of: ${Object.keys(PROVIDERS).join(", ")})`
+    );
+  }
+  cached = factory(env);
+  console.log(`[LLM] Using provider=${cached.name} model=${cached.model}`);
+  return cached;
+}
@@ -0,0 +1,157 @@
+// backend/lib/meetingLinks.mjs
+
+/* -------------------------------------------
+   MEETING LINKS (validation, platform detection, normalization)
+   parseMeetingUrl() recognizes the join links Recall can send a bot to:
+     zoom             <sub>.zoom.us/j/<id>?pwd=..., /s/, /w/, /my/<vanity>,
+                      /wc/join/<id>, zoomgov.com, zoommtg://...confno=
+     google_meet      meet.google.com/abc-defg-hij (or the bare code)
+     microsoft_teams  teams.microsoft.com/l/meetup-join/..., /meet/<id>?p=,
+                      teams.live.com/meet/<id>?p=
+     webex            <site>.webex.com/meet/<name>, /<site>/j.php?MTID=,
+                      /join/..., /wbxmjs/joinservice/...
+     gotomeeting      meet.goto.com/<id>, gotomeeting.com/join/<id>,
+                      app.gotomeeting.com/?meetingId=
+   Outlook Safe Links are unwrapped first. Normalized links drop tracking
+   query parameters but keep what joining needs (Zoom pwd, Teams context/p).
+   findMeetingLink() picks the first valid one out of free text (calendar
+   invites also carry dial-in and "learn more" links).
+--------------------------------------------*/
+
+export const PLATFORM_LABELS = {
+  zoom: "Zoom",
+  google_meet: "Google Meet",
+  microsoft_teams: "Microsoft Teams",
+  webex: "Webex",
+  gotomeeting: "GoTo Meeting",
+};
+
+const SUPPORTED = "Use a Zoom, Google Meet, Microsoft Teams, Webex or GoTo Meeting link.";
+
+function fail(platform, error) {
+  return { ok: false, platform, error };
+}
+
+function ok(platform, url, meetingId, passcode = null) {
+  return { ok: true, platform, url, meetingId, passcode };
+}
+
+function hostIs(host, domain) {
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+function parseZoom(url) {
+  const host = url.host;
+  const passcode = url.searchParams.get("pwd") || null;
+  const withPwd = (path) => `https://${host}${path}${passcode ? `?pwd=${encodeURIComponent(passcode)}` : ""}`;
+
+  const id =
+    /^\/(?:j|s|w|wc\/join)\/(\d+)\/?$/.exec(url.pathname)?.[1] ||
+    /^\/wc\/(\d+)\/(?:join|start)\/?$/.exec(url.pathname)?.[1] ||
+    (/^\/join\/?$/.test(url.pathname) ? url.searchParams.get("confno") : null);
+  if (id) {
+    if (id.length < 9 || id.length > 11) {
+      return fail("zoom", `Zoom meeting IDs are 9 to 11 digits; "${id}" has ${id.length}.`);
+    }
+    return ok("zoom", withPwd(`/j/${id}`), id, passcode);
+  }
+  const vanity = /^\/my\/([\w.-]+)\/?$/.exec(url.pathname)?.[1];
+  if (vanity) return ok("zoom", withPwd(`/my/${vanity}`), vanity, passcode);
+  return fail("zoom", "This Zoom link has no meeting in it. Copy the invite link, e.g. https://zoom.us/j/1234567890?pwd=...");
+}
+
+function parseMeet(url) {
+  const code = /^\/([a-z]{3}-[a-z]{4}-[a-z]{3})\/?$/i.exec(url.pathname)?.[1];
+  if (!code) {
+    return fail("google_meet", "Google Meet links look like https://meet.google.com/abc-defg-hij.");
+  }
+  return ok("google_meet", `https://meet.google.com/${code.toLowerCase()}`, code.toLowerCase());
+}
+
+function parseTeams(url) {
+  const passcode = url.searchParams.get("p") || null;
+  if (url.pathname.startsWith("/l/meetup-join/")) {
+    const thread = decodeURIComponent(url.pathname.split("/")[3] || "");
+    return ok("microsoft_teams", url.toString(), thread || null, passcode);
+  }
+  const id = /^\/meet\/(\d+)\/?$/.exec(url.pathname)?.[1];
+  if (id) {
+    if (!passcode) {
+      return fail("microsoft_teams", "Teams meeting-ID links need their passcode (?p=...). Copy the whole join link.");
+    }
+    return ok("microsoft_teams", `https://${url.host}/meet/${id}?p=${encodeURIComponent(passcode)}`, id, passcode);
+  }
+  return fail(
+    "microsoft_teams",
+    "That Teams link isn't a meeting. Use the \"Join the meeting\" link (teams.microsoft.com/l/meetup-join/...)."
+  );
+}
+
+function parseWebex(url) {
+  const mtid = url.searchParams.get("MTID");
+  if (/\/j\.php$/i.test(url.pathname) && mtid) return ok("webex", url.toString(), mtid);
+  const room = /^\/meet\/([\w.-]+)\/?$/i.exec(url.pathname)?.[1];
+  if (room) return ok("webex", `https://${url.host}/meet/${room}`, room);
+  if (/^\/(?:join|wbxmjs\/joinservice)\//i.test(url.pathname)) {
+    return ok("webex", url.toString(), url.pathname.split("/").filter(Boolean).pop());
+  }
+  return fail("webex", "Webex links look like https://<site>.webex.com/meet/<name> or .../j.php?MTID=....");
+}
+
+function parseGoTo(url) {
+  const id =
+    /^\/(?:join\/)?(\d{9})\/?$/.exec(url.pathname)?.[1] || (url.searchParams.get("meetingId") || "").replace(/\D/g, "");
+  if (!id || id.length !== 9) {
+    return fail("gotomeeting", "GoTo Meeting links need the 9-digit meeting ID, e.g. https://meet.goto.com/123456789.");
+  }
+  return ok("gotomeeting", `https://meet.goto.com/${id}`, id);
+}
+
+/*
+  Returns { ok: true, platform, url, meetingId, passcode }
+       or { ok: false, platform, error }  (platform null when unrecognized)
+*/
+export function parseMeetingUrl(input) {
+  let raw = String(input || "")
+    .trim()
+    .replace(/^<|>$/g, "")
+    .replace(/[.,;:!?)\]]+$/, "");
+  if (!raw) return fail(null, "Paste a meeting link.");
+  if (/^[a-z]{3}-[a-z]{4}-[a-z]{3}$/i.test(raw)) raw = `https://meet.google.com/${raw}`;
+  if (/^zoommtg:\/\//i.test(raw)) raw = raw.replace(/^zoommtg:\/\//i, "https://");
+  if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(raw)) raw = `https://${raw}`;
+
+  let url;
+  try {
+    url = new URL(raw);
+  } catch (e) {
+    return fail(null, "That doesn't look like a link.");
+  }
+  if (url.protocol !== "https:" && url.protocol !== "http:") {
+    return fail(null, `Unsupported link type "${url.protocol}". ${SUPPORTED}`);
+  }
+
+  // Outlook Safe Links: https://*.safelinks.protection.outlook.com/?url=<real link>
+  if (hostIs(url.host, "safelinks.protection.outlook.com") && url.searchParams.get("url")) {
+    return parseMeetingUrl(url.searchParams.get("url"));
+  }
+
+  url.protocol = "https:";
+  url.hash = "";
+  const host = url.host.toLowerCase();
+  if (hostIs(host, "zoom.us") || hostIs(host, "zoomgov.com")) return parseZoom(url);
+  if (host === "meet.google.com") return parseMeet(url);
+  if (host === "teams.microsoft.com" || host === "teams.live.com") return parseTeams(url);
+  if (hostIs(host, "webex.com")) return parseWebex(url);
+  if (host === "meet.goto.com" || hostIs(host, "gotomeeting.com")) return parseGoTo(url);
+  return fail(null, `"${host}" isn't a supported meeting platform. ${SUPPORTED}`);
+}
+
+// Returns { url, platform } for the first valid meeting link in text, or null.
+export function findMeetingLink(text) {
+  for (const [candidate] of String(text || "").matchAll(/https?:\/\/[^\s"'<>()[\]]+/gi)) {
+    const parsed = parseMeetingUrl(candidate);
+    if (parsed.ok) return { url: parsed.url, platform: parsed.platform };
+  }
+  return null;
+}
@@ -0,0 +1,167 @@
+// backend/lib/policies.mjs
+import fs from "fs";
+import path from "path";
+
+/* -------------------------------------------
+   INCLUSIVITY POLICY PROFILES
+   Thresholds behind underrepresented / dominant / silence / interruption flags:
+     underrepresentedShare  word share below this is a quiet voice (null = off)
+     dominantShare          one speaker above this dominates (null = off)
+     silenceRatio           silence / call length above this is flagged (null = off)
+     minOverlapSec          talking over someone for at least this long interrupts
+     minSilenceSec          shorter gaps don't count as silence
+   Built-in profiles live here; teams add or override profiles in
+   <DATA_DIR>/policies.json (PUT /api/policies/:id writes it).
+--------------------------------------------*/
+
+export const DEFAULT_POLICY_ID = "default";
+
+const THRESHOLD_KEYS = [
+  "underrepresentedShare",
+  "dominantShare",
+  "silenceRatio",
+  "minOverlapSec",
+  "minSilenceSec",
+];
+const NULLABLE_KEYS = new Set(["underrepresentedShare", "dominantShare", "silenceRatio"]);
+const SHARE_KEYS = new Set(["underrepresentedShare", "dominantShare", "silenceRatio"]);
+
+const BUILTIN_POLICIES = {
+  default: {
+    name: "Team meeting",
+    description: "General-purpose defaults for a working session.",
+    underrepresentedShare: 0.2,
+    dominantShare: 0.6,
+    silenceRatio: 0.35,
+    minOverlapSec: 0.3,
+    minSilenceSec: 2,
+  },
+  brainstorm: {
+    name: "Brainstorm",
+    description: "Everyone should pitch in; flags dominance early, tolerates cross-talk.",
+    underrepresentedShare: 0.15,
+    dominantShare: 0.45,
+    silenceRatio: 0.25,
+    minOverlapSec: 0.75,
+    minSilenceSec: 2,
+  },
+  "1:1": {
+    name: "1:1",
+    description: "Two people; expects a roughly even split and allows thinking pauses.",
+    underrepresentedShare: 0.3,
+    dominantShare: 0.7,
+    silenceRatio: 0.4,
+    minOverlapSec: 0.3,
+    minSilenceSec: 3,
+  },
+  "all-hands": {
+    name: "All-hands",
+    description: "Presenter-led; only flags long silences and a presenter who never yields.",
+    underrepresentedShare: null,
+    dominantShare: 0.9,
+    silenceRatio: 0.5,
+    minOverlapSec: 0.3,
+    minSilenceSec: 3,
+  },
+  interview: {
+    name: "Interview",
+    description: "Candidate should do most of the talking; only flags a conversation with one voice above 90% of the words.",
+    underrepresentedShare: null,
+    dominantShare: 0.9,
+    silenceRatio: 0.4,
+    minOverlapSec: 0.3,
+    minSilenceSec: 4,
+  },
+};
+
+/*
+  Validate a profile body. Returns { policy } or { error }.
+  Missing thresholds fall back to the default profile.
+*/
+export function validatePolicy(id, body) {
+  if (!/^[a-z0-9:_-]{1,40}$/i.test(id || "")) {
+    return { error: "Policy id must be 1-40 letters, digits, ':', '_' or '-'" };
+  }
+  const src = body && typeof body === "object" ? body : {};
+  const policy = {
+    id,
+    name: String(src.name || id).slice(0, 60),
+    description: String(src.description || "").slice(0, 240),
+  };
+
+  for (const key of THRESHOLD_KEYS) {
+    let value = src[key];
+    if (value === undefined) value = BUILTIN_POLICIES.default[key];
+    if (value === null && NULLABLE_KEYS.has(key)) {
+      policy[key] = null;
+      continue;
+    }
+    value = Number(value);
+    if (!Number.isFinite(value) || value < 0 || (SHARE_KEYS.has(key) && value > 1)) {
+      return {
+        error: `${key} must be ${SHARE_KEYS.has(key) ? "between 0 and 1" : "a non-negative number"}${
+          NULLABLE_KEYS.has(key) ? " (or null to turn it off)" : ""
+        }`,
+      };
+    }
+    policy[key] = value;
+  }
+  return { policy };
+}
+
+export function createPolicyStore({ file = null } = {}) {
+  const custom = {};
+
+  if (file && fs.existsSync(file)) {
+    try {
+      const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+      for (const [id, body] of Object.entries(raw || {})) {
+        const { policy, error } = validatePolicy(id, body);
+        if (error) console.warn(`[Policies] Skipping "${id}" in ${file}: ${error}`);
+        else custom[id] = policy;
+      }
+    } catch (e) {
+      console.error(`[Policies] Could not read ${file}:`, e.message);
+    }
+  }
+
+  function write() {
+    if (!file) return;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const body = {};
+      for (const [id, policy] of Object.entries(custom)) {
+        const { name, description } = policy;
+        body[id] = { name, description };
+        THRESHOLD_KEYS.forEach((key) => (body[id][key] = policy[key]));
+      }
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify(body, null, 2));
+      fs.renameSync(`${file}.tmp`, file);
+    } catch (e) {
+      console.error(`[Policies] Failed to write ${file}:`, e.message);
+    }
+  }
+
+  function get(id) {
+    if (custom[id]) return { ...custom[id], builtin: false };
+    if (BUILTIN_POLICIES[id]) return { id, ...BUILTIN_POLICIES[id], builtin: true };
+    return null;
+  }
+
+  return {
+    get,
+    // Unknown / missing ids (e.g. bots from before profiles existed) get the default.
+    resolve(id) {
+      return get(id || DEFAULT_POLICY_ID) || get(DEFAULT_POLICY_ID);
+    },
+    list() {
+      const ids = [...new Set([...Object.keys(BUILTIN_POLICIES), ...Object.keys(custom)])];
+      return ids.map(get);
+    },
+    save(policy) {
+      custom[policy.id] = policy;
+      write();
+      return get(policy.id);
+    },
+  };
+}
@@ -0,0 +1,94 @@
+// backend/lib/recallSignature.mjs
+import crypto from "crypto";
+
+/* -------------------------------------------
+   RECALL WEBHOOK SIGNATURES
+   Recall signs webhooks Standard-Webhooks style:
+     webhook-id:        msg_...
+     webhook-timestamp: unix seconds
+     webhook-signature: "v1,<base64 sig>" (space separated if several)
+   sig = HMAC-SHA256(secret, `${id}.${timestamp}.${rawBody}`), where a
+   "whsec_" secret is base64 and any other secret is used as plain text.
+--------------------------------------------*/
+
+function secretBytes(secret) {
+  if (secret.startsWith("whsec_")) {
+    return Buffer.from(secret.slice("whsec_".length), "base64");
+  }
+  return Buffer.from(secret, "utf8");
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function computeSignature(secret, id, timestamp, body) {
+  return crypto
+    .createHmac("sha256", secretBytes(secret))
+    .update(`${id}.${timestamp}.${body}`)
+    .digest("base64");
+}
+
+// Headers for a body we send ourselves (simulator / replayer).
+export function signRecallPayload({ secret, id, body, timestamp = Math.floor(Date.now() / 1000) }) {
+  return {
+    "webhook-id": id,
+    "webhook-timestamp": String(timestamp),
+    "webhook-signature": `v1,${computeSignature(secret, id, timestamp, body)}`,
+  };
+}
+
+// Returns { ok: true, id } or { ok: false, reason }.
+export function verifyRecallSignature({
+  secret,
+  headers,
+  rawBody,
+  toleranceSec = 300,
+  nowSec = Math.floor(Date.now() / 1000),
+}) {
+  const id = headers["webhook-id"] || headers["svix-id"];
+  const timestamp = headers["webhook-timestamp"] || headers["svix-timestamp"];
+  const signatureHeader = headers["webhook-signature"] || headers["svix-signature"];
+
+  if (!id || !timestamp || !signatureHeader) {
+    return { ok: false, reason: "missing signature headers" };
+  }
+  if (!rawBody) {
+    return { ok: false, reason: "raw body not captured" };
+  }
+
+  const ts = parseInt(timestamp, 10);
+  if (!Number.isFinite(ts)) {
+    return { ok: false, reason: "invalid timestamp" };
+  }
+  if (Math.abs(nowSec - ts) > toleranceSec) {
+    return { ok: false, reason: `timestamp outside ${toleranceSec}s tolerance` };
+  }
+
+  const expected = computeSignature(secret, id, timestamp, rawBody.toString("utf8"));
+
+  const matches = String(signatureHeader)
+    .split(" ")
+    .map((part) => part.split(","))
+    .some(([version, sig]) => version === "v1" && sig && safeEqual(sig, expected));
+
+  return matches ? { ok: true, id } : { ok: false, reason: "signature mismatch" };
+}
+
+// Remembers message ids seen inside the tolerance window so a captured,
+// correctly signed request can't simply be posted again.
+export function createReplayGuard(windowSec = 300) {
+  const seen = new Map(); // id -> expiresAtMs
+
+  return function isReplay(id) {
+    const now = Date.now();
+    for (const [key, expiresAt] of seen) {
+      if (expiresAt <= now) seen.delete(key);
+    }
+    if (seen.has(id)) return true;
+    seen.set(id, now + windowSec * 1000);
+    return false;
+  };
+}
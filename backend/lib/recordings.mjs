@@ -0,0 +1,115 @@
+// backend/lib/recordings.mjs
+import fs from "fs";
+import path from "path";
+import { pipeline } from "stream/promises";
+
+/* -------------------------------------------
+   POST-CALL MEDIA (Recall recordings + async transcript)
+   After a call Recall processes the bot's recording; once its status is
+   "done", GET /bot/{id}/ lists it with media_shortcuts:
+     audio_mixed.data.download_url   the mixed mp3 (audio_mixed_mp3 in the payload)
+     transcript                      the streaming transcript we already have
+   A refined transcript is requested with
+   POST /recording/{id}/create_transcript/ (provider recallai_async) and
+   polled at GET /transcript/{id}/ until its download_url is ready.
+   The download is [{ participant, words: [{ text, start_timestamp,
+   end_timestamp }] }], turned here into the same utterance shape the
+   transcript.data webhook produces.
+   Files live under <DATA_DIR>/recordings/<botId>/.
+--------------------------------------------*/
+
+// Newest recording on a GET /bot/{id}/ response, or null.
+export function latestRecording(bot) {
+  const recordings = [...(bot?.recordings || [])].sort((a, b) =>
+    String(a.created_at || "").localeCompare(String(b.created_at || ""))
+  );
+  const rec = recordings[recordings.length - 1];
+  if (!rec) return null;
+  const shortcuts = rec.media_shortcuts || {};
+  return {
+    id: rec.id,
+    status: rec.status?.code || "processing",
+    subCode: rec.status?.sub_code || null,
+    // Audio time 0; transcript timestamps are wall-clock, so players offset by this.
+    startedAt: rec.started_at || rec.created_at || null,
+    audioUrl: shortcuts.audio_mixed?.data?.download_url || null,
+  };
+}
+
+// Transcript artifact (create_transcript / GET /transcript/{id}/) -> summary
+export function transcriptArtifact(body) {
+  return {
+    id: body?.id || null,
+    status: body?.status?.code || "processing",
+    subCode: body?.status?.sub_code || null,
+    downloadUrl: body?.data?.download_url || null,
+  };
+}
+
+function seconds(ts) {
+  if (!ts) return null;
+  if (ts.absolute) {
+    const ms = Date.parse(ts.absolute);
+    if (!Number.isNaN(ms)) return ms / 1000;
+  }
+  return typeof ts.relative === "number" ? ts.relative : null;
+}
+
+// Recall transcript download -> utterances ({ id, speakerId, speakerName, text, ... })
+export function utterancesFromTranscript(entries) {
+  const out = [];
+  (Array.isArray(entries) ? entries : []).forEach((entry, idx) => {
+    const words = entry.words || [];
+    const text = words.map((w) => w.text).join(" ").trim();
+    if (!text) return;
+    const first = words[0];
+    const last = words[words.length - 1];
+    const startSec = seconds(first.start_timestamp);
+    const endSec = seconds(last.end_timestamp) ?? seconds(last.start_timestamp) ?? startSec;
+    out.push({
+      id: `async-${idx}`,
+      speakerId: entry.participant?.id ?? null,
+      speakerName: entry.participant?.name || "Unknown",
+      text,
+      createdAt: first.start_timestamp?.absolute || null,
+      startSec,
+      endSec,
+      durationSec: startSec !== null && endSec !== null ? Math.max(0, endSec - startSec) : null,
+    });
+  });
+  return out;
+}
+
+const EXTENSIONS = {
+  "audio/mpeg": "mp3",
+  "audio/mp3": "mp3",
+  "audio/wav": "wav",
+  "audio/x-wav": "wav",
+  "audio/mp4": "m4a",
+};
+
+export function createMediaStore({ dir }) {
+  function dirFor(botId) {
+    // Ids are never trusted as path segments: encoding takes care of "/",
+    // but "." and ".." come through unchanged and would leave the directory.
+    const segment = encodeURIComponent(botId);
+    if (!segment || segment === "." || segment === "..") throw new Error(`Invalid bot id "${botId}"`);
+    return path.join(dir, segment);
+  }
+
+  return {
+    pathFor(botId, file) {
+      return path.join(dirFor(botId), path.basename(file));
+    },
+    // Stream a fetch() response to disk; returns { file, contentType, bytes }.
+    async save(botId, name, resp) {
+      const contentType = (resp.headers.get("content-type") || "audio/mpeg").split(";")[0].trim();
+      const file = `${name}.${EXTENSIONS[contentType] || "bin"}`;
+      const target = path.join(dirFor(botId), file);
+      fs.mkdirSync(dirFor(botId), { recursive: true });
+      await pipeline(resp.body, fs.createWriteStream(`${target}.tmp`));
+      fs.renameSync(`${target}.tmp`, target);
+      return { file, contentType, bytes: fs.statSync(target).size };
+    },
+  };
+}
@@ -0,0 +1,246 @@
+// backend/lib/scenario.mjs
+import fs from "fs";
+import crypto from "crypto";
+import fetch from "node-fetch";
+import { signRecallPayload } from "./recallSignature.mjs";
+
+/* -------------------------------------------
+   SCENARIO FILES (offline Recall simulation)
+   {
+     "name": "Daily standup",
+     "participants": [{ "id": 100, "name": "Alice", "is_host": true }],
+     "events": [
+       { "at": 0,  "type": "status",    "code": "in_call_recording" },
+       { "at": 0,  "type": "join",      "participant": 100 },
+       { "at": 2,  "type": "utterance", "participant": 100, "text": "...", "duration": 4 },
+       { "at": 9,  "type": "update",    "participant": 100, "name": "Alice B." },
+       { "at": 60, "type": "leave",     "participant": 100 }
+     ]
+   }
+   - "at"/"duration" are seconds from the start of the call.
+   - utterances expand to speech_on, transcript.partial_data (growing),
+     transcript.data with per-word timestamps, then speech_off.
+     Set "speech": false on an utterance to skip the speech events.
+   - "speech_on" / "speech_off" can also be scripted directly.
+   - "status" posts a bot.<code> status webhook (optional "sub_code"),
+     e.g. in_waiting_room, or call_ended with timeout_exceeded_waiting_room.
+--------------------------------------------*/
+
+export function loadScenario(file) {
+  const scenario = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(scenario.events)) {
+    throw new Error(`Scenario ${file} has no "events" array`);
+  }
+  return scenario;
+}
+
+function timestampAt(startMs, sec) {
+  return {
+    relative: sec,
+    absolute: new Date(startMs + sec * 1000).toISOString(),
+  };
+}
+
+function participantPayload(roster, id) {
+  const base = roster.get(id) || { id };
+  return {
+    id: base.id,
+    name: base.name ?? null,
+    is_host: !!base.is_host,
+    platform: base.platform || "desktop",
+    extra_data: {},
+    email: base.email ?? null,
+  };
+}
+
+function envelope(event, botId, data) {
+  return {
+    event,
+    data: {
+      data,
+      bot: { id: botId, metadata: {} },
+    },
+  };
+}
+
+// Words get evenly spread across the utterance duration.
+function wordsFor(text, startSec, durationSec, startMs) {
+  const tokens = String(text).split(/\s+/).filter(Boolean);
+  const step = tokens.length ? durationSec / tokens.length : 0;
+  return tokens.map((token, idx) => ({
+    text: token,
+    start_timestamp: timestampAt(startMs, startSec + idx * step),
+    end_timestamp: timestampAt(startMs, startSec + (idx + 1) * step),
+  }));
+}
+
+// Expand a scenario into [{ atSec, payload }] sorted by time.
+export function buildWebhookTimeline(scenario, botId, startMs = Date.now()) {
+  const out = [];
+  const push = (atSec, payload) => out.push({ atSec, payload });
+  // Renames stick for later events, like they do in a real call.
+  const roster = new Map((scenario.participants || []).map((p) => [p.id, { ...p }]));
+  const events = [...scenario.events].sort((a, b) => (Number(a.at) || 0) - (Number(b.at) || 0));
+
+  for (const evt of events) {
+    const at = Number(evt.at) || 0;
+    const pid = evt.participant;
+
+    switch (evt.type) {
+      case "join":
+      case "leave":
+      case "speech_on":
+      case "speech_off": {
+        push(
+          at,
+          envelope(`participant_events.${evt.type}`, botId, {
+            participant: participantPayload(roster, pid),
+            timestamp: timestampAt(startMs, at),
+            action: evt.type,
+          })
+        );
+        break;
+      }
+
+      case "update": {
+        const overrides = {};
+        if (evt.name !== undefined) overrides.name = evt.name;
+        if (evt.is_host !== undefined) overrides.is_host = evt.is_host;
+        roster.set(pid, { ...(roster.get(pid) || { id: pid }), ...overrides });
+        push(
+          at,
+          envelope("participant_events.update", botId, {
+            participant: participantPayload(roster, pid),
+            timestamp: timestampAt(startMs, at),
+            action: "update",
+          })
+        );
+        break;
+      }
+
+      case "utterance": {
+        const duration = Number(evt.duration) || Math.max(1, evt.text.split(/\s+/).length * 0.4);
+        const words = wordsFor(evt.text, at, duration, startMs);
+        const participant = participantPayload(roster, pid);
+        const withSpeech = evt.speech !== false;
+
+        if (withSpeech) {
+          push(
+            at,
+            envelope("participant_events.speech_on", botId, {
+              participant,
+              timestamp: timestampAt(startMs, at),
+              action: "speech_on",
+            })
+          );
+        }
+
+        // A few growing partials, like the low-latency stream sends.
+        const partialSteps = Math.min(3, words.length - 1);
+        for (let i = 1; i <= partialSteps; i++) {
+          const upto = Math.ceil((words.length * i) / (partialSteps + 1));
+          push(
+            at + (duration * i) / (partialSteps + 1),
+            envelope("transcript.partial_data", botId, {
+              words: words.slice(0, upto),
+              participant,
+            })
+          );
+        }
+
+        push(
+          at + duration,
+          envelope("transcript.data", botId, {
+            words,
+            participant,
+          })
+        );
+
+        if (withSpeech) {
+          push(
+            at + duration,
+            envelope("participant_events.speech_off", botId, {
+              participant,
+              timestamp: timestampAt(startMs, at + duration),
+              action: "speech_off",
+            })
+          );
+        }
+        break;
+      }
+
+      case "status": {
+        push(
+          at,
+          envelope(`bot.${evt.code}`, botId, {
+            code: evt.code,
+            sub_code: evt.sub_code ?? null,
+            updated_at: timestampAt(startMs, at).absolute,
+          })
+        );
+        break;
+      }
+
+      default:
+        console.warn(`[Scenario] Unknown event type "${evt.type}" at ${at}s — skipped`);
+    }
+  }
+
+  // Array sort is stable, so speech_off stays after the transcript it closes.
+  return out.sort((a, b) => a.atSec - b.atSec);
+}
+
+export async function postWebhook(webhookUrl, payload, secret) {
+  const body = JSON.stringify(payload);
+  const headers = { "content-type": "application/json" };
+  if (secret) {
+    Object.assign(
+      headers,
+      signRecallPayload({ secret, id: `msg_${crypto.randomUUID()}`, body })
+    );
+  }
+  const resp = await fetch(webhookUrl, { method: "POST", headers, body });
+  if (!resp.ok) {
+    console.warn(`[Replay] ${payload.event} -> HTTP ${resp.status}`);
+  }
+}
+
+/*
+  Post a scenario to a webhook in (scaled) real time.
+  - speed: 1 = real time, 10 = ten times faster, 0 = as fast as possible
+  - signal: optional AbortSignal to stop early (e.g. leave_call)
+  - startMs: wall-clock start of the call (defaults to now)
+  Timestamps inside the payloads always use scenario time, so metrics
+  look the same regardless of speed.
+*/
+export async function replayScenario({
+  scenario,
+  botId,
+  webhookUrl,
+  speed = 1,
+  secret = "",
+  signal,
+  onEvent,
+  startMs = Date.now(),
+}) {
+  const timeline = buildWebhookTimeline(scenario, botId, startMs);
+  const started = Date.now();
+  let sent = 0;
+
+  for (const { atSec, payload } of timeline) {
+    if (speed > 0) {
+      const waitMs = started + (atSec * 1000) / speed - Date.now();
+      if (waitMs > 0) await new Promise((r) => setTimeout(r, waitMs));
+    }
+    if (signal?.aborted) return { sent, aborted: true };
+    try {
+      await postWebhook(webhookUrl, payload, secret);
+      sent += 1;
+      onEvent?.(atSec, payload);
+    } catch (e) {
+      console.error(`[Replay] Failed to post ${payload.event}:`, e.message);
+    }
+  }
+
+  return { sent, aborted: false };
+}
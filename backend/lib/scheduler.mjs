@@ -0,0 +1,212 @@
+// backend/lib/scheduler.mjs
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { describeBotOptions } from "./botOptions.mjs";
+
+/* -------------------------------------------
+   SCHEDULED BOTS (job queue for future meetings)
+   Job: { id, meetingUrl, policyId, seriesName, botOptions, joinAt, mode,
+          status, botId, error, source, createdAt, updatedAt }
+     mode "recall"  the Recall bot is created right away with join_at and
+                    Recall joins it; cancelling deletes the scheduled bot
+     mode "local"   held here and created when joinAt arrives
+     status         scheduled -> dispatched | cancelled | failed
+                    dispatching: a local job whose bot is being created; it
+                    can no longer be cancelled
+                    skipped: an imported calendar event the user opted out of
+     source         where the job came from, e.g. { type: "ics", key, title }
+     botOptions     the avatar image is kept only until the bot is created
+                    (recall: right away, local: at joinAt); after that it
+                    is just avatar: true, as in describeBotOptions
+   Jobs persist to <DATA_DIR>/schedule.json, so a restart keeps the week's
+   meetings; local jobs that came due while the backend was down are
+   dispatched on the first tick after start. Finished jobs (anything not
+   scheduled or dispatching) are dropped keepFinishedMs after their joinAt;
+   by then the calendar window has moved past them.
+
+   Hooks supplied by the server:
+     createBot(job, { joinAt }) -> { botId }   throws on Recall errors
+     deleteBot(botId)                          throws on Recall errors
+     onDispatched(job)                         the bot is (about to be) in the call
+--------------------------------------------*/
+
+export function createScheduler({
+  file = null,
+  createBot,
+  deleteBot,
+  onDispatched,
+  tickMs = 10000,
+  keepFinishedMs = 7 * 24 * 60 * 60 * 1000,
+}) {
+  const jobs = new Map();
+  let timer = null;
+  let ticking = false;
+
+  // Only a local job still waiting for (or in) createBot needs the image.
+  function dropAvatar(job) {
+    const pending = job.mode === "local" && (job.status === "scheduled" || job.status === "dispatching");
+    if (!pending) job.botOptions = describeBotOptions(job.botOptions);
+  }
+
+  if (file && fs.existsSync(file)) {
+    try {
+      for (const job of JSON.parse(fs.readFileSync(file, "utf8")) || []) {
+        // Interrupted mid-createBot: Recall may or may not have the bot, so don't retry.
+        if (job.status === "dispatching") {
+          Object.assign(job, { status: "failed", error: "Backend restarted while creating the bot" });
+        }
+        dropAvatar(job);
+        jobs.set(job.id, job);
+      }
+    } catch (e) {
+      console.error(`[Scheduler] Could not read ${file}:`, e.message);
+    }
+  }
+
+  function write() {
+    if (!file) return;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify([...jobs.values()], null, 2));
+      fs.renameSync(`${file}.tmp`, file);
+    } catch (e) {
+      console.error(`[Scheduler] Failed to write ${file}:`, e.message);
+    }
+  }
+
+  function update(job, fields) {
+    Object.assign(job, fields, { updatedAt: new Date().toISOString() });
+    dropAvatar(job);
+    write();
+    return job;
+  }
+
+  function prune(now) {
+    let removed = 0;
+    for (const job of jobs.values()) {
+      if (job.status === "scheduled" || job.status === "dispatching") continue;
+      if (Date.parse(job.joinAt) + keepFinishedMs > now) continue;
+      jobs.delete(job.id);
+      removed++;
+    }
+    if (removed) {
+      write();
+      console.log(`[Scheduler] Dropped ${removed} finished job(s)`);
+    }
+  }
+
+  async function tick() {
+    if (ticking) return;
+    ticking = true;
+    try {
+      const now = Date.now();
+      prune(now);
+      const due = [...jobs.values()].filter(
+        (job) => job.status === "scheduled" && Date.parse(job.joinAt) <= now
+      );
+      for (const job of due) {
+        try {
+          if (job.mode === "local") {
+            update(job, { status: "dispatching" });
+            const { botId } = await createBot(job, { joinAt: null });
+            job.botId = botId;
+          }
+          update(job, { status: "dispatched" });
+          console.log(`[Scheduler] Job ${job.id} dispatched bot ${job.botId} (${job.mode})`);
+          onDispatched(job);
+        } catch (e) {
+          console.error(`[Scheduler] Job ${job.id} failed:`, e.message);
+          update(job, { status: "failed", error: e.message });
+        }
+      }
+    } finally {
+      ticking = false;
+    }
+  }
+
+  return {
+    start() {
+      if (timer) return;
+      tick();
+      timer = setInterval(tick, tickMs);
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+    list() {
+      return [...jobs.values()].sort((a, b) => String(a.joinAt).localeCompare(String(b.joinAt)));
+    },
+    get(id) {
+      return jobs.get(id) || null;
+    },
+    // Recall-mode jobs create the bot now, so Recall errors surface to the caller.
+    async add({ meetingUrl, policyId = null, seriesName = null, botOptions = null, joinAt, mode, source = null }) {
+      const now = new Date().toISOString();
+      const job = {
+        id: crypto.randomUUID(),
+        meetingUrl,
+        policyId,
+        seriesName,
+        botOptions,
+        joinAt,
+        mode,
+        status: "scheduled",
+        botId: null,
+        error: null,
+        source,
+        createdAt: now,
+        updatedAt: now,
+      };
+      if (mode === "recall") {
+        const { botId } = await createBot(job, { joinAt });
+        job.botId = botId;
+      }
+      dropAvatar(job);
+      jobs.set(job.id, job);
+      write();
+      console.log(`[Scheduler] Job ${job.id} scheduled for ${joinAt} (${mode})`);
+      return job;
+    },
+    // Remembers an opted-out calendar event; nothing is ever dispatched for it.
+    skip({ meetingUrl, joinAt, source }) {
+      const now = new Date().toISOString();
+      const job = {
+        id: crypto.randomUUID(),
+        meetingUrl,
+        policyId: null,
+        seriesName: null,
+        botOptions: null,
+        joinAt,
+        mode: null,
+        status: "skipped",
+        botId: null,
+        error: null,
+        source,
+        createdAt: now,
+        updatedAt: now,
+      };
+      jobs.set(job.id, job);
+      write();
+      return job;
+    },
+    // Returns { job } or { error, status }.
+    async cancel(id) {
+      const job = jobs.get(id);
+      if (!job) return { error: "Scheduled bot not found", status: 404 };
+      if (job.status !== "scheduled") {
+        return { error: `Job is already ${job.status}`, status: 409 };
+      }
+      if (job.mode === "recall" && job.botId) {
+        try {
+          await deleteBot(job.botId);
+        } catch (e) {
+          return { error: `Recall refused to delete the bot: ${e.message}`, status: 502 };
+        }
+      }
+      console.log(`[Scheduler] Job ${job.id} cancelled`);
+      return { job: update(job, { status: "cancelled" }) };
+    },
+  };
+}
@@ -0,0 +1,102 @@
+// backend/lib/series.mjs
+
+/* -------------------------------------------
+   MEETING SERIES (recurring meetings, trends over time)
+   A bot belongs to the series named at creation (state.seriesName) or, when
+   unnamed, to every other bot on the same meeting link (query string and
+   trailing slash ignored, so Zoom ?pwd= links still match).
+   state.participationSnapshot keeps the per-meeting numbers the trends need;
+   it is taken when the bot ends (live bots fall back to state.participation).
+--------------------------------------------*/
+
+function slug(value) {
+  return String(value || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 80);
+}
+
+export function normalizeMeetingUrl(meetingUrl) {
+  const raw = String(meetingUrl || "").trim();
+  if (!raw) return null;
+  try {
+    const url = new URL(raw);
+    return `${url.host.toLowerCase()}${url.pathname.replace(/\/+$/, "")}`;
+  } catch (e) {
+    return raw.toLowerCase().replace(/[?#].*$/, "").replace(/\/+$/, "");
+  }
+}
+
+// Returns { id, name } or null when the bot has neither a series name nor a link.
+export function seriesFor(state) {
+  const name = String(state.seriesName || "").trim();
+  if (name) return { id: slug(name) || "series", name };
+  const link = normalizeMeetingUrl(state.meetingUrl);
+  return link ? { id: slug(link), name: link } : null;
+}
+
+export function participationSnapshot(participation, takenAt = new Date().toISOString()) {
+  if (!participation) return null;
+  return {
+    takenAt,
+    durationSec: participation.durationSec ?? null,
+    totalWords: participation.totalWords || 0,
+    speakingShare: participation.speakingShare || {},
+    speakingTimeSec: participation.speakingTimeSec || {},
+    interruptions: participation.interruptions || 0,
+    interruptionCounts: participation.interruptionCounts || {},
+    silenceRatio: participation.silence?.silenceRatio ?? null,
+    balanceStatus: participation.balance?.status || null,
+    policyId: participation.policy?.id || null,
+  };
+}
+
+/*
+  bots: [{ botId, state }] in one series.
+  Returns {
+    meetings: [{ botId, date, status, durationSec, silenceRatio, interruptions,
+                 balanceStatus, people: { name: { share, interruptions } } }]  oldest first
+    people: [name]  most meetings first
+  }
+*/
+export function buildSeriesTrends(bots) {
+  const meetings = bots
+    .map(({ botId, state }) => {
+      const snapshot = state.participationSnapshot || participationSnapshot(state.participation);
+      if (!snapshot) return null;
+      const names = new Set([
+        ...Object.keys(snapshot.speakingShare),
+        ...Object.keys(snapshot.interruptionCounts),
+      ]);
+      const people = {};
+      for (const name of names) {
+        people[name] = {
+          share: snapshot.speakingShare[name] || 0,
+          interruptions: snapshot.interruptionCounts[name] || 0,
+        };
+      }
+      return {
+        botId,
+        date: state.createdAt || snapshot.takenAt,
+        status: state.status,
+        durationSec: snapshot.durationSec,
+        silenceRatio: snapshot.silenceRatio,
+        interruptions: snapshot.interruptions,
+        balanceStatus: snapshot.balanceStatus,
+        people,
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => String(a.date || "").localeCompare(String(b.date || "")));
+
+  const attendance = {};
+  meetings.forEach((m) => {
+    Object.keys(m.people).forEach((name) => (attendance[name] = (attendance[name] || 0) + 1));
+  });
+  const people = Object.keys(attendance).sort(
+    (a, b) => attendance[b] - attendance[a] || a.localeCompare(b)
+  );
+
+  return { meetings, people };
+}
@@ -0,0 +1,238 @@
+// backend/lib/speakers.mjs
+
+/* -------------------------------------------
+   SPEAKER IDENTITY
+   Utterances are grouped by speaker key, not by the name they were spoken under:
+     "id:<participantId>"  Recall participant id (survives renames)
+     "name:<speakerName>"  utterances without an id that match no participant
+   On the bot state:
+     speakerMerges  { fromKey: intoKey }   manual merges + same-name rejoins
+     speakerLabels  { key: "Display name" } manual relabels
+     participants[id].nameHistory [{ name, at }] renames from update events
+   Resolved display names are unique per identity, so the existing metric code
+   (word/time shares, timeline, diagnostics) keeps grouping by speakerName.
+--------------------------------------------*/
+
+function hasValue(value) {
+  return value !== undefined && value !== null && value !== "";
+}
+
+function findParticipantByName(state, name) {
+  const lower = name.toLowerCase();
+  return Object.values(state.participants || {}).find(
+    (p) =>
+      (p.name || "").toLowerCase() === lower ||
+      (p.nameHistory || []).some((h) => (h.name || "").toLowerCase() === lower)
+  );
+}
+
+export function rawSpeakerKey(state, utterance) {
+  if (hasValue(utterance.speakerId)) return `id:${utterance.speakerId}`;
+  const name = (utterance.speakerName || "").trim();
+  const match = name && name !== "Unknown" ? findParticipantByName(state, name) : null;
+  return match ? `id:${match.id}` : `name:${name || "Unknown"}`;
+}
+
+// Follow merges to the identity a key currently belongs to (cycle-safe).
+export function canonicalSpeakerKey(state, key) {
+  const merges = state.speakerMerges || {};
+  const seen = new Set();
+  let current = key;
+  while (merges[current] && !seen.has(current)) {
+    seen.add(current);
+    current = merges[current];
+  }
+  return current;
+}
+
+function participantForKey(state, key) {
+  return key.startsWith("id:") ? state.participants?.[key.slice(3)] || null : null;
+}
+
+function fallbackName(key) {
+  return key.startsWith("id:") ? `Speaker ${key.slice(3)}` : key.slice(5) || "Unknown";
+}
+
+/*
+  Returns { speakers: [...], byKey: Map(canonicalKey -> speaker) } where
+  speaker = { key, name, label, aliases, participantIds, mergedKeys, utterances }.
+*/
+export function buildSpeakerDirectory(state) {
+  const entries = new Map();
+
+  const touch = (rawKey) => {
+    const key = canonicalSpeakerKey(state, rawKey);
+    if (!entries.has(key)) {
+      entries.set(key, { key, rawKeys: new Set(), participantIds: [], names: [], utterances: 0 });
+    }
+    const entry = entries.get(key);
+    entry.rawKeys.add(rawKey);
+    return entry;
+  };
+  const addName = (entry, name) => {
+    const clean = (name || "").trim();
+    if (clean && clean !== "Unknown" && !entry.names.includes(clean)) entry.names.push(clean);
+  };
+
+  for (const p of Object.values(state.participants || {})) {
+    const entry = touch(`id:${p.id}`);
+    entry.participantIds.push(p.id);
+    (p.nameHistory || []).forEach((h) => addName(entry, h.name));
+    addName(entry, p.name);
+  }
+  for (const t of state.transcripts || []) {
+    const entry = touch(rawSpeakerKey(state, t));
+    entry.utterances += 1;
+    addName(entry, t.speakerName);
+  }
+
+  const labels = state.speakerLabels || {};
+  const taken = new Set();
+  const speakers = [...entries.values()].map((entry) => {
+    const current = participantForKey(state, entry.key)?.name;
+    const base =
+      labels[entry.key] ||
+      (current && current !== "Unknown" ? current : null) ||
+      entry.names[entry.names.length - 1] ||
+      fallbackName(entry.key);
+
+    // Two people can share a display name (two "iPhone"s); keep them apart.
+    let name = base;
+    for (let n = 2; taken.has(name.toLowerCase()); n++) name = `${base} (${n})`;
+    taken.add(name.toLowerCase());
+
+    return {
+      key: entry.key,
+      name,
+      label: labels[entry.key] || null,
+      aliases: entry.names.filter((n) => n !== name),
+      participantIds: entry.participantIds,
+      mergedKeys: [...entry.rawKeys].filter((k) => k !== entry.key),
+      utterances: entry.utterances,
+    };
+  });
+
+  return { speakers, byKey: new Map(speakers.map((s) => [s.key, s])) };
+}
+
+/*
+  Webhooks resolve one utterance at a time, and rebuilding the directory for
+  each walks the whole transcript. The built directory is cached beside the
+  bot state (a WeakMap, so it never reaches the store): new utterances only
+  bump a count, anything that can change identities drops it.
+*/
+const directories = new WeakMap();
+
+export function speakerDirectory(state) {
+  let directory = directories.get(state);
+  if (!directory) {
+    directory = buildSpeakerDirectory(state);
+    directories.set(state, directory);
+  }
+  return directory;
+}
+
+// Participants joined or renamed, merges or labels changed: rebuild on next use.
+export function invalidateSpeakerDirectory(state) {
+  directories.delete(state);
+}
+
+// Account for an utterance just pushed to state.transcripts.
+export function noteUtterance(state, utterance) {
+  const directory = directories.get(state);
+  if (!directory) return;
+  const rawKey = rawSpeakerKey(state, utterance);
+  const speaker = directory.byKey.get(canonicalSpeakerKey(state, rawKey));
+  const name = (utterance.speakerName || "").trim();
+  const known =
+    speaker &&
+    (speaker.key === rawKey || speaker.mergedKeys.includes(rawKey)) &&
+    (!name || name === "Unknown" || name === speaker.name || speaker.aliases.includes(name));
+  if (known) speaker.utterances += 1;
+  else directories.delete(state);
+}
+
+// Transcripts with speakerKey + the identity's display name (original kept as spokenAs).
+export function resolveTranscripts(state, directory = speakerDirectory(state)) {
+  return (state.transcripts || []).map((t) => resolveUtterance(state, t, directory));
+}
+
+export function resolveUtterance(state, utterance, directory = speakerDirectory(state)) {
+  const key = canonicalSpeakerKey(state, rawSpeakerKey(state, utterance));
+  const speaker = directory.byKey.get(key);
+  const name = speaker?.name || utterance.speakerName || "Unknown";
+  return {
+    ...utterance,
+    speakerKey: key,
+    speakerName: name,
+    ...(name !== utterance.speakerName && { spokenAs: utterance.speakerName || null }),
+  };
+}
+
+/*
+  Merge every key in `from` into `into`. Returns an error string or null.
+*/
+export function mergeSpeakers(state, from, into) {
+  const { byKey } = speakerDirectory(state);
+  const target = canonicalSpeakerKey(state, into);
+  if (!byKey.has(target)) return `Unknown speaker "${into}"`;
+
+  const sources = from.map((key) => canonicalSpeakerKey(state, key));
+  const unknown = from.filter((key, i) => !byKey.has(sources[i]));
+  if (unknown.length) return `Unknown speaker "${unknown[0]}"`;
+  if (sources.every((key) => key === target)) return "Nothing to merge";
+
+  state.speakerMerges = state.speakerMerges || {};
+  state.speakerLabels = state.speakerLabels || {};
+  for (const key of sources) {
+    if (key === target) continue;
+    state.speakerMerges[key] = target;
+    delete state.speakerLabels[key];
+  }
+  invalidateSpeakerDirectory(state);
+  return null;
+}
+
+// Undo a merge: the key (and anything merged into it) becomes its own speaker again.
+export function unmergeSpeaker(state, key) {
+  if (!state.speakerMerges?.[key]) return `"${key}" is not merged into another speaker`;
+  delete state.speakerMerges[key];
+  invalidateSpeakerDirectory(state);
+  return null;
+}
+
+export function relabelSpeaker(state, key, label) {
+  const target = canonicalSpeakerKey(state, key);
+  if (!speakerDirectory(state).byKey.has(target)) return `Unknown speaker "${key}"`;
+  state.speakerLabels = state.speakerLabels || {};
+  const clean = String(label || "").trim().slice(0, 80);
+  if (clean) state.speakerLabels[target] = clean;
+  else delete state.speakerLabels[target];
+  invalidateSpeakerDirectory(state);
+  return null;
+}
+
+/*
+  Someone who left and rejoined gets a new Recall participant id; fold the new
+  id into the earlier identity when the name matches a participant not in the call.
+  Returns the key it was merged into, or null.
+*/
+export function mergeRejoinedParticipant(state, participant) {
+  const name = (participant.name || "").trim().toLowerCase();
+  if (!name || name === "unknown") return null;
+  const previous = Object.values(state.participants || {}).find(
+    (p) =>
+      String(p.id) !== String(participant.id) &&
+      p.inCall === false &&
+      (p.name || "").trim().toLowerCase() === name
+  );
+  if (!previous) return null;
+
+  const target = canonicalSpeakerKey(state, `id:${previous.id}`);
+  const key = `id:${participant.id}`;
+  if (target === key) return null;
+  state.speakerMerges = state.speakerMerges || {};
+  state.speakerMerges[key] = target;
+  invalidateSpeakerDirectory(state);
+  return target;
+}
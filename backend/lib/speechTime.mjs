@@ -0,0 +1,93 @@
+// backend/lib/speechTime.mjs
+
+/* -------------------------------------------
+   SPEAKING TIME FROM speech_on / speech_off
+   Segments { speaker, startSec, endSec } (see speechSegmentsFor in server.mjs).
+   Returns {
+     totalTalkSec, overlapSec, medianTurnSec,
+     bySpeaker { name: { talkSec, turns, medianTurnSec, overlapSec } }
+   }
+   or null when there are no intervals (callers fall back to word timestamps).
+   A speaker's intervals are unioned first, so a merged identity on two
+   devices isn't counted twice; pauses shorter than TURN_GAP_SEC stay one turn.
+--------------------------------------------*/
+
+const TURN_GAP_SEC = 0.5;
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function union(intervals, joinGapSec = 0) {
+  const sorted = intervals.slice().sort((a, b) => a.startSec - b.startSec);
+  const out = [];
+  for (const { startSec, endSec } of sorted) {
+    const last = out[out.length - 1];
+    if (last && startSec - last.endSec <= joinGapSec) last.endSec = Math.max(last.endSec, endSec);
+    else out.push({ startSec, endSec });
+  }
+  return out;
+}
+
+export function speechTimeStats(segments) {
+  const valid = (segments || []).filter(
+    (s) => Number.isFinite(s.startSec) && Number.isFinite(s.endSec) && s.endSec > s.startSec
+  );
+  if (!valid.length) return null;
+
+  const perSpeaker = new Map();
+  for (const s of valid) {
+    const name = s.speaker || "Unknown";
+    if (!perSpeaker.has(name)) perSpeaker.set(name, []);
+    perSpeaker.get(name).push(s);
+  }
+
+  // Sweep over every speaker's unioned speech to find who talked over whom.
+  const spoken = new Map([...perSpeaker].map(([name, list]) => [name, union(list)]));
+  const edges = [];
+  for (const [name, list] of spoken) {
+    list.forEach((i) => {
+      edges.push({ at: i.startSec, delta: 1, name });
+      edges.push({ at: i.endSec, delta: -1, name });
+    });
+  }
+  // Ends before starts at the same instant: a clean hand-off isn't overlap.
+  edges.sort((a, b) => a.at - b.at || a.delta - b.delta);
+
+  const active = new Map();
+  const overlapBySpeaker = {};
+  let overlapSec = 0;
+  let prevAt = null;
+  for (const edge of edges) {
+    if (prevAt !== null && edge.at > prevAt && active.size > 1) {
+      const dt = edge.at - prevAt;
+      overlapSec += dt;
+      for (const name of active.keys()) overlapBySpeaker[name] = (overlapBySpeaker[name] || 0) + dt;
+    }
+    const count = (active.get(edge.name) || 0) + edge.delta;
+    if (count > 0) active.set(edge.name, count);
+    else active.delete(edge.name);
+    prevAt = edge.at;
+  }
+
+  const bySpeaker = {};
+  const allTurns = [];
+  let totalTalkSec = 0;
+  for (const [name, list] of spoken) {
+    const talkSec = list.reduce((sum, i) => sum + (i.endSec - i.startSec), 0);
+    const turns = union(list, TURN_GAP_SEC).map((t) => t.endSec - t.startSec);
+    allTurns.push(...turns);
+    totalTalkSec += talkSec;
+    bySpeaker[name] = {
+      talkSec,
+      turns: turns.length,
+      medianTurnSec: median(turns),
+      overlapSec: overlapBySpeaker[name] || 0,
+    };
+  }
+
+  return { totalTalkSec, overlapSec, medianTurnSec: median(allTurns), bySpeaker };
+}
@@ -0,0 +1,115 @@
+// backend/lib/storage.mjs
+import fs from "fs";
+import path from "path";
+
+/* -------------------------------------------
+   BOT STATE STORAGE
+   Every driver exposes the same shape:
+     loadAll()          -> [[botId, state], ...] (used once on startup)
+     save(botId, state) -> persist a full snapshot of one bot
+     remove(botId)      -> forget a bot
+     flush()            -> write anything still pending (call before exit)
+--------------------------------------------*/
+
+// In-memory driver: the old behaviour, handy when you don't want files around.
+function createMemoryStore() {
+  const snapshots = new Map();
+
+  return {
+    name: "memory",
+    loadAll() {
+      return [...snapshots.entries()].map(([botId, raw]) => [botId, JSON.parse(raw)]);
+    },
+    save(botId, state) {
+      snapshots.set(botId, JSON.stringify(state));
+    },
+    remove(botId) {
+      snapshots.delete(botId);
+    },
+    flush() {},
+  };
+}
+
+// JSON file driver: one file per bot under <dir>/bots, written atomically
+// (tmp file + rename) and debounced so a burst of webhooks is one write.
+function createJsonFileStore({ dir, debounceMs = 500 }) {
+  const botsDir = path.join(dir, "bots");
+  fs.mkdirSync(botsDir, { recursive: true });
+
+  const pending = new Map(); // botId -> { timer, state }
+
+  function fileFor(botId) {
+    // Recall ids are UUIDs, but never trust them as path segments.
+    return path.join(botsDir, `${encodeURIComponent(botId)}.json`);
+  }
+
+  function writeNow(botId, state) {
+    const file = fileFor(botId);
+    const tmp = `${file}.tmp`;
+    try {
+      fs.writeFileSync(tmp, JSON.stringify(state));
+      fs.renameSync(tmp, file);
+    } catch (e) {
+      console.error(`[Storage] Failed to write bot ${botId}:`, e.message);
+    }
+  }
+
+  return {
+    name: "json",
+    loadAll() {
+      const entries = [];
+      for (const file of fs.readdirSync(botsDir)) {
+        if (!file.endsWith(".json")) continue;
+        const botId = decodeURIComponent(file.slice(0, -".json".length));
+        try {
+          const raw = fs.readFileSync(path.join(botsDir, file), "utf8");
+          entries.push([botId, JSON.parse(raw)]);
+        } catch (e) {
+          console.error(`[Storage] Skipping unreadable bot file ${file}:`, e.message);
+        }
+      }
+      return entries;
+    },
+    save(botId, state) {
+      const existing = pending.get(botId);
+      if (existing) {
+        existing.state = state;
+        return;
+      }
+      const entry = { state, timer: null };
+      entry.timer = setTimeout(() => {
+        pending.delete(botId);
+        writeNow(botId, entry.state);
+      }, debounceMs);
+      pending.set(botId, entry);
+    },
+    remove(botId) {
+      const existing = pending.get(botId);
+      if (existing) clearTimeout(existing.timer);
+      pending.delete(botId);
+      fs.rmSync(fileFor(botId), { force: true });
+    },
+    flush() {
+      for (const [botId, entry] of pending.entries()) {
+        clearTimeout(entry.timer);
+        writeNow(botId, entry.state);
+      }
+      pending.clear();
+    },
+  };
+}
+
+const DRIVERS = {
+  memory: createMemoryStore,
+  json: createJsonFileStore,
+};
+
+export function createStore({ driver = "json", dir = "data", debounceMs } = {}) {
+  const factory = DRIVERS[driver];
+  if (!factory) {
+    throw new Error(
+      `Unknown STORAGE_DRIVER "${driver}" (expected one of: ${Object.keys(DRIVERS).join(", ")})`
+    );
+  }
+  return factory({ dir, debounceMs });
+}
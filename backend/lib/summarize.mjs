@@ -0,0 +1,346 @@
+// backend/lib/summarize.mjs
+import {
+  SUMMARY_SCHEMA,
+  parseSummaryJson,
+  parsePartialSummaryJson,
+  normalizeSummary,
+  isEmptySummary,
+  summaryToMarkdown,
+} from "./summary.mjs";
+import { LLMError } from "./llm.mjs";
+
+/* -------------------------------------------
+   MEETING SUMMARIZATION (map-reduce for long calls)
+   - Short meetings: one call over the whole transcript.
+   - Long meetings: transcripts are chunked by token + time budget, each
+     chunk gets a partial JSON summary (map), decisions and action items
+     are merged without duplicates, and one small reduce call writes the
+     overall overview + inclusivity findings from the partials + metrics.
+   onProgress({ phase: "map"|"reduce", chunk, totalChunks }) fires before
+   each LLM call so the UI can show where we are.
+   onPartial(structured) switches the LLM calls to streaming and fires with
+   the best summary so far as text arrives; signal cancels the whole run.
+--------------------------------------------*/
+
+const INSTRUCTIONS =
+  "You write clear, neutral, structured meeting summaries with inclusivity analysis. Output JSON only.";
+const JSON_SCHEMA = { name: "meeting_summary", schema: SUMMARY_SCHEMA };
+const MAX_OUTPUT_TOKENS = 2000;
+
+// Rough but stable: ~4 characters per token for English text.
+function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+function transcriptLine(t) {
+  // Utterance ids let the model cite where decisions/actions came from.
+  return `(${t.id}) [${t.createdAt}] ${t.speakerName}: ${t.text}`;
+}
+
+export function chunkTranscripts(transcripts, { maxTokens = 6000, maxSpanSec = 20 * 60 } = {}) {
+  const chunks = [];
+  let current = [];
+  let tokens = 0;
+  let spanStart = null;
+
+  for (const t of transcripts) {
+    const lineTokens = estimateTokens(transcriptLine(t));
+    const start = Number.isFinite(t.startSec) ? t.startSec : null;
+    const overTokens = current.length && tokens + lineTokens > maxTokens;
+    const overTime =
+      current.length && spanStart !== null && start !== null && start - spanStart > maxSpanSec;
+
+    if (overTokens || overTime) {
+      chunks.push(current);
+      current = [];
+      tokens = 0;
+      spanStart = null;
+    }
+
+    current.push(t);
+    tokens += lineTokens;
+    if (spanStart === null && start !== null) spanStart = start;
+  }
+
+  if (current.length) chunks.push(current);
+  return chunks;
+}
+
+const SCHEMA_RULES = `
+- overview: 3–5 bullets
+- decisions: cite the utterance ids the decision was made in
+- actionItems: owner = speaker name (null if unassigned), dueDate = YYYY-MM-DD or null, sourceUtteranceId = the id it was agreed in
+- inclusivity: findings about participation balance, interruptions and quiet voices
+`;
+
+function fullPrompt(transcripts, diagnostics, participation) {
+  return `
+You are generating a structured "Meeting Summary + Inclusivity Report".
+Each transcript line starts with its utterance id in parentheses.
+
+Transcript:
+${transcripts.map(transcriptLine).join("\n")}
+
+Participation diagnostics:
+${JSON.stringify(diagnostics, null, 2)}
+
+Live participation metrics:
+${JSON.stringify(participation, null, 2)}
+
+Respond with ONLY a JSON object matching this schema:
+${JSON.stringify(SUMMARY_SCHEMA)}
+${SCHEMA_RULES}`;
+}
+
+function chunkPrompt(chunk, index, total) {
+  return `
+You are summarizing PART ${index + 1} OF ${total} of a longer meeting.
+Only describe what happens in this part; other parts are summarized separately.
+Each transcript line starts with its utterance id in parentheses.
+
+Transcript (part ${index + 1}/${total}):
+${chunk.map(transcriptLine).join("\n")}
+
+Respond with ONLY a JSON object matching this schema:
+${JSON.stringify(SUMMARY_SCHEMA)}
+${SCHEMA_RULES}`;
+}
+
+function reducePrompt(partials, diagnostics, participation) {
+  return `
+You are merging partial summaries of consecutive parts of ONE meeting into a
+final "Meeting Summary + Inclusivity Report".
+
+Partial overviews and findings, in order:
+${partials
+  .map(
+    (p, i) =>
+      `Part ${i + 1}:\n${JSON.stringify({ overview: p.overview, inclusivity: p.inclusivity })}`
+  )
+  .join("\n\n")}
+
+Participation diagnostics for the whole meeting:
+${JSON.stringify(diagnostics, null, 2)}
+
+Participation metrics for the whole meeting:
+${JSON.stringify(participation, null, 2)}
+
+Respond with ONLY a JSON object matching this schema:
+${JSON.stringify(SUMMARY_SCHEMA)}
+
+- overview: 3–5 bullets covering the whole meeting
+- inclusivity: findings for the whole meeting (deduplicate across parts)
+- decisions and actionItems: return empty arrays (they are merged separately)
+`;
+}
+
+/* -------------------- dedupe helpers -------------------- */
+
+function keyWords(text) {
+  return new Set(
+    String(text || "")
+      .toLowerCase()
+      .replace(/[^a-z0-9\s]+/g, " ")
+      .split(/\s+/)
+      .filter((w) => w.length > 2)
+  );
+}
+
+// Jaccard overlap of content words; 0.7 catches rephrasings of the same item.
+function isSimilar(a, b, threshold = 0.7) {
+  const wa = keyWords(a);
+  const wb = keyWords(b);
+  if (!wa.size || !wb.size) return a.trim().toLowerCase() === b.trim().toLowerCase();
+  let shared = 0;
+  for (const w of wa) if (wb.has(w)) shared += 1;
+  return shared / (wa.size + wb.size - shared) >= threshold;
+}
+
+export function mergeDecisions(lists) {
+  const merged = [];
+  for (const d of lists.flat()) {
+    const existing = merged.find((m) => isSimilar(m.text, d.text));
+    if (existing) {
+      existing.sourceUtteranceIds = [
+        ...new Set([...existing.sourceUtteranceIds, ...d.sourceUtteranceIds]),
+      ];
+    } else {
+      merged.push({ ...d, sourceUtteranceIds: [...d.sourceUtteranceIds] });
+    }
+  }
+  return merged;
+}
+
+export function mergeActionItems(lists) {
+  const merged = [];
+  for (const a of lists.flat()) {
+    const existing = merged.find(
+      (m) =>
+        isSimilar(m.task, a.task) &&
+        (!m.owner || !a.owner || m.owner.toLowerCase() === a.owner.toLowerCase())
+    );
+    if (existing) {
+      existing.owner = existing.owner || a.owner;
+      // A later part usually restates the deadline more precisely.
+      existing.dueDate = a.dueDate || existing.dueDate;
+      existing.sourceUtteranceId = existing.sourceUtteranceId || a.sourceUtteranceId;
+    } else {
+      merged.push({ ...a });
+    }
+  }
+  return merged;
+}
+
+function isTruncated(finishReason) {
+  return finishReason === "length" || finishReason === "max_output_tokens";
+}
+
+/* -------------------- orchestration -------------------- */
+
+// onStructured(partialSummary) turns on streaming for this call.
+async function callStructured(llm, input, utteranceIds, { signal, onStructured } = {}) {
+  let soFar = "";
+  const onDelta =
+    onStructured &&
+    ((delta) => {
+      soFar += delta;
+      const partial = parsePartialSummaryJson(soFar);
+      if (partial) onStructured(normalizeSummary(partial, { utteranceIds }).summary);
+    });
+
+  if (signal?.aborted) throw new LLMError("Summary cancelled", { status: 499 });
+  const { text, finishReason, model } = await llm.generate({
+    purpose: "summary",
+    instructions: INSTRUCTIONS,
+    input,
+    maxOutputTokens: MAX_OUTPUT_TOKENS,
+    jsonSchema: JSON_SCHEMA,
+    onDelta,
+    signal,
+  });
+  const parsed = parseSummaryJson(text);
+  if (!parsed) return { text, structured: null, issues: [], finishReason, model };
+  const { summary, issues } = normalizeSummary(parsed, { utteranceIds });
+  return {
+    text,
+    structured: isEmptySummary(summary) ? null : summary,
+    issues,
+    finishReason,
+    model,
+  };
+}
+
+// Map one chunk; if the reply was cut off and unusable, halve the chunk once.
+async function summarizeChunk(llm, chunk, index, total, utteranceIds, options, depth = 0) {
+  const result = await callStructured(llm, chunkPrompt(chunk, index, total), utteranceIds, options);
+  if (result.structured || !isTruncated(result.finishReason) || chunk.length < 2 || depth > 0) {
+    return [result];
+  }
+  console.warn(`[AI summary] Part ${index + 1} truncated; retrying as two halves`);
+  const mid = Math.ceil(chunk.length / 2);
+  return [
+    ...(await summarizeChunk(llm, chunk.slice(0, mid), index, total, utteranceIds, options, depth + 1)),
+    ...(await summarizeChunk(llm, chunk.slice(mid), index, total, utteranceIds, options, depth + 1)),
+  ];
+}
+
+// Partial summaries (+ the reduce reply, once there is one) -> one summary.
+function combineParts(partials, reduced) {
+  return {
+    overview: reduced?.overview?.length
+      ? reduced.overview
+      : partials.flatMap((p) => p.overview).slice(0, 5),
+    decisions: mergeDecisions(partials.map((p) => p.decisions)),
+    actionItems: mergeActionItems(partials.map((p) => p.actionItems)),
+    inclusivity: reduced?.inclusivity?.length
+      ? reduced.inclusivity
+      : partials.flatMap((p) => p.inclusivity),
+  };
+}
+
+/*
+  Returns { text, structured, issues, finishReason, model, chunks }.
+  text is Markdown (rendered from structured when we have it, else the raw reply).
+*/
+export async function summarizeMeeting({
+  llm,
+  transcripts,
+  diagnostics,
+  participation,
+  chunkOptions,
+  onProgress = () => {},
+  onPartial = null,
+  signal,
+}) {
+  const utteranceIds = new Set(transcripts.map((t) => String(t.id)));
+  const chunks = chunkTranscripts(transcripts, chunkOptions);
+
+  if (chunks.length <= 1) {
+    onProgress({ phase: "map", chunk: 1, totalChunks: 1 });
+    const single = await callStructured(
+      llm,
+      fullPrompt(transcripts, diagnostics, participation),
+      utteranceIds,
+      { signal, onStructured: onPartial }
+    );
+    return {
+      text: single.structured ? summaryToMarkdown(single.structured) : single.text,
+      structured: single.structured,
+      issues: single.issues,
+      finishReason: single.finishReason,
+      model: single.model,
+      chunks: 1,
+    };
+  }
+
+  const partials = [];
+  const issues = [];
+  let truncatedParts = 0;
+  for (let i = 0; i < chunks.length; i++) {
+    onProgress({ phase: "map", chunk: i + 1, totalChunks: chunks.length });
+    const options = {
+      signal,
+      onStructured: onPartial && ((current) => onPartial(combineParts([...partials, current]))),
+    };
+    for (const result of await summarizeChunk(llm, chunks[i], i, chunks.length, utteranceIds, options)) {
+      issues.push(...result.issues.map((issue) => `part ${i + 1}: ${issue}`));
+      if (isTruncated(result.finishReason)) truncatedParts += 1;
+      if (result.structured) partials.push(result.structured);
+    }
+  }
+
+  if (!partials.length) {
+    return {
+      text: "",
+      structured: null,
+      issues: [...issues, "no part produced a usable summary"],
+      finishReason: truncatedParts ? "max_output_tokens" : null,
+      model: llm.model,
+      chunks: chunks.length,
+    };
+  }
+
+  onProgress({ phase: "reduce", chunk: chunks.length, totalChunks: chunks.length });
+  const reduced = await callStructured(
+    llm,
+    reducePrompt(partials, diagnostics, participation),
+    utteranceIds,
+    {
+      signal,
+      onStructured: onPartial && ((current) => onPartial(combineParts(partials, current))),
+    }
+  );
+  issues.push(...reduced.issues.map((issue) => `reduce: ${issue}`));
+
+  const structured = combineParts(partials, reduced.structured);
+
+  return {
+    text: summaryToMarkdown(structured),
+    structured,
+    issues,
+    // Surface truncation from any part, not just the final reduce call.
+    finishReason: truncatedParts ? "max_output_tokens" : reduced.finishReason,
+    model: reduced.model,
+    chunks: chunks.length,
+  };
+}
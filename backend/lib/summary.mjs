@@ -0,0 +1,284 @@
+// backend/lib/summary.mjs
+
+/* -------------------------------------------
+   STRUCTURED SUMMARY (JSON schema + validate/repair)
+   Shape stored in state.summary.structured:
+   {
+     overview:    ["bullet", ...],
+     decisions:   [{ text, sourceUtteranceIds: [id] }],
+     actionItems: [{ task, owner, dueDate, sourceUtteranceId }],
+     inclusivity: [{ finding, severity: "info"|"watch"|"concern", speakers: [name] }]
+   }
+   The schema is strict-mode compatible (every key required, nullable via
+   ["string", "null"]) so OpenAI structured outputs accept it as-is.
+--------------------------------------------*/
+
+export const SEVERITIES = ["info", "watch", "concern"];
+
+export const SUMMARY_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["overview", "decisions", "actionItems", "inclusivity"],
+  properties: {
+    overview: {
+      type: "array",
+      description: "3-5 short bullets describing what the meeting covered.",
+      items: { type: "string" },
+    },
+    decisions: {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["text", "sourceUtteranceIds"],
+        properties: {
+          text: { type: "string" },
+          sourceUtteranceIds: { type: "array", items: { type: "string" } },
+        },
+      },
+    },
+    actionItems: {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["task", "owner", "dueDate", "sourceUtteranceId"],
+        properties: {
+          task: { type: "string" },
+          owner: { type: ["string", "null"] },
+          dueDate: {
+            type: ["string", "null"],
+            description: "YYYY-MM-DD when a date is stated or implied, else null.",
+          },
+          sourceUtteranceId: { type: ["string", "null"] },
+        },
+      },
+    },
+    inclusivity: {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["finding", "severity", "speakers"],
+        properties: {
+          finding: { type: "string" },
+          severity: { type: "string", enum: SEVERITIES },
+          speakers: { type: "array", items: { type: "string" } },
+        },
+      },
+    },
+  },
+};
+
+// Models sometimes wrap JSON in ``` fences or add a sentence around it.
+export function parseSummaryJson(text) {
+  if (!text || typeof text !== "string") return null;
+  const attempts = [
+    text,
+    text.replace(/^\s*```(?:json)?\s*/i, "").replace(/\s*```\s*$/, ""),
+  ];
+  const first = text.indexOf("{");
+  const last = text.lastIndexOf("}");
+  if (first !== -1 && last > first) attempts.push(text.slice(first, last + 1));
+
+  for (const candidate of attempts) {
+    try {
+      const parsed = JSON.parse(candidate);
+      if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) return parsed;
+    } catch (e) {
+      // try the next shape
+    }
+  }
+  return null;
+}
+
+/*
+  Best-effort parse of a JSON object that is still streaming in: close the
+  open string and containers at the end, backing off to earlier structural
+  boundaries until something parses. Returns null when nothing usable yet.
+*/
+export function parsePartialSummaryJson(text) {
+  if (!text || typeof text !== "string") return null;
+  const start = text.indexOf("{");
+  if (start === -1) return null;
+  const src = text.slice(start);
+
+  const stack = [];
+  const cuts = []; // { end, closers } - prefixes that are valid once closed
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (c === "\\") escaped = true;
+      else if (c === '"') inString = false;
+      continue;
+    }
+    if (c === '"') {
+      inString = true;
+    } else if (c === "{" || c === "[") {
+      stack.push(c === "{" ? "}" : "]");
+      cuts.push({ end: i + 1, closers: stack.slice().reverse().join("") });
+    } else if (c === "}" || c === "]") {
+      stack.pop();
+      cuts.push({ end: i + 1, closers: stack.slice().reverse().join("") });
+    } else if (c === ",") {
+      cuts.push({ end: i, closers: stack.slice().reverse().join("") });
+    }
+  }
+
+  const attempts = [];
+  // Mid-string: keep the words streamed so far (only valid inside a value).
+  if (inString && !escaped) attempts.push(src + '"' + stack.slice().reverse().join(""));
+  for (let i = cuts.length - 1; i >= 0; i--) {
+    attempts.push(src.slice(0, cuts[i].end) + cuts[i].closers);
+  }
+
+  for (const candidate of attempts) {
+    try {
+      const parsed = JSON.parse(candidate);
+      if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) return parsed;
+    } catch (e) {
+      // back off to the previous boundary
+    }
+  }
+  return null;
+}
+
+function asString(value) {
+  if (typeof value === "string") return value.trim();
+  if (typeof value === "number") return String(value);
+  return "";
+}
+
+function asNullableString(value) {
+  const str = asString(value);
+  return str ? str : null;
+}
+
+function asArray(value) {
+  if (Array.isArray(value)) return value;
+  if (value === undefined || value === null || value === "") return [];
+  return [value];
+}
+
+/*
+  Coerce a parsed model reply into SUMMARY_SCHEMA.
+  ctx.utteranceIds: Set of real transcript ids (unknown ids are dropped)
+  Returns { summary, issues } where issues lists every repair made.
+*/
+export function normalizeSummary(candidate, { utteranceIds = null } = {}) {
+  const issues = [];
+  const src = candidate && typeof candidate === "object" ? candidate : {};
+  const knownId = (id) => !utteranceIds || utteranceIds.has(id);
+
+  for (const key of ["overview", "decisions", "actionItems", "inclusivity"]) {
+    if (!(key in src)) issues.push(`missing "${key}"`);
+  }
+
+  const overview = asArray(src.overview)
+    .map((item) => asString(typeof item === "object" ? item?.text : item))
+    .filter(Boolean);
+
+  const decisions = asArray(src.decisions)
+    .map((item) => {
+      const text = asString(typeof item === "object" ? item?.text : item);
+      if (!text) return null;
+      const ids = asArray(item?.sourceUtteranceIds).map(asString).filter(Boolean);
+      const kept = ids.filter(knownId);
+      if (kept.length !== ids.length) issues.push(`dropped unknown utterance ids on decision "${text.slice(0, 40)}"`);
+      return { text, sourceUtteranceIds: kept };
+    })
+    .filter(Boolean);
+
+  const actionItems = asArray(src.actionItems)
+    .map((item) => {
+      const task = asString(typeof item === "object" ? item?.task ?? item?.text : item);
+      if (!task) return null;
+      let sourceUtteranceId = asNullableString(item?.sourceUtteranceId);
+      if (sourceUtteranceId && !knownId(sourceUtteranceId)) {
+        issues.push(`dropped unknown utterance id on action "${task.slice(0, 40)}"`);
+        sourceUtteranceId = null;
+      }
+      let dueDate = asNullableString(item?.dueDate);
+      if (dueDate && !/^\d{4}-\d{2}-\d{2}$/.test(dueDate)) {
+        const parsed = Date.parse(dueDate);
+        if (Number.isNaN(parsed)) {
+          // Keep relative phrases ("Thursday") rather than losing them.
+          issues.push(`non-ISO due date "${dueDate}" kept as text`);
+        } else {
+          // Local date parts: toISOString() could shift the day by timezone.
+          const d = new Date(parsed);
+          dueDate = [
+            d.getFullYear(),
+            String(d.getMonth() + 1).padStart(2, "0"),
+            String(d.getDate()).padStart(2, "0"),
+          ].join("-");
+        }
+      }
+      return {
+        task,
+        owner: asNullableString(item?.owner),
+        dueDate,
+        sourceUtteranceId,
+      };
+    })
+    .filter(Boolean);
+
+  const inclusivity = asArray(src.inclusivity)
+    .map((item) => {
+      const finding = asString(typeof item === "object" ? item?.finding ?? item?.text : item);
+      if (!finding) return null;
+      let severity = asString(item?.severity).toLowerCase();
+      if (!SEVERITIES.includes(severity)) {
+        if (severity) issues.push(`unknown severity "${severity}" -> "info"`);
+        severity = "info";
+      }
+      return {
+        finding,
+        severity,
+        speakers: asArray(item?.speakers).map(asString).filter(Boolean),
+      };
+    })
+    .filter(Boolean);
+
+  return { summary: { overview, decisions, actionItems, inclusivity }, issues };
+}
+
+export function isEmptySummary(summary) {
+  return (
+    !summary ||
+    (!summary.overview.length &&
+      !summary.decisions.length &&
+      !summary.actionItems.length &&
+      !summary.inclusivity.length)
+  );
+}
+
+// Markdown rendering, kept as state.summary.text for older clients and exports.
+export function summaryToMarkdown(summary) {
+  const bullets = (items) => (items.length ? items.map((i) => `- ${i}`) : ["- None recorded."]);
+  const lines = [
+    "## Overview",
+    ...bullets(summary.overview),
+    "",
+    "## Decisions",
+    ...bullets(summary.decisions.map((d) => d.text)),
+    "",
+    "## Action Items",
+    ...bullets(
+      summary.actionItems.map((a) => {
+        const meta = [a.owner && `owner: ${a.owner}`, a.dueDate && `due: ${a.dueDate}`]
+          .filter(Boolean)
+          .join(", ");
+        return meta ? `${a.task} (${meta})` : a.task;
+      })
+    ),
+    "",
+    "## Inclusivity & Participation",
+    ...bullets(summary.inclusivity.map((f) => `[${f.severity}] ${f.finding}`)),
+  ];
+  return lines.join("\n");
+}
@@ -0,0 +1,164 @@
+// backend/lib/transcriptExport.mjs
+import { callOriginSec, callOffsetSec } from "./callClock.mjs";
+
+/* -------------------------------------------
+   TRANSCRIPT EXPORT (srt | vtt | md | txt | json)
+   Timestamps are relative to the call start (lib/callClock.mjs), the same
+   clock search from/to uses.
+--------------------------------------------*/
+
+export const EXPORT_FORMATS = {
+  srt: { contentType: "application/x-subrip; charset=utf-8", extension: "srt" },
+  vtt: { contentType: "text/vtt; charset=utf-8", extension: "vtt" },
+  md: { contentType: "text/markdown; charset=utf-8", extension: "md" },
+  txt: { contentType: "text/plain; charset=utf-8", extension: "txt" },
+  json: { contentType: "application/json; charset=utf-8", extension: "json" },
+};
+
+// Cues need a visible duration even when Recall gave a single timestamp.
+const MIN_CUE_SEC = 1;
+
+function isNum(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+// Utterances with relative start/end seconds, sorted, plus the call start.
+export function timedUtterances(transcripts, state = null) {
+  const origin = callOriginSec(state, transcripts);
+  const offset = callOffsetSec(state, transcripts);
+
+  let cursor = 0;
+  const rows = transcripts
+    .map((t, index) => ({ t, index }))
+    .sort((a, b) => {
+      const sa = isNum(a.t.startSec) ? a.t.startSec : Number.POSITIVE_INFINITY;
+      const sb = isNum(b.t.startSec) ? b.t.startSec : Number.POSITIVE_INFINITY;
+      return sa - sb || a.index - b.index;
+    })
+    .map(({ t }) => {
+      // Untimed lines are placed right after the previous cue.
+      const start = isNum(t.startSec) ? Math.max(0, t.startSec - offset) : cursor;
+      const rawEnd = isNum(t.endSec) ? t.endSec - offset : start;
+      const end = Math.max(rawEnd, start + MIN_CUE_SEC);
+      cursor = end;
+      return {
+        id: t.id,
+        speakerId: t.speakerId ?? null,
+        speakerName: t.speakerName || "Unknown",
+        text: String(t.text || "").trim(),
+        startSec: start,
+        endSec: end,
+      };
+    })
+    .filter((u) => u.text);
+
+  return {
+    utterances: rows,
+    callStartedAt: origin !== null ? new Date(origin * 1000).toISOString() : null,
+  };
+}
+
+function clock(sec, msSeparator) {
+  const totalMs = Math.round(Math.max(0, sec) * 1000);
+  const h = Math.floor(totalMs / 3600000);
+  const m = Math.floor((totalMs % 3600000) / 60000);
+  const s = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (n, w = 2) => String(n).padStart(w, "0");
+  const base = `${pad(h)}:${pad(m)}:${pad(s)}`;
+  return msSeparator ? `${base}${msSeparator}${pad(ms, 3)}` : base;
+}
+
+function toSrt(utterances) {
+  return (
+    utterances
+      .map(
+        (u, i) =>
+          `${i + 1}\n${clock(u.startSec, ",")} --> ${clock(u.endSec, ",")}\n${u.speakerName}: ${u.text}`
+      )
+      .join("\n\n") + "\n"
+  );
+}
+
+function escapeVtt(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function toVtt(utterances) {
+  const cues = utterances.map(
+    (u, i) =>
+      `${i + 1}\n${clock(u.startSec, ".")} --> ${clock(u.endSec, ".")}\n<v ${escapeVtt(
+        u.speakerName
+      )}>${escapeVtt(u.text)}`
+  );
+  return ["WEBVTT", ...cues].join("\n\n") + "\n";
+}
+
+function escapeMarkdown(text) {
+  return text.replace(/([\\`*_[\]<>#|])/g, "\\$1");
+}
+
+// Plain paragraphs + bold speaker labels: converts cleanly with pandoc -o .docx
+function toMarkdown(utterances, meta) {
+  const participants = [...new Set(utterances.map((u) => u.speakerName))];
+  const lines = [
+    "# Meeting transcript",
+    "",
+    ...(meta.meetingUrl ? [`- **Meeting:** ${meta.meetingUrl}`] : []),
+    ...(meta.callStartedAt ? [`- **Started:** ${meta.callStartedAt}`] : []),
+    ...(meta.endedAt ? [`- **Ended:** ${meta.endedAt}`] : []),
+    `- **Participants:** ${participants.map(escapeMarkdown).join(", ") || "none"}`,
+    "",
+  ];
+  for (const u of utterances) {
+    lines.push(`**[${clock(u.startSec)}] ${escapeMarkdown(u.speakerName)}:** ${escapeMarkdown(u.text)}`, "");
+  }
+  return lines.join("\n");
+}
+
+function toText(utterances) {
+  return utterances.map((u) => `[${clock(u.startSec)}] ${u.speakerName}: ${u.text}`).join("\n") + "\n";
+}
+
+/*
+  Returns { body, contentType, filename } or null for an unknown format.
+*/
+export function exportTranscript(botId, state, format) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) return null;
+
+  const { utterances, callStartedAt } = timedUtterances(state.transcripts || [], state);
+  const meta = {
+    meetingUrl: state.meetingUrl || null,
+    callStartedAt,
+    endedAt: state.endedAt || null,
+  };
+
+  let body;
+  switch (format) {
+    case "srt":
+      body = toSrt(utterances);
+      break;
+    case "vtt":
+      body = toVtt(utterances);
+      break;
+    case "md":
+      body = toMarkdown(utterances, meta);
+      break;
+    case "txt":
+      body = toText(utterances);
+      break;
+    default:
+      body = JSON.stringify(
+        { botId, ...meta, exportedAt: new Date().toISOString(), utterances },
+        null,
+        2
+      );
+  }
+
+  return {
+    body,
+    contentType: spec.contentType,
+    filename: `transcript-${String(botId).slice(0, 8)}.${spec.extension}`,
+  };
+}
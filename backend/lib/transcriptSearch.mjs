@@ -0,0 +1,76 @@
+// backend/lib/transcriptSearch.mjs
+import { callOffsetSec } from "./callClock.mjs";
+
+/* -------------------------------------------
+   TRANSCRIPT SEARCH (GET /api/bots/:id/transcript)
+     q        case-insensitive text; every whitespace-separated term must appear
+     speakers resolved speaker names (any of them)
+     fromSec  / toSec  seconds into the call, inclusive (lib/callClock.mjs,
+                       the same clock as the export)
+     all      also keep lines that pass the speaker/time filters but not q
+              (matches: null), for clients that highlight in context
+   Each hit carries matches: [[start, end], ...] character ranges of the
+   terms in its text, so clients can highlight without re-searching; the
+   console renders these rather than searching itself.
+--------------------------------------------*/
+
+export function searchTerms(q) {
+  return String(q || "")
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+// [[start, end], ...] sorted, overlaps merged; null when a term is missing.
+export function matchRanges(text, terms) {
+  const lower = String(text || "").toLowerCase();
+  const ranges = [];
+  for (const term of terms) {
+    let idx = lower.indexOf(term);
+    if (idx === -1) return null;
+    while (idx !== -1) {
+      ranges.push([idx, idx + term.length]);
+      idx = lower.indexOf(term, idx + term.length);
+    }
+  }
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+    else merged.push([...range]);
+  }
+  return merged;
+}
+
+/*
+  transcripts: resolved utterances (speakerName, text, startSec).
+  state: the bot, for the call start (recording / createdAt).
+  Returns { total, matched, transcripts } with offset/limit applied last;
+  matched counts every line in the result, before paging.
+*/
+export function searchTranscript(
+  transcripts,
+  { q, speakers = [], fromSec, toSec, all = false, offset = 0, limit, state = null } = {}
+) {
+  const terms = searchTerms(q);
+  const wanted = new Set(speakers.filter(Boolean));
+  const baseSec = callOffsetSec(state, transcripts);
+
+  const hits = [];
+  for (const t of transcripts) {
+    if (wanted.size && !wanted.has(t.speakerName)) continue;
+    if (Number.isFinite(fromSec) || Number.isFinite(toSec)) {
+      if (!Number.isFinite(t.startSec)) continue;
+      const at = t.startSec - baseSec;
+      if (Number.isFinite(fromSec) && at < fromSec) continue;
+      if (Number.isFinite(toSec) && at > toSec) continue;
+    }
+    const matches = terms.length ? matchRanges(t.text, terms) : [];
+    if (!matches && !all) continue;
+    hits.push({ ...t, offsetSec: Number.isFinite(t.startSec) ? t.startSec - baseSec : null, matches });
+  }
+
+  const end = Number.isFinite(limit) ? offset + limit : undefined;
+  return { total: transcripts.length, matched: hits.length, transcripts: hits.slice(offset, end) };
+}
@@ -0,0 +1,292 @@
+// scripts/mock-recall.js
+// Local stand-in for the Recall.ai bot API so the app runs with zero network.
+//
+//   npm run mock:recall -- [--scenario scenarios/standup.json] [--speed 1]
+//
+// Then in backend/.env:
+//   RECALL_BASE=http://localhost:8900/api/v1
+//   PUBLIC_BASE_URL=http://localhost:8000
+import "dotenv/config";
+import crypto from "crypto";
+import express from "express";
+import {
+    loadScenario,
+    replayScenario,
+    buildWebhookTimeline,
+    postWebhook,
+} from "../lib/scenario.mjs";
+
+const PORT = parseInt(process.env.MOCK_RECALL_PORT || "8900", 10);
+const ORIGIN = `http://localhost:${PORT}`;
+
+function argValue(name, fallback) {
+    const idx = process.argv.indexOf(`--${name}`);
+    return idx !== -1 && process.argv[idx + 1] ? process.argv[idx + 1] : fallback;
+}
+
+const scenarioFile = argValue("scenario", process.env.MOCK_SCENARIO || "scenarios/standup.json");
+const speed = parseFloat(argValue("speed", process.env.MOCK_SPEED || "1"));
+const scenario = loadScenario(scenarioFile);
+
+/* ---------------------------------------------
+   Fake bot registry
+--------------------------------------------- */
+const bots = new Map(); // id -> { id, meeting_url, join_at, webhookUrl, status_changes, replay, timer, startMs, recording }
+const transcripts = new Map(); // id -> { id, botId, status }
+
+function requireAuth(req, res, next) {
+    if (!/^Token\s+\S+/.test(req.get("authorization") || "")) {
+        return res.status(401).json({ detail: "Authentication credentials were not provided." });
+    }
+    next();
+}
+
+function publicBot(bot) {
+    return {
+        id: bot.id,
+        meeting_url: bot.meeting_url,
+        join_at: bot.join_at,
+        status_changes: bot.status_changes,
+        recordings: bot.recording ? [publicRecording(bot)] : [],
+    };
+}
+
+function publicRecording(bot) {
+    const { recording } = bot;
+    const done = recording.status === "done";
+    return {
+        id: recording.id,
+        created_at: recording.created_at,
+        started_at: recording.created_at,
+        status: { code: recording.status },
+        media_shortcuts: {
+            audio_mixed: {
+                status: { code: recording.status },
+                format: "wav",
+                data: { download_url: done ? `${ORIGIN}/media/${bot.id}/audio.wav` : null },
+            },
+        },
+    };
+}
+
+function publicTranscript(t) {
+    return {
+        id: t.id,
+        status: { code: t.status },
+        data: { download_url: t.status === "done" ? `${ORIGIN}/media/transcripts/${t.id}.json` : null },
+    };
+}
+
+// Recall processes the recording for a while after the call; here a second.
+function finishRecording(bot) {
+    if (!bot.startMs || bot.recording) return;
+    bot.recording = { id: crypto.randomUUID(), created_at: new Date(bot.startMs).toISOString(), status: "processing" };
+    setTimeout(() => {
+        bot.recording.status = "done";
+        console.log(`[MockRecall] Recording ${bot.recording.id} done for bot ${bot.id}`);
+        if (bot.webhookUrl) {
+            const payload = {
+                event: "recording.done",
+                data: { data: { code: "done" }, recording: { id: bot.recording.id }, bot: { id: bot.id } },
+            };
+            postWebhook(bot.webhookUrl, payload, (process.env.RECALL_WEBHOOK_SECRET || "").trim()).catch(() => {});
+        }
+    }, 1000);
+}
+
+const app = express();
+app.use(express.json());
+app.use("/api/v1", requireAuth);
+
+/* ---------------------------------------------
+   POST /api/v1/bot/  -> create bot + replay the scenario (at join_at if scheduled)
+--------------------------------------------- */
+app.post("/api/v1/bot/", (req, res) => {
+    const {
+        meeting_url: meetingUrl,
+        join_at: joinAt,
+        bot_name: botName,
+        recording_config: recordingConfig,
+    } = req.body || {};
+    if (!meetingUrl) {
+        return res.status(400).json({ meeting_url: ["This field is required."] });
+    }
+    const joinAtMs = joinAt ? Date.parse(joinAt) : null;
+    if (joinAt && Number.isNaN(joinAtMs)) {
+        return res.status(400).json({ join_at: ["Enter a valid date/time."] });
+    }
+
+    const webhook = (recordingConfig?.realtime_endpoints || []).find(
+        (e) => e.type === "webhook"
+    );
+    const bot = {
+        id: crypto.randomUUID(),
+        meeting_url: meetingUrl,
+        join_at: joinAt || null,
+        webhookUrl: webhook?.url || null,
+        status_changes: [{ code: "ready", created_at: new Date().toISOString() }],
+        replay: new AbortController(),
+        timer: null,
+    };
+    bots.set(bot.id, bot);
+    console.log(
+        `[MockRecall] Created bot ${bot.id}${botName ? ` "${botName}"` : ""} for ${meetingUrl}` +
+            (joinAt ? ` joining at ${joinAt}` : "")
+    );
+
+    // Scheduled bots start replaying at join_at
+    const delayMs = joinAtMs ? Math.max(0, joinAtMs - Date.now()) : 0;
+    bot.timer = setTimeout(() => startReplay(bot), delayMs);
+    res.status(201).json(publicBot(bot));
+});
+
+function startReplay(bot) {
+    bot.timer = null;
+    bot.startMs = Date.now();
+    if (bot.webhookUrl) {
+        console.log(`[MockRecall] Replaying "${scenario.name}" to ${bot.webhookUrl} at ${speed}x`);
+        replayScenario({
+            scenario,
+            botId: bot.id,
+            webhookUrl: bot.webhookUrl,
+            speed,
+            secret: (process.env.RECALL_WEBHOOK_SECRET || "").trim(),
+            signal: bot.replay.signal,
+            startMs: bot.startMs,
+            // Scripted status webhooks also show up in GET /bot/{id}/
+            onEvent: (atSec, payload) => {
+                if (!payload.event.startsWith("bot.")) return;
+                const { code, sub_code: subCode, updated_at: createdAt } = payload.data.data;
+                bot.status_changes.push({ code, sub_code: subCode, created_at: createdAt });
+            },
+        }).then(({ sent, aborted }) => {
+            console.log(`[MockRecall] Bot ${bot.id}: sent ${sent} events${aborted ? " (stopped early)" : ""}`);
+            finishRecording(bot);
+        });
+    } else {
+        console.warn("[MockRecall] No webhook realtime endpoint in payload; nothing to replay.");
+    }
+}
+
+app.get("/api/v1/bot/:id/", (req, res) => {
+    const bot = bots.get(req.params.id);
+    if (!bot) return res.status(404).json({ detail: "Not found." });
+    res.json(publicBot(bot));
+});
+
+// Only scheduled bots that haven't joined yet can be deleted
+app.delete("/api/v1/bot/:id/", (req, res) => {
+    const bot = bots.get(req.params.id);
+    if (!bot) return res.status(404).json({ detail: "Not found." });
+    if (!bot.timer) {
+        return res.status(400).json({ detail: "Only scheduled bots that have not joined can be deleted." });
+    }
+    clearTimeout(bot.timer);
+    bots.delete(bot.id);
+    console.log(`[MockRecall] Deleted scheduled bot ${bot.id}`);
+    res.status(204).end();
+});
+
+app.post("/api/v1/bot/:id/stop_recording/", (req, res) => {
+    const bot = bots.get(req.params.id);
+    if (!bot) return res.status(404).json({ detail: "Not found." });
+    bot.replay.abort();
+    console.log(`[MockRecall] stop_recording ${bot.id}`);
+    res.json({});
+});
+
+app.post("/api/v1/bot/:id/leave_call/", (req, res) => {
+    const bot = bots.get(req.params.id);
+    if (!bot) return res.status(404).json({ detail: "Not found." });
+    bot.replay.abort();
+    const now = new Date().toISOString();
+    bot.status_changes.push(
+        { code: "call_ended", sub_code: "bot_received_leave_call", created_at: now },
+        { code: "done", created_at: now }
+    );
+    console.log(`[MockRecall] leave_call ${bot.id}`);
+    finishRecording(bot);
+    res.json(publicBot(bot));
+});
+
+/* ---------------------------------------------
+   Async transcript: POST create_transcript -> processing for a second -> done
+--------------------------------------------- */
+app.post("/api/v1/recording/:id/create_transcript/", (req, res) => {
+    const bot = [...bots.values()].find((b) => b.recording?.id === req.params.id);
+    if (!bot) return res.status(404).json({ detail: "Not found." });
+    if (bot.recording.status !== "done") {
+        return res.status(400).json({ detail: "Recording is not done yet." });
+    }
+    const t = { id: crypto.randomUUID(), botId: bot.id, status: "processing" };
+    transcripts.set(t.id, t);
+    setTimeout(() => {
+        t.status = "done";
+    }, 1000);
+    console.log(`[MockRecall] Async transcript ${t.id} for bot ${bot.id}`);
+    res.json(publicTranscript(t));
+});
+
+app.get("/api/v1/transcript/:id/", (req, res) => {
+    const t = transcripts.get(req.params.id);
+    if (!t) return res.status(404).json({ detail: "Not found." });
+    res.json(publicTranscript(t));
+});
+
+/* ---------------------------------------------
+   Download URLs (pre-signed S3 links in the real API, no auth)
+--------------------------------------------- */
+// The scripted utterances as Recall's transcript download
+app.get("/media/transcripts/:file", (req, res) => {
+    const t = transcripts.get(req.params.file.replace(/\.json$/, ""));
+    const bot = t && bots.get(t.botId);
+    if (!bot || t.status !== "done") return res.status(404).end();
+    const entries = buildWebhookTimeline(scenario, bot.id, bot.startMs)
+        .filter(({ payload }) => payload.event === "transcript.data")
+        .map(({ payload }) => ({
+            participant: payload.data.data.participant,
+            words: payload.data.data.words,
+        }));
+    res.json(entries);
+});
+
+// 8 kHz mono WAV as long as the scenario: a soft tone per speaker while they talk
+app.get("/media/:id/audio.wav", (req, res) => {
+    const bot = bots.get(req.params.id);
+    if (!bot?.recording || bot.recording.status !== "done") return res.status(404).end();
+    const rate = 8000;
+    const utterances = scenario.events.filter((e) => e.type === "utterance");
+    const endSec = Math.max(
+        1,
+        ...scenario.events.map((e) => (Number(e.at) || 0) + (Number(e.duration) || 0))
+    );
+    const samples = Buffer.alloc(Math.ceil(endSec * rate), 128);
+    const speakers = [...new Set(utterances.map((u) => u.participant))];
+    for (const u of utterances) {
+        const freq = 180 + 60 * speakers.indexOf(u.participant);
+        const from = Math.floor((Number(u.at) || 0) * rate);
+        const to = Math.min(samples.length, from + Math.floor((Number(u.duration) || 1) * rate));
+        for (let i = from; i < to; i++) {
+            samples[i] = 128 + Math.round(24 * Math.sin((2 * Math.PI * freq * i) / rate));
+        }
+    }
+    const header = Buffer.alloc(44);
+    header.write("RIFF", 0);
+    header.writeUInt32LE(36 + samples.length, 4);
+    header.write("WAVEfmt ", 8);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20); // PCM
+    header.writeUInt16LE(1, 22); // mono
+    header.writeUInt32LE(rate, 24);
+    header.writeUInt32LE(rate, 28);
+    header.writeUInt16LE(1, 32);
+    header.writeUInt16LE(8, 34);
+    header.write("data", 36);
+    header.writeUInt32LE(samples.length, 40);
+    res.type("audio/wav").send(Buffer.concat([header, samples]));
+});
+
+app.listen(PORT, () => {
+    console.log(`[MockRecall] Listening on http://localhost:${PORT}/api/v1`);
+    console.log(`[MockRecall] Scenario: ${scenarioFile} (${scenario.events.length} events)`);
+});
@@ -0,0 +1,40 @@
+// scripts/replay-scenario.js
+// POST a scenario's Recall webhooks straight at the backend, no mock needed.
+//
+//   npm run replay -- scenarios/standup.json [--bot <botId>] [--speed 10]
+//                     [--url http://localhost:8000/api/recall/webhook]
+//
+// Without --bot a fresh id is used; open it via /api/bots/<id>/state.
+import "dotenv/config";
+import crypto from "crypto";
+import { loadScenario, replayScenario } from "../lib/scenario.mjs";
+
+function argValue(name, fallback) {
+    const idx = process.argv.indexOf(`--${name}`);
+    return idx !== -1 && process.argv[idx + 1] ? process.argv[idx + 1] : fallback;
+}
+
+const scenarioFile = process.argv[2] && !process.argv[2].startsWith("--")
+    ? process.argv[2]
+    : "scenarios/standup.json";
+const port = process.env.PORT || 8000;
+const webhookUrl = argValue("url", `http://localhost:${port}/api/recall/webhook`);
+const botId = argValue("bot", crypto.randomUUID());
+const speed = parseFloat(argValue("speed", "1"));
+
+const scenario = loadScenario(scenarioFile);
+console.log(`[Replay] "${scenario.name}" -> ${webhookUrl}`);
+console.log(`[Replay] bot=${botId} speed=${speed}x`);
+
+const { sent } = await replayScenario({
+    scenario,
+    botId,
+    webhookUrl,
+    speed,
+    secret: (process.env.RECALL_WEBHOOK_SECRET || "").trim(),
+    onEvent: (atSec, payload) => {
+        console.log(`[Replay] +${atSec.toFixed(1)}s ${payload.event}`);
+    },
+});
+
+console.log(`[Replay] Done: ${sent} events posted for bot ${botId}`);
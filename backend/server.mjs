@@ -5,6 +5,52 @@ import chokidar from "chokidar";
 import dotenv from "dotenv";
 import dotenvExpand from "dotenv-expand";
 import fetch from "node-fetch";
+import path from "path";
+import { createStore } from "./lib/storage.mjs";
+import { createEventHub } from "./lib/events.mjs";
+import { verifyRecallSignature, createReplayGuard } from "./lib/recallSignature.mjs";
+import { getLLMProvider, resetLLMProvider, LLMError } from "./lib/llm.mjs";
+import { summarizeMeeting } from "./lib/summarize.mjs";
+import { EXPORT_FORMATS, exportTranscript } from "./lib/transcriptExport.mjs";
+import { searchTranscript } from "./lib/transcriptSearch.mjs";
+import {
+  speakerDirectory,
+  invalidateSpeakerDirectory,
+  noteUtterance,
+  resolveTranscripts,
+  resolveUtterance,
+  mergeSpeakers,
+  unmergeSpeaker,
+  relabelSpeaker,
+  mergeRejoinedParticipant,
+  canonicalSpeakerKey,
+} from "./lib/speakers.mjs";
+import { createPolicyStore, validatePolicy } from "./lib/policies.mjs";
+import { detectInterruptions } from "./lib/interruptions.mjs";
+import { speechTimeStats } from "./lib/speechTime.mjs";
+import { seriesFor, participationSnapshot, buildSeriesTrends } from "./lib/series.mjs";
+import { createScheduler } from "./lib/scheduler.mjs";
+import { readCalendarSource, planCalendarImport } from "./lib/calendar.mjs";
+import { parseMeetingUrl, PLATFORM_LABELS } from "./lib/meetingLinks.mjs";
+import {
+  DEFAULT_BOT_OPTIONS,
+  validateBotOptions,
+  describeBotOptions,
+  validatePreset,
+  createPresetStore,
+} from "./lib/botOptions.mjs";
+import {
+  TERMINAL_STATUSES,
+  statusFromWebhook,
+  statusesFromBot,
+  applyStatusChange,
+} from "./lib/botStatus.mjs";
+import {
+  latestRecording,
+  transcriptArtifact,
+  utterancesFromTranscript,
+  createMediaStore,
+} from "./lib/recordings.mjs";
 
 /* -------------------------------------------
    ENV HOT RELOAD (dotenv + chokidar)
@@ -12,10 +58,14 @@ import fetch from "node-fetch";
 function loadEnv() {
   const envConfig = dotenv.config({ override: true });
   dotenvExpand.expand(envConfig);
+  resetLLMProvider();
   console.log("[ENV] Reloaded environment variables.");
   if (process.env.PUBLIC_BASE_URL) {
     console.log("[ENV] Using PUBLIC_BASE_URL:", process.env.PUBLIC_BASE_URL);
   }
+  if (!process.env.RECALL_WEBHOOK_SECRET) {
+    console.warn("[ENV] RECALL_WEBHOOK_SECRET not set — webhook signatures are NOT verified.");
+  }
 }
 loadEnv();
 
@@ -29,7 +79,16 @@ chokidar.watch(".env").on("change", () => {
    EXPRESS SETUP
 --------------------------------------------*/
 const app = express();
-app.use(express.json());
+app.use(
+  express.json({
+    // Uploaded .ics calendars easily pass the 100kb default.
+    limit: "5mb",
+    // Keep the exact bytes Recall signed; re-serialized JSON won't match.
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/api/recall/webhook")) req.rawBody = buf;
+    },
+  })
+);
 app.use(cors());
 
 /* -------------------------------------------
@@ -40,30 +99,203 @@ const RECALL_API_KEY = process.env.RECALL_API_KEY;
 const RECALL_REGION = process.env.RECALL_REGION || "us-west-2";
 
 // Correct base per docs: https://$REGION.recall.ai/api/v1
-//   - Create bot: POST /bot/
+//   - Create bot: POST /bot/ (join_at schedules it)
+//   - Bot status: GET /bot/{id}/ (status_changes, recordings)
+//   - Async transcript: POST /recording/{id}/create_transcript/, GET /transcript/{id}/
+//   - Delete scheduled bot: DELETE /bot/{id}/
 //   - Stop recording: POST /bot/{id}/stop_recording/
 //   - Leave call: POST /bot/{id}/leave_call/
-const RECALL_BASE = `https://${RECALL_REGION}.recall.ai/api/v1`;
+// RECALL_BASE overrides it, e.g. http://localhost:8900/api/v1 for the
+// offline simulator (npm run mock:recall).
+const RECALL_BASE = (
+  process.env.RECALL_BASE || `https://${RECALL_REGION}.recall.ai/api/v1`
+).replace(/\/+$/, "");
+
+// Max clock skew (seconds) accepted on signed webhooks.
+const WEBHOOK_TOLERANCE_SEC = parseInt(
+  process.env.RECALL_WEBHOOK_TOLERANCE_SEC || "300",
+  10
+);
+const isReplayedWebhook = createReplayGuard(WEBHOOK_TOLERANCE_SEC * 2);
 
 if (!RECALL_API_KEY) {
   throw new Error("RECALL_API_KEY missing in .env");
 }
 
 /* -------------------------------------------
-   BOT STATE MEMORY
+   BOT STATE MEMORY (cached in memory, persisted via lib/storage.mjs)
 --------------------------------------------*/
-const botsState = new Map();
+const store = createStore({
+  driver: process.env.STORAGE_DRIVER || "json",
+  dir: process.env.DATA_DIR || "data",
+});
+const botsState = new Map(store.loadAll());
+console.log(`[Storage] driver=${store.name} loaded ${botsState.size} bot(s)`);
+
+// A summary that was running when the process died will never finish.
+for (const state of botsState.values()) {
+  if (state.summaryProgress?.status === "running") {
+    state.summaryProgress = { status: "failed", error: "Interrupted by backend restart" };
+  }
+}
+
+// Inclusivity policy profiles (built-ins + <DATA_DIR>/policies.json)
+const policies = createPolicyStore({
+  file: store.name === "json" ? `${process.env.DATA_DIR || "data"}/policies.json` : null,
+});
+
+// Post-call audio (<DATA_DIR>/recordings/<botId>/)
+const media = createMediaStore({
+  dir: path.join(process.env.DATA_DIR || "data", "recordings"),
+});
+
+// Named bot option sets (<DATA_DIR>/bot-presets.json)
+const presets = createPresetStore({
+  file: store.name === "json" ? `${process.env.DATA_DIR || "data"}/bot-presets.json` : null,
+});
+
+function policyFor(state) {
+  return policies.resolve(state?.policyId);
+}
+
+function persistBot(botId) {
+  const state = botsState.get(botId);
+  if (state) store.save(botId, state);
+}
+
+// Make sure debounced writes hit disk before the process goes away.
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.on(signal, () => {
+    store.flush();
+    process.exit(0);
+  });
+}
+
+/* -------------------------------------------
+   LIVE EVENTS (SSE deltas for /api/bots/:id/events)
+--------------------------------------------*/
+const events = createEventHub();
+
+// Recompute participation (instead of on every poll) and push it to listeners.
+function refreshParticipation(botId, state) {
+  const pending = participationRefresh.get(botId);
+  if (pending) {
+    clearTimeout(pending.timer);
+    pending.timer = null;
+    pending.lastAt = Date.now();
+  }
+  const directory = speakerDirectory(state);
+  const participation = computeParticipationMetrics(
+    resolveTranscripts(state, directory),
+    policyFor(state),
+    speechSegmentsFor(state, directory)
+  );
+  if (!participation) return;
+  state.participation = participation;
+  // Live pushes come up to once a second; the full silence list waits for the call to end.
+  const { allPeriods, ...liveSilence } = participation.silence;
+  events.publish(
+    botId,
+    "metrics",
+    state.finalizedAt ? participation : { ...participation, silence: liveSilence }
+  );
+}
+
+// Webhooks (speech_off, transcript.data) arrive in bursts: recompute at most
+// once a second per bot, with a trailing run so the last event still counts.
+const PARTICIPATION_REFRESH_MS = 1000;
+const participationRefresh = new Map(); // botId -> { lastAt, timer }
+
+function queueParticipationRefresh(botId, state) {
+  let entry = participationRefresh.get(botId);
+  if (!entry) {
+    entry = { lastAt: 0, timer: null };
+    participationRefresh.set(botId, entry);
+  }
+  if (entry.timer) return;
+  const waitMs = entry.lastAt + PARTICIPATION_REFRESH_MS - Date.now();
+  if (waitMs <= 0) return refreshParticipation(botId, state);
+  entry.timer = setTimeout(() => refreshParticipation(botId, state), waitMs);
+}
+
+// What clients see: transcripts under resolved speaker names + the speaker list.
+function botView(state) {
+  const directory = speakerDirectory(state);
+  const transcripts = resolveTranscripts(state, directory);
+  const participation = computeParticipationMetrics(
+    transcripts,
+    policyFor(state),
+    speechSegmentsFor(state, directory)
+  );
+  if (participation) state.participation = participation;
+  return {
+    ...state,
+    transcripts,
+    asyncTranscript: describeAsyncTranscript(state.asyncTranscript),
+    speakers: directory.speakers,
+    speechSegments: speechSegmentsFor(state, directory),
+  };
+}
+
+// The refined utterances stay server-side: GET /api/bots/:id/transcript/refined
+function describeAsyncTranscript(asyncTranscript) {
+  if (!asyncTranscript) return null;
+  const { utterances, ...rest } = asyncTranscript;
+  return { ...rest, utteranceCount: (utterances || []).length };
+}
+
+function publishRecording(botId, state) {
+  events.publish(botId, "recording", {
+    recording: state.recording,
+    asyncTranscript: describeAsyncTranscript(state.asyncTranscript),
+  });
+}
+
+function publishStatus(botId, state) {
+  events.publish(botId, "status", {
+    status: state.status,
+    statusReason: state.statusReason,
+    statusHistory: state.statusHistory,
+    endedAt: state.endedAt,
+  });
+}
+
+// Renames/merges change the name on past utterances too: resend them all.
+function publishSpeakers(botId, state) {
+  const directory = speakerDirectory(state);
+  const transcripts = resolveTranscripts(state, directory);
+  rebuildDiagnostics(state, transcripts);
+  refreshParticipation(botId, state);
+  events.publish(botId, "speakers", {
+    speakers: directory.speakers,
+    transcripts,
+    speechSegments: speechSegmentsFor(state, directory),
+  });
+}
 
 function ensureBot(botId) {
   if (!botsState.has(botId)) {
     botsState.set(botId, {
       status: "created",
+      statusHistory: [],
+      statusReason: null,
+      emptySince: null,
+      finalizedAt: null,
+      meetingUrl: null,
+      platform: null,
+      botOptions: null,
+      seriesName: null,
+      policyId: null,
       participants: {},
+      speakerMerges: {},
+      speakerLabels: {},
+      speech: { open: {}, intervals: [] },
       transcripts: [],
       partialTranscript: "",
       createdAt: new Date().toISOString(),
       endedAt: null,
       summary: null,
+      participationSnapshot: null,
       diagnostics: {
         totalUtterances: 0,
         totalWords: 0,
@@ -77,6 +309,50 @@ function ensureBot(botId) {
   return botsState.get(botId);
 }
 
+/* -------------------------------------------
+   SPEECH INTERVALS (speech_on -> speech_off per participant)
+   state.speech.open       { participantId: startSec } currently talking
+   state.speech.intervals  [{ participantId, startSec, endSec }]
+   Seconds are on the same clock as word timestamps (Recall's absolute time).
+--------------------------------------------*/
+function speechClock(timestamp) {
+  return toSeconds(timestamp?.absolute ?? timestamp) ?? Date.now() / 1000;
+}
+
+function openSpeech(state, participantId, atSec) {
+  state.speech = state.speech || { open: {}, intervals: [] };
+  if (state.speech.open[participantId] === undefined) state.speech.open[participantId] = atSec;
+}
+
+// Close the participant's open interval and push it to listeners (timeline).
+function closeSpeech(botId, state, participantId, atSec) {
+  const startSec = state.speech?.open?.[participantId];
+  if (startSec === undefined) return null;
+  delete state.speech.open[participantId];
+  if (atSec <= startSec) return null;
+  const interval = { participantId, startSec, endSec: atSec };
+  state.speech.intervals.push(interval);
+  events.publish(botId, "speech", speechSegment(state, speakerDirectory(state), interval));
+  return interval;
+}
+
+function speechSegment(state, directory, interval) {
+  return {
+    participantId: interval.participantId,
+    speaker:
+      directory.byKey.get(canonicalSpeakerKey(state, `id:${interval.participantId}`))?.name ||
+      state.participants?.[interval.participantId]?.name ||
+      "Unknown",
+    startSec: interval.startSec,
+    endSec: interval.endSec,
+  };
+}
+
+// Intervals under resolved speaker names, for lib/interruptions.mjs + lib/speechTime.mjs.
+function speechSegmentsFor(state, directory = speakerDirectory(state)) {
+  return (state.speech?.intervals || []).map((i) => speechSegment(state, directory, i));
+}
+
 /* -------------------------------------------
    WEBHOOK URL (always live from .env)
 --------------------------------------------*/
@@ -121,8 +397,18 @@ function trackTranscriptDiagnostics(state, utterance) {
   entry.lastUtteranceAt = utterance.createdAt;
 }
 
+// Per-speaker counters are keyed by name; redo them after a rename/merge.
+function rebuildDiagnostics(state, resolvedTranscripts) {
+  Object.assign(state.diagnostics, {
+    totalUtterances: 0,
+    totalWords: 0,
+    perSpeaker: {},
+  });
+  resolvedTranscripts.forEach((t) => trackTranscriptDiagnostics(state, t));
+}
+
 function buildCoachWindow(state, maxTurns = 24) {
-  const transcripts = state.transcripts.slice(-maxTurns);
+  const transcripts = resolveTranscripts(state).slice(-maxTurns);
   if (!transcripts.length)
     return { windowText: "", windowWordShare: {}, windowDominantSpeaker: null };
 
@@ -159,7 +445,8 @@ function buildCoachWindow(state, maxTurns = 24) {
 }
 
 function computeDiagnostics(state) {
-  const transcripts = state.transcripts;
+  const transcripts = resolveTranscripts(state);
+  const policy = policyFor(state);
   const wordCounts = {};
   const utterCounts = {};
 
@@ -176,15 +463,19 @@ function computeDiagnostics(state) {
     wordShare[name] = totalWords > 0 ? count / totalWords : 0;
   }
 
-  const underrepresented = Object.entries(wordShare)
-    .filter(([_, s]) => s < 0.1)
-    .map(([name]) => name);
+  const underrepresented =
+    policy.underrepresentedShare === null
+      ? []
+      : Object.entries(wordShare)
+          .filter(([_, s]) => s < policy.underrepresentedShare)
+          .map(([name]) => name);
 
   return {
     totalWords,
     totalUtterances: transcripts.length,
     speakerWordShare: wordShare,
     underrepresented,
+    policy: policy.id,
   };
 }
 
@@ -213,7 +504,14 @@ function toSeconds(ts) {
   return null;
 }
 
-function computeParticipationMetrics(transcripts, windowSize = 8) {
+// policy: thresholds from lib/policies.mjs (defaults to the "default" profile)
+// speechSegments: [{ speaker, startSec, endSec }] from speech_on/off (see speechSegmentsFor)
+function computeParticipationMetrics(
+  transcripts,
+  policy = policies.resolve(),
+  speechSegments = [],
+  windowSize = 8
+) {
   if (!Array.isArray(transcripts) || !transcripts.length) {
     return null;
   }
@@ -244,16 +542,18 @@ function computeParticipationMetrics(transcripts, windowSize = 8) {
     }
   }
 
-  const underrepresented = Object.entries(speakingShare)
-    .filter(([_, share]) => share < 0.2)
-    .map(([name, share]) => ({ name, share }));
+  const underrepresented =
+    policy.underrepresentedShare === null
+      ? []
+      : Object.entries(speakingShare)
+          .filter(([_, share]) => share < policy.underrepresentedShare)
+          .map(([name, share]) => ({ name, share }));
 
-  // Turn-taking, interruptions, silence detection
-  const MIN_SILENCE_SEC = 2;
-  const INTERRUPTION_GAP_MAX = 1.5;
+  // Turn-taking, silence detection
+  const MIN_SILENCE_SEC = policy.minSilenceSec;
   let transitions = 0;
-  let interruptions = 0;
-  const interruptionCounts = {};
+  // from -> to -> { count, latencySum, latencyCount }: "to" took the floor after "from"
+  const handoffs = {};
   let prevSpeaker = null;
   let prevEnd = null;
   let firstTime = null;
@@ -332,8 +632,15 @@ function computeParticipationMetrics(transcripts, windowSize = 8) {
 
     if (prevSpeaker && curSpeaker !== prevSpeaker) {
       transitions += 1;
+      handoffs[prevSpeaker] = handoffs[prevSpeaker] || {};
+      const handoff = handoffs[prevSpeaker][curSpeaker] || { count: 0, latencySum: 0, latencyCount: 0 };
+      handoff.count += 1;
+      handoffs[prevSpeaker][curSpeaker] = handoff;
       if (prevEnd !== null && curStart !== null) {
         const gap = curStart - prevEnd;
+        // Overlapping responses count as zero latency.
+        handoff.latencySum += Math.max(0, gap);
+        handoff.latencyCount += 1;
         if (gap > longestSilence.durationSec) {
           longestSilence = {
             durationSec: gap,
@@ -341,10 +648,6 @@ function computeParticipationMetrics(transcripts, windowSize = 8) {
             toSec: curStart,
           };
         }
-        if (gap >= 0 && gap <= INTERRUPTION_GAP_MAX) {
-          interruptions += 1;
-          interruptionCounts[curSpeaker] = (interruptionCounts[curSpeaker] || 0) + 1;
-        }
       }
     }
 
@@ -369,8 +672,36 @@ function computeParticipationMetrics(transcripts, windowSize = 8) {
     prevEnd = curEnd;
   });
 
+  // Who responds to whom
+  const transitionMatrix = {};
+  for (const [from, targets] of Object.entries(handoffs)) {
+    transitionMatrix[from] = {};
+    for (const [to, h] of Object.entries(targets)) {
+      transitionMatrix[from][to] = {
+        count: h.count,
+        avgLatencySec: h.latencyCount ? h.latencySum / h.latencyCount : null,
+      };
+    }
+  }
+  const neverRespondedTo =
+    Object.keys(wordCounts).length > 1
+      ? Object.keys(wordCounts).filter((name) => !handoffs[name])
+      : [];
+
+  // Speaking time: speech_on/off intervals when Recall sent them, else word timestamps
+  const speechTime = speechTimeStats(speechSegments);
+  const speakingTimeSec = speechTime
+    ? Object.fromEntries(Object.entries(speechTime.bySpeaker).map(([name, s]) => [name, s.talkSec]))
+    : speakingTime;
+
+  // Interruptions: overlapping speech (lib/interruptions.mjs), not quick hand-offs
+  const overlap = detectInterruptions({
+    transcripts: withTiming,
+    speechSegments,
+    minOverlapSec: policy.minOverlapSec,
+  });
   const topInterrupter =
-    Object.entries(interruptionCounts).sort((a, b) => b[1] - a[1])[0] || null;
+    Object.entries(overlap.counts).sort((a, b) => b[1] - a[1])[0] || null;
   const topInterruptionCount = topInterrupter ? topInterrupter[1] : null;
 
   // Recent window dominant
@@ -403,10 +734,23 @@ function computeParticipationMetrics(transcripts, windowSize = 8) {
     dominantShare,
     underrepresented,
     transitions,
-    interruptions,
+    turnTransitions: {
+      // { from: { to: { count, avgLatencySec } } }
+      matrix: transitionMatrix,
+      // spoke, but nobody else ever took the floor after them
+      neverRespondedTo,
+    },
+    interruptions: overlap.interruptions,
     topInterrupter: topInterrupter ? topInterrupter[0] : null,
     topInterruptionCount,
-    interruptionCounts,
+    interruptionCounts: overlap.counts,
+    // { interrupter: { interrupted: n } }
+    interruptionMatrix: overlap.matrix,
+    successfulInterruptions: overlap.successful,
+    unsuccessfulInterruptions: overlap.unsuccessful,
+    backchannels: overlap.backchannels,
+    backchannelCounts: overlap.backchannelCounts,
+    interruptionEvents: overlap.events,
     turnTakingPerMin:
       durationSec && durationSec > 0 ? transitions / (durationSec / 60) : null,
     longestSilence,
@@ -418,46 +762,79 @@ function computeParticipationMetrics(transcripts, windowSize = 8) {
         firstTime !== null && lastTime !== null && lastTime > firstTime
           ? totalSilenceSec / Math.max(1, lastTime - firstTime)
           : null,
+      // The live card shows the last few; the summary page jumps to any of them.
       periods: silencePeriods.slice(-6),
+      allPeriods: silencePeriods,
     },
-    speakingTimeSec: speakingTime,
+    speakingTimeSec,
+    speakingTimeSource: speechTime ? "speech" : "words",
+    // { totalTalkSec, overlapSec, medianTurnSec, bySpeaker { talkSec, turns, medianTurnSec, overlapSec } }
+    speechTime,
     window: {
       dominantSpeaker: recentDom,
       dominantShare: recentDomShare,
     },
     durationSec,
     balance: (() => {
+      const pct = (v) => `${(v * 100).toFixed(0)}%`;
+      const silenceRatio =
+        firstTime !== null && lastTime !== null && totalSilenceSec > 0
+          ? totalSilenceSec / Math.max(1, lastTime - firstTime)
+          : null;
+      const quietest = Object.values(speakingShare).length
+        ? Math.min(...Object.values(speakingShare))
+        : null;
+
+      // Every rule the policy turns on, flagged or not, so the UI can explain the verdict.
+      const checks = [];
       const reasons = [];
-      if (dominantSpeaker && dominantShare > 0.6) {
-        reasons.push(
-          `${dominantSpeaker} has ${(dominantShare * 100).toFixed(0)}% of the words`
-        );
+      if (policy.dominantShare !== null) {
+        const flagged = !!dominantSpeaker && dominantShare > policy.dominantShare;
+        checks.push({ id: "dominance", value: dominantShare, limit: policy.dominantShare, flagged });
+        if (flagged) {
+          reasons.push(
+            `${dominantSpeaker} has ${pct(dominantShare)} of the words (limit ${pct(policy.dominantShare)})`
+          );
+        }
       }
-      if (
-        firstTime !== null &&
-        lastTime !== null &&
-        totalSilenceSec > 0 &&
-        totalSilenceSec / Math.max(1, lastTime - firstTime) > 0.35
-      ) {
-        reasons.push(
-          `Long silences: ${totalSilenceSec.toFixed(1)}s (~${(
-            (totalSilenceSec / Math.max(1, lastTime - firstTime)) *
-            100
-          ).toFixed(0)}% of call)`
-        );
+      if (policy.silenceRatio !== null) {
+        const flagged = silenceRatio !== null && silenceRatio > policy.silenceRatio;
+        checks.push({ id: "silence", value: silenceRatio, limit: policy.silenceRatio, flagged });
+        if (flagged) {
+          reasons.push(
+            `Long silences: ${totalSilenceSec.toFixed(1)}s (~${pct(silenceRatio)} of call, limit ${pct(
+              policy.silenceRatio
+            )})`
+          );
+        }
       }
-      if (underrepresented.length > 0) {
-        reasons.push(
-          `Quiet speakers: ${underrepresented
-            .map((u) => u.name || "Unknown")
-            .join(", ")}`
-        );
+      if (policy.underrepresentedShare !== null) {
+        const flagged = underrepresented.length > 0;
+        checks.push({ id: "quiet", value: quietest, limit: policy.underrepresentedShare, flagged });
+        if (flagged) {
+          reasons.push(
+            `Quiet speakers: ${underrepresented
+              .map((u) => u.name || "Unknown")
+              .join(", ")} (below ${pct(policy.underrepresentedShare)})`
+          );
+        }
       }
       return {
         status: reasons.length ? "needs_attention" : "balanced",
         reasons,
+        checks,
       };
     })(),
+    policy: {
+      id: policy.id,
+      name: policy.name,
+      description: policy.description,
+      underrepresentedShare: policy.underrepresentedShare,
+      dominantShare: policy.dominantShare,
+      silenceRatio: policy.silenceRatio,
+      minOverlapSec: policy.minOverlapSec,
+      minSilenceSec: policy.minSilenceSec,
+    },
     repetitionSummary: (() => {
       const summary = {};
       for (const [speaker, phrases] of phraseMap.entries()) {
@@ -494,94 +871,355 @@ app.get("/", (req, res) => {
 });
 
 /* -------------------------------------------
-   CREATE BOT (Recall Create Bot)
+   CREATE BOT (now, or later via lib/scheduler.mjs)
 --------------------------------------------*/
+// Recall only guarantees scheduled bots booked at least 10 minutes ahead;
+// closer join times are held in the local queue instead.
+const RECALL_SCHEDULE_MIN_LEAD_MS = 10 * 60 * 1000;
+// A join time closer than this is just "now".
+const SCHEDULE_MIN_LEAD_MS = 60 * 1000;
+
+function httpError(status, message, details) {
+  const err = new Error(message);
+  err.status = status;
+  err.details = details;
+  return err;
+}
+
+// Returns { botId }; Recall failures throw httpError (502/500).
+async function createRecallBot({ meetingUrl, joinAt = null, options = DEFAULT_BOT_OPTIONS }) {
+  const payload = {
+    meeting_url: meetingUrl,
+    ...(joinAt && { join_at: joinAt }),
+    ...(options.botName && { bot_name: options.botName }),
+    ...(options.chatMessage && {
+      chat: { on_bot_join: { send_to: "everyone", message: options.chatMessage } },
+    }),
+    ...(options.avatar && {
+      automatic_video_output: {
+        in_call_recording: { kind: "jpeg", b64_data: options.avatar.replace(/^data:[^,]*,/, "") },
+      },
+    }),
+    recording_config: {
+      ...(options.recordAudio && { audio_mixed_mp3: {} }),
+      transcript: {
+        provider: {
+          recallai_streaming: {
+            language_code: options.language,
+            mode: options.transcriptionMode,
+          },
+        },
+        diarization: {
+          use_separate_streams_when_available: true,
+        },
+      },
+      realtime_endpoints: [
+        {
+          type: "webhook",
+          url: getWebhookUrl(),
+          events: [
+            "transcript.data",
+            "transcript.partial_data",
+            "participant_events.join",
+            "participant_events.leave",
+            "participant_events.update",
+            "participant_events.speech_on",
+            "participant_events.speech_off",
+          ],
+        },
+      ],
+    },
+  };
+
+  console.log(
+    "BOT PAYLOAD →",
+    JSON.stringify(payload, (key, value) => (key === "b64_data" ? "<jpeg>" : value), 2)
+  );
+
+  const resp = await fetch(`${RECALL_BASE}/bot/`, {
+    method: "POST",
+    headers: {
+      "content-type": "application/json",
+      Authorization: `Token ${RECALL_API_KEY}`,
+    },
+    body: JSON.stringify(payload),
+  });
+
+  const raw = await resp.text();
+  let data = null;
+  try {
+    data = raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    console.error("[Recall] Non-JSON response from create bot:", raw.slice(0, 300));
+    throw httpError(502, "Unexpected response from Recall create bot", raw.slice(0, 300));
+  }
+
+  if (!resp.ok) {
+    console.error("Recall create-bot error:", data);
+    // Recall validates the link itself; say which platform it choked on.
+    const linkError = data?.meeting_url?.[0] || (resp.status === 400 && data?.detail);
+    if (linkError) {
+      const label = PLATFORM_LABELS[parseMeetingUrl(meetingUrl).platform] || "meeting";
+      throw httpError(400, `Recall rejected the ${label} link: ${linkError}`, data);
+    }
+    throw httpError(500, "Failed to create bot", data);
+  }
+  return { botId: data.id };
+}
+
+// Only bots that haven't joined yet can be deleted (scheduled ones).
+async function deleteRecallBot(botId) {
+  const resp = await fetch(`${RECALL_BASE}/bot/${encodeURIComponent(botId)}/`, {
+    method: "DELETE",
+    headers: { Authorization: `Token ${RECALL_API_KEY}` },
+  });
+  if (!resp.ok) {
+    const text = await resp.text();
+    throw new Error(`${resp.status} ${text.slice(0, 200)}`.trim());
+  }
+}
+
+function registerBot(botId, { meetingUrl, policyId, seriesName, botOptions }) {
+  const state = ensureBot(botId);
+  state.meetingUrl = meetingUrl;
+  state.platform = parseMeetingUrl(meetingUrl).platform;
+  state.botOptions = describeBotOptions(botOptions || DEFAULT_BOT_OPTIONS);
+  state.policyId = policyId || null;
+  state.seriesName = seriesName || null;
+  persistBot(botId);
+  return state;
+}
+
+// Jobs as the API returns them (the dashboard polls these; no avatar image).
+function publicJob(job) {
+  return { ...job, botOptions: describeBotOptions(job.botOptions) };
+}
+
+const scheduler = createScheduler({
+  file: store.name === "json" ? `${process.env.DATA_DIR || "data"}/schedule.json` : null,
+  createBot: (job, { joinAt }) =>
+    createRecallBot({ meetingUrl: job.meetingUrl, joinAt, options: job.botOptions || DEFAULT_BOT_OPTIONS }),
+  deleteBot: deleteRecallBot,
+  onDispatched: (job) => registerBot(job.botId, job),
+});
+
+// Shared by POST /api/bots and the calendar import. Joins now, or queues a
+// job when joinAtMs is more than a minute out. Returns { botId } or { job };
+// throws httpError.
+async function startBot({
+  meetingUrl,
+  policyId = null,
+  seriesName = null,
+  botOptions = DEFAULT_BOT_OPTIONS,
+  joinAtMs = null,
+  source = null,
+}) {
+  if (!(process.env.PUBLIC_BASE_URL || "").trim()) {
+    throw httpError(503, "PUBLIC_BASE_URL missing", "Set Cloudflare URL in .env — backend auto reloads it.");
+  }
+
+  const leadMs = joinAtMs ? joinAtMs - Date.now() : 0;
+  if (leadMs > SCHEDULE_MIN_LEAD_MS) {
+    const mode =
+      process.env.SCHEDULE_MODE === "local" || leadMs < RECALL_SCHEDULE_MIN_LEAD_MS
+        ? "local"
+        : "recall";
+    const job = await scheduler.add({
+      meetingUrl,
+      policyId,
+      seriesName,
+      botOptions,
+      joinAt: new Date(joinAtMs).toISOString(),
+      mode,
+      source,
+    });
+    return { job: publicJob(job) };
+  }
+
+  const { botId } = await createRecallBot({ meetingUrl, options: botOptions });
+  registerBot(botId, { meetingUrl, policyId, seriesName, botOptions });
+  console.log("[Bot] Created:", botId);
+  return { botId };
+}
+
+// Live check for the Meeting Link input: { ok, platform, label, url, meetingId, passcode | error }
+app.get("/api/meeting-links/parse", (req, res) => {
+  const link = parseMeetingUrl(req.query.url);
+  res.json({ ...link, label: PLATFORM_LABELS[link.platform] || null });
+});
+
 app.post("/api/bots", async (req, res) => {
   try {
-    const { meetingUrl } = req.body || {};
+    const { meetingUrl, policy: policyId, series, joinAt, preset: presetId, options } = req.body || {};
     if (!meetingUrl) {
       return res.status(400).json({ error: "meetingUrl required" });
     }
-
-    const base = (process.env.PUBLIC_BASE_URL || "").trim();
-    if (!base) {
-      return res.status(503).json({
-        error: "PUBLIC_BASE_URL missing",
-        details: "Set Cloudflare URL in .env — backend auto reloads it.",
-      });
+    const link = parseMeetingUrl(meetingUrl);
+    if (!link.ok) {
+      return res.status(400).json({ error: link.error, platform: link.platform });
+    }
+    if (policyId && !policies.get(policyId)) {
+      return res.status(400).json({ error: `Unknown policy "${policyId}"` });
+    }
+    const joinAtMs = joinAt ? Date.parse(joinAt) : null;
+    if (joinAt && Number.isNaN(joinAtMs)) {
+      return res.status(400).json({ error: "joinAt must be an ISO 8601 date-time" });
+    }
+    const seriesName = String(series || "").trim().slice(0, 80) || null;
+    const preset = presetId ? presets.get(presetId) : null;
+    if (presetId && !preset) {
+      return res.status(400).json({ error: `Unknown preset "${presetId}"` });
     }
+    // Explicit options win over the preset's
+    const { options: botOptions, error: optionsError } = validateBotOptions(options, preset?.options);
+    if (optionsError) return res.status(400).json({ error: optionsError });
+
+    const result = await startBot({
+      meetingUrl: link.url,
+      policyId: policyId || null,
+      seriesName,
+      botOptions,
+      joinAtMs,
+    });
+    res.status(result.job ? 202 : 200).json(result);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message, details: err.details });
+    }
+    console.error("Error in /api/bots:", err);
+    res.status(500).json({ error: "Internal error creating bot" });
+  }
+});
 
-    const payload = {
-      meeting_url: meetingUrl,
-      recording_config: {
-        audio_mixed_mp3: {},
-        transcript: {
-          provider: {
-            recallai_streaming: {
-              language_code: "en",
-              mode: "prioritize_low_latency",
-            },
-          },
-          diarization: {
-            use_separate_streams_when_available: true,
-          },
-        },
-        realtime_endpoints: [
-          {
-            type: "webhook",
-            url: getWebhookUrl(),
-            events: [
-              "transcript.data",
-              "transcript.partial_data",
-              "participant_events.join",
-              "participant_events.leave",
-              "participant_events.update",
-              "participant_events.speech_on",
-              "participant_events.speech_off",
-            ],
-          },
-        ],
-      },
-    };
+/* -------------------------------------------
+   SCHEDULED BOTS
+--------------------------------------------*/
+app.get("/api/schedule", (req, res) => {
+  res.json({ jobs: scheduler.list().map(publicJob) });
+});
 
-    console.log("BOT PAYLOAD →", JSON.stringify(payload, null, 2));
+app.delete("/api/schedule/:id", async (req, res) => {
+  const { job, error, status } = await scheduler.cancel(req.params.id);
+  if (error) return res.status(status).json({ error });
+  res.json({ job: publicJob(job) });
+});
 
-    const resp = await fetch(`${RECALL_BASE}/bot/`, {
-      method: "POST",
-      headers: {
-        "content-type": "application/json",
-        Authorization: `Token ${RECALL_API_KEY}`,
-      },
-      body: JSON.stringify(payload),
-    });
+/* -------------------------------------------
+   CALENDAR IMPORT (.ics upload or feed, see lib/calendar.mjs)
+   Body: { ics | url, include?, exclude?, policy?, preset?, series?, dryRun? }
+   dryRun returns the plan without touching the schedule; the UI previews
+   with it, then imports with the user's include/exclude picks. Recurring
+   events default to a series named after the event.
+   CALENDAR_ICS (path or feed URL) is re-imported at startup and every
+   CALENDAR_SYNC_MINUTES; it is the only way to import a local path or a
+   feed on a private address.
+--------------------------------------------*/
+function calendarWindow() {
+  const days = parseFloat(process.env.CALENDAR_HORIZON_DAYS) || 14;
+  // Leave room so nothing in the plan is close enough to "join now".
+  const fromMs = Date.now() + 2 * SCHEDULE_MIN_LEAD_MS;
+  return { fromMs, toMs: fromMs + days * 24 * 60 * 60 * 1000 };
+}
+
+async function runCalendarImport(
+  source,
+  {
+    include = [],
+    exclude = [],
+    policyId = null,
+    botOptions = DEFAULT_BOT_OPTIONS,
+    series = null,
+    dryRun = false,
+    trusted = false,
+  }
+) {
+  const text = await readCalendarSource(source, { trusted });
+  const plan = planCalendarImport(text, scheduler.list(), { include, exclude, ...calendarWindow() });
+  if (dryRun) return plan;
 
-    const raw = await resp.text();
-    let data = null;
+  for (const event of plan.events) {
+    const jobSource = { type: "ics", key: event.key, uid: event.uid, title: event.title, calendar: plan.name };
     try {
-      data = raw ? JSON.parse(raw) : null;
+      if (event.action === "cancel" || event.action === "reschedule") {
+        const { error } = await scheduler.cancel(event.jobId);
+        if (error) throw new Error(error);
+      }
+      if (event.action === "schedule" || event.action === "reschedule") {
+        const { job } = await startBot({
+          meetingUrl: event.meetingUrl,
+          policyId,
+          seriesName: series || (event.recurring ? event.title.slice(0, 80) : null),
+          botOptions,
+          joinAtMs: Date.parse(event.start),
+          source: jobSource,
+        });
+        event.jobId = job?.id || null;
+      } else if (event.action === "opt_out") {
+        event.jobId = scheduler.skip({ meetingUrl: event.meetingUrl, joinAt: event.start, source: jobSource }).id;
+      }
     } catch (e) {
-      console.error("[Recall] Non-JSON response from create bot:", raw.slice(0, 300));
-      return res.status(502).json({
-        error: "Unexpected response from Recall create bot",
-        details: raw.slice(0, 300),
-      });
+      console.error(`[Calendar] ${event.action} "${event.title}" at ${event.start} failed:`, e.message);
+      event.error = e.message;
     }
+  }
+  return plan;
+}
 
-    if (!resp.ok) {
-      console.error("Recall create-bot error:", data);
-      return res
-        .status(500)
-        .json({ error: "Failed to create bot", details: data });
-    }
+// One import at a time, so a feed sync and a manual import can't both
+// book the same new event.
+let calendarImportChain = Promise.resolve();
+function importCalendar(source, options = {}) {
+  const run = calendarImportChain.then(() => runCalendarImport(source, options));
+  calendarImportChain = run.catch(() => {});
+  return run;
+}
 
-    const botId = data.id;
-    ensureBot(botId);
-    console.log("[Bot] Created:", botId);
+async function syncCalendarFeed() {
+  const feed = (process.env.CALENDAR_ICS || "").trim();
+  if (!feed) return;
+  const source = /^(https?|webcals?):\/\//i.test(feed) ? { url: feed } : { path: feed };
+  try {
+    const plan = await importCalendar(source, { trusted: true });
+    const changes = plan.events.filter((e) => e.action !== "none" && e.action !== "keep");
+    if (changes.length) console.log(`[Calendar] Synced ${feed}: ${changes.length} change(s)`);
+  } catch (e) {
+    console.error(`[Calendar] Sync of ${feed} failed:`, e.message);
+  }
+}
 
-    res.json({ botId });
+app.post("/api/calendar/import", async (req, res) => {
+  const { ics, url, include, exclude, policy: policyId, preset: presetId, series, dryRun } = req.body || {};
+  if (req.body?.path) {
+    return res.status(400).json({ error: "path is only read from CALENDAR_ICS; upload the file instead" });
+  }
+  if (policyId && !policies.get(policyId)) {
+    return res.status(400).json({ error: `Unknown policy "${policyId}"` });
+  }
+  const preset = presetId ? presets.get(presetId) : null;
+  if (presetId && !preset) {
+    return res.status(400).json({ error: `Unknown preset "${presetId}"` });
+  }
+  if (!dryRun && !(process.env.PUBLIC_BASE_URL || "").trim()) {
+    return res.status(503).json({
+      error: "PUBLIC_BASE_URL missing",
+      details: "Set Cloudflare URL in .env — backend auto reloads it.",
+    });
+  }
+  try {
+    const plan = await importCalendar(
+      { ics, url },
+      {
+        include: Array.isArray(include) ? include : [],
+        exclude: Array.isArray(exclude) ? exclude : [],
+        policyId: policyId || null,
+        botOptions: preset?.options || DEFAULT_BOT_OPTIONS,
+        series: String(series || "").trim().slice(0, 80) || null,
+        dryRun: Boolean(dryRun),
+      }
+    );
+    res.json(plan);
   } catch (err) {
-    console.error("Error in /api/bots:", err);
-    res.status(500).json({ error: "Internal error creating bot" });
+    res.status(400).json({ error: `Could not read calendar: ${err.message}` });
   }
 });
 
@@ -590,11 +1228,34 @@ app.post("/api/bots", async (req, res) => {
 //  Payload shape (per docs):
 //    { event: "transcript.data" | "participant_events.join" | ..., 
 //      data: { bot: { id }, data: { words, participant, ... }, ... } }
+//  Bot status webhooks ("bot.joining_call", "bot.fatal", ...) are account
+//  level: point the Recall dashboard webhook at this same URL.
 // ------------------------------------------------------------
 app.post("/api/recall/webhook", (req, res) => {
+  // Secret is read live so a .env edit takes effect without a restart.
+  const secret = (process.env.RECALL_WEBHOOK_SECRET || "").trim();
+  if (secret) {
+    const check = verifyRecallSignature({
+      secret,
+      headers: req.headers,
+      rawBody: req.rawBody,
+      toleranceSec: WEBHOOK_TOLERANCE_SEC,
+    });
+    const reason = !check.ok
+      ? check.reason
+      : isReplayedWebhook(check.id)
+      ? "replayed webhook-id"
+      : null;
+    if (reason) {
+      console.warn(`[Webhook] Rejected (${reason}) ip=${req.ip} event=${req.body?.event || "?"}`);
+      // Still a 2xx: any other status makes Recall retry the delivery 60x.
+      return res.json({ ok: false, error: "invalid signature" });
+    }
+  }
+
   const event = req.body.event || req.body.type; // backwards compat
   const outer = req.body.data || {};
-  const botId = outer.bot?.id || req.body.bot_id || outer.data?.bot_id;
+  const botId = outer.bot?.id || req.body.bot_id || outer.bot_id || outer.data?.bot_id;
 
   if (!event) {
     console.warn("[Webhook] Missing event field on payload");
@@ -611,20 +1272,52 @@ app.post("/api/recall/webhook", (req, res) => {
   // For convenience, inner = outer.data (Recall calls this data.data)
   const inner = outer.data || {};
 
+  const statusChange = statusFromWebhook(event, req.body);
+  if (statusChange) {
+    console.log(
+      `[Status] bot=${botId} ${statusChange.code}${statusChange.subCode ? ` (${statusChange.subCode})` : ""}`
+    );
+    if (applyStatusChange(state, statusChange)) publishStatus(botId, state);
+    if (TERMINAL_STATUSES.has(state.status)) finalizeBot(botId, state);
+    persistBot(botId);
+    return res.json({ ok: true });
+  }
+
+  // Post-call artifacts are ready: fetch them now instead of on the next poll.
+  if (/^(recording|audio_mixed|transcript)\.(done|failed)$/.test(event || "")) {
+    console.log(`[Recording] bot=${botId} ${event}`);
+    collectRecording(botId, state);
+    return res.json({ ok: true });
+  }
+
   switch (event) {
     /* -------------------- PARTICIPANT EVENTS -------------------- */
     case "participant_events.join": {
       const p = inner.participant || outer.participant;
       if (!p) break;
 
+      const name = p.name || `User-${String(p.id).slice(0, 4)}`;
+      const rejoinedAs = state.participants[p.id]
+        ? null
+        : mergeRejoinedParticipant(state, { id: p.id, name });
       state.participants[p.id] = {
         id: p.id,
-        name: p.name || `User-${String(p.id).slice(0, 4)}`,
+        name,
         email: p.email || "",
         isHost: !!p.is_host,
         inCall: true,
         isSpeaking: false,
+        nameHistory: state.participants[p.id]?.nameHistory || [
+          { name, at: new Date().toISOString() },
+        ],
       };
+      state.emptySince = null;
+      invalidateSpeakerDirectory(state);
+      events.publish(botId, "participant", { action: "join", participant: state.participants[p.id] });
+      if (rejoinedAs) {
+        console.log(`[Speakers] bot=${botId} ${name} rejoined as id:${p.id}; merged into ${rejoinedAs}`);
+        publishSpeakers(botId, state);
+      }
       break;
     }
 
@@ -633,6 +1326,12 @@ app.post("/api/recall/webhook", (req, res) => {
       if (p && state.participants[p.id]) {
         state.participants[p.id].inCall = false;
         state.participants[p.id].isSpeaking = false;
+        const spoke = closeSpeech(botId, state, p.id, speechClock(inner.timestamp));
+        if (!Object.values(state.participants).some((other) => other.inCall)) {
+          state.emptySince = new Date().toISOString();
+        }
+        events.publish(botId, "participant", { action: "leave", participant: state.participants[p.id] });
+        if (spoke) queueParticipationRefresh(botId, state);
       }
       break;
     }
@@ -641,6 +1340,7 @@ app.post("/api/recall/webhook", (req, res) => {
       const p = inner.participant || outer.participant;
       if (!p) break;
 
+      let renamed = false;
       if (!state.participants[p.id]) {
         state.participants[p.id] = {
           id: p.id,
@@ -649,14 +1349,24 @@ app.post("/api/recall/webhook", (req, res) => {
           isHost: !!p.is_host,
           inCall: true,
           isSpeaking: false,
+          nameHistory: p.name ? [{ name: p.name, at: new Date().toISOString() }] : [],
         };
       } else {
         const existing = state.participants[p.id];
+        if (p.name && p.name !== existing.name) {
+          existing.nameHistory = existing.nameHistory || [];
+          existing.nameHistory.push({ name: p.name, at: new Date().toISOString() });
+          console.log(`[Speakers] bot=${botId} id:${p.id} renamed "${existing.name}" -> "${p.name}"`);
+          renamed = true;
+        }
         existing.name = p.name || existing.name;
         existing.email = p.email || existing.email;
         existing.isHost = !!p.is_host;
         if (typeof p.in_call === "boolean") existing.inCall = p.in_call;
       }
+      invalidateSpeakerDirectory(state);
+      events.publish(botId, "participant", { action: "update", participant: state.participants[p.id] });
+      if (renamed) publishSpeakers(botId, state);
       break;
     }
 
@@ -664,6 +1374,8 @@ app.post("/api/recall/webhook", (req, res) => {
       const p = inner.participant || outer.participant;
       if (p && state.participants[p.id]) {
         state.participants[p.id].isSpeaking = true;
+        openSpeech(state, p.id, speechClock(inner.timestamp));
+        events.publish(botId, "participant", { action: "speech_on", participant: state.participants[p.id] });
       }
       break;
     }
@@ -672,6 +1384,9 @@ app.post("/api/recall/webhook", (req, res) => {
       const p = inner.participant || outer.participant;
       if (p && state.participants[p.id]) {
         state.participants[p.id].isSpeaking = false;
+        const spoke = closeSpeech(botId, state, p.id, speechClock(inner.timestamp));
+        events.publish(botId, "participant", { action: "speech_off", participant: state.participants[p.id] });
+        if (spoke) queueParticipationRefresh(botId, state);
       }
       break;
     }
@@ -685,6 +1400,7 @@ app.post("/api/recall/webhook", (req, res) => {
         `[Webhook] partial transcript bot=${botId} words=${words.length} text="${text}"`
       );
       state.partialTranscript = text;
+      events.publish(botId, "partial", { text });
       break;
     }
 
@@ -693,7 +1409,10 @@ app.post("/api/recall/webhook", (req, res) => {
       const text = words.map((w) => w.text).join(" ").trim();
       state.partialTranscript = "";
 
-      if (!text) break;
+      if (!text) {
+        events.publish(botId, "partial", { text: "" });
+        break;
+      }
 
       const participant = inner.participant || {};
       const createdAt =
@@ -711,7 +1430,7 @@ app.post("/api/recall/webhook", (req, res) => {
       const endSec = toSeconds(endAbs || startAbs);
 
       const utter = {
-        id: inner.id || `${Date.now()}`,
+        id: inner.id || `${Date.now()}-${state.transcripts.length}`,
         speakerId: participant.id,
         speakerName: participant.name || "Unknown",
         text,
@@ -727,7 +1446,11 @@ app.post("/api/recall/webhook", (req, res) => {
         `[Webhook] transcript bot=${botId} speaker=${utter.speakerName} words=${words.length} text="${sample}"`
       );
       state.transcripts.push(utter);
-      trackTranscriptDiagnostics(state, utter);
+      noteUtterance(state, utter);
+      const resolved = resolveUtterance(state, utter, speakerDirectory(state));
+      trackTranscriptDiagnostics(state, resolved);
+      events.publish(botId, "utterance", resolved);
+      queueParticipationRefresh(botId, state);
       break;
     }
 
@@ -736,76 +1459,636 @@ app.post("/api/recall/webhook", (req, res) => {
     }
   }
 
+  persistBot(botId);
   res.json({ ok: true });
 });
 
 
+/* -------------------------------------------
+   MEETING SERIES + TRENDS (see lib/series.mjs)
+--------------------------------------------*/
+function botsInSeries(seriesId) {
+  return [...botsState.entries()]
+    .filter(([, state]) => seriesFor(state)?.id === seriesId)
+    .map(([botId, state]) => ({ botId, state }));
+}
+
+app.get("/api/series", (req, res) => {
+  const byId = new Map();
+  for (const [, state] of botsState.entries()) {
+    const series = seriesFor(state);
+    if (!series) continue;
+    const entry = byId.get(series.id) || { ...series, meetings: 0, lastMeetingAt: null };
+    entry.meetings += 1;
+    if (String(state.createdAt || "") > String(entry.lastMeetingAt || "")) {
+      entry.lastMeetingAt = state.createdAt;
+    }
+    byId.set(series.id, entry);
+  }
+  const series = [...byId.values()].sort((a, b) =>
+    String(b.lastMeetingAt || "").localeCompare(String(a.lastMeetingAt || ""))
+  );
+  res.json({ series });
+});
+
+app.get("/api/series/:id/trends", (req, res) => {
+  const bots = botsInSeries(req.params.id);
+  if (!bots.length) return res.status(404).json({ error: "Series not found" });
+  res.json({ series: seriesFor(bots[0].state), ...buildSeriesTrends(bots) });
+});
+
+// Name (or rename) a bot's series; an empty name falls back to grouping by link.
+app.put("/api/bots/:id/series", (req, res) => {
+  const botId = req.params.id;
+  const state = botsState.get(botId);
+  if (!state) return res.status(404).json({ error: "Bot not found" });
+  state.seriesName = String(req.body?.name || "").trim().slice(0, 80) || null;
+  persistBot(botId);
+  res.json(botListEntry(botId, state));
+});
+
+/* -------------------------------------------
+   POLICY PROFILES (thresholds, see lib/policies.mjs)
+--------------------------------------------*/
+app.get("/api/policies", (req, res) => {
+  res.json({ policies: policies.list() });
+});
+
+// Create or override a profile; built-in ids can be overridden per team.
+app.put("/api/policies/:id", (req, res) => {
+  const { policy, error } = validatePolicy(req.params.id, req.body);
+  if (error) return res.status(400).json({ error });
+  console.log(`[Policies] Saved "${policy.id}"`);
+  res.json(policies.save(policy));
+});
+
+/* -------------------------------------------
+   BOT PRESETS (saved create-bot options, see lib/botOptions.mjs)
+--------------------------------------------*/
+app.get("/api/bot-presets", (req, res) => {
+  res.json({ presets: presets.list(), defaults: DEFAULT_BOT_OPTIONS });
+});
+
+app.put("/api/bot-presets/:id", (req, res) => {
+  const { preset, error } = validatePreset(req.params.id, req.body);
+  if (error) return res.status(400).json({ error });
+  console.log(`[Presets] Saved "${preset.id}"`);
+  res.json(presets.save(preset));
+});
+
+app.delete("/api/bot-presets/:id", (req, res) => {
+  if (!presets.remove(req.params.id)) return res.status(404).json({ error: "Preset not found" });
+  console.log(`[Presets] Deleted "${req.params.id}"`);
+  res.json({ ok: true });
+});
+
+/* -------------------------------------------
+   LIST BOTS (dashboard)
+   Lightweight rows only; open /api/bots/:id/events for the full state.
+--------------------------------------------*/
+function botListEntry(botId, state) {
+  const participants = Object.values(state.participants || {});
+  // Bots created before platforms were stored have none yet
+  const platform = state.platform || parseMeetingUrl(state.meetingUrl).platform;
+  return {
+    id: botId,
+    status: state.status,
+    statusReason: state.statusReason || null,
+    meetingUrl: state.meetingUrl || null,
+    platform,
+    platformLabel: PLATFORM_LABELS[platform] || null,
+    series: seriesFor(state),
+    policyId: policyFor(state).id,
+    createdAt: state.createdAt,
+    endedAt: state.endedAt,
+    participantCount: participants.length,
+    inCallCount: participants.filter((p) => p.inCall !== false).length,
+    transcriptCount: (state.transcripts || []).length,
+    balance: state.participation?.balance || null,
+    hasSummary: !!state.summary,
+    summaryStatus: state.summaryProgress?.status || null,
+  };
+}
+
+app.get("/api/bots", (req, res) => {
+  const bots = [...botsState.entries()]
+    .map(([botId, state]) => botListEntry(botId, state))
+    .sort((a, b) => String(b.createdAt || "").localeCompare(String(a.createdAt || "")));
+  res.json({ bots });
+});
+
 /* -------------------------------------------
    GET BOT STATE
 --------------------------------------------*/
 app.get("/api/bots/:id/state", (req, res) => {
   const bot = botsState.get(req.params.id);
   if (!bot) return res.status(404).json({ error: "Bot not found" });
-  const participation = computeParticipationMetrics(bot.transcripts || []);
-  if (participation) {
-    bot.participation = participation;
-  }
-  res.json(bot);
+  res.json(botView(bot));
 });
 
 /* -------------------------------------------
-   STOP BOT (stop_recording + leave_call)
+   SPEAKERS (identity merge + relabel, see lib/speakers.mjs)
+   Keys look like "id:<participantId>" or "name:<speakerName>".
 --------------------------------------------*/
-app.post("/api/bots/:id/stop", async (req, res) => {
+function speakersResponse(botId, state, error, res) {
+  if (error) return res.status(400).json({ error });
+  publishSpeakers(botId, state);
+  // Post-call fixes must reach the snapshot series trends read.
+  if (state.finalizedAt) state.participationSnapshot = participationSnapshot(state.participation);
+  persistBot(botId);
+  res.json({ speakers: speakerDirectory(state).speakers });
+}
+
+app.get("/api/bots/:id/speakers", (req, res) => {
+  const bot = botsState.get(req.params.id);
+  if (!bot) return res.status(404).json({ error: "Bot not found" });
+  res.json({ speakers: speakerDirectory(bot).speakers });
+});
+
+// { from: key | [keys], into: key, label? }
+app.post("/api/bots/:id/speakers/merge", (req, res) => {
   const botId = req.params.id;
   const state = botsState.get(botId);
   if (!state) return res.status(404).json({ error: "Bot not found" });
 
+  const { from, into, label } = req.body || {};
+  const sources = (Array.isArray(from) ? from : [from]).filter(Boolean).map(String);
+  if (!sources.length || !into) {
+    return res.status(400).json({ error: "from and into speaker keys required" });
+  }
+
+  let error = mergeSpeakers(state, sources, String(into));
+  if (!error && label !== undefined) error = relabelSpeaker(state, String(into), label);
+  if (!error) console.log(`[Speakers] bot=${botId} merged ${sources.join(", ")} -> ${into}`);
+  speakersResponse(botId, state, error, res);
+});
+
+// { key } -> split a previously merged key back out
+app.post("/api/bots/:id/speakers/unmerge", (req, res) => {
+  const botId = req.params.id;
+  const state = botsState.get(botId);
+  if (!state) return res.status(404).json({ error: "Bot not found" });
+
+  const { key } = req.body || {};
+  if (!key) return res.status(400).json({ error: "key required" });
+  speakersResponse(botId, state, unmergeSpeaker(state, String(key)), res);
+});
+
+// { key, label } -> display name override ("" clears it)
+app.post("/api/bots/:id/speakers/relabel", (req, res) => {
+  const botId = req.params.id;
+  const state = botsState.get(botId);
+  if (!state) return res.status(404).json({ error: "Bot not found" });
+
+  const { key, label } = req.body || {};
+  if (!key) return res.status(400).json({ error: "key required" });
+  speakersResponse(botId, state, relabelSpeaker(state, String(key), label), res);
+});
+
+/* -------------------------------------------
+   TRANSCRIPT SEARCH (see lib/transcriptSearch.mjs)
+   ?q=&speaker=Alice&speaker=Bruno&from=1:30&to=600&all=1&source=refined&offset=&limit=
+   from/to are seconds (or m:ss) into the call, on the export's clock.
+--------------------------------------------*/
+const SEARCH_MAX_LIMIT = 500;
+
+// "90", "1:30" or "1:01:30" -> seconds; undefined when empty, NaN when invalid
+function parseClock(value) {
+  const text = String(value ?? "").trim();
+  if (!text) return undefined;
+  if (!/^\d+(?::\d{1,2}){0,2}(?:\.\d+)?$/.test(text)) return NaN;
+  return text.split(":").reduce((sum, part) => sum * 60 + Number(part), 0);
+}
+
+app.get("/api/bots/:id/transcript", (req, res) => {
+  const state = botsState.get(req.params.id);
+  if (!state) return res.status(404).json({ error: "Bot not found" });
+
+  const fromSec = parseClock(req.query.from);
+  const toSec = parseClock(req.query.to);
+  if (Number.isNaN(fromSec) || Number.isNaN(toSec)) {
+    return res.status(400).json({ error: "from/to must be seconds or m:ss" });
+  }
+  const offset = Math.max(0, parseInt(req.query.offset || "0", 10) || 0);
+  const limit = Math.min(SEARCH_MAX_LIMIT, Math.max(1, parseInt(req.query.limit || "200", 10) || 200));
+
+  let utterances = state.transcripts;
+  if (req.query.source === "refined") {
+    if (state.asyncTranscript?.status !== "done") {
+      return res.status(404).json({ error: "No refined transcript for this bot yet" });
+    }
+    utterances = state.asyncTranscript.utterances;
+  }
+  const speakers = [req.query.speaker || []].flat().map(String);
+  const all = req.query.all === "1" || req.query.all === "true";
+
+  const transcripts = resolveTranscripts({ ...state, transcripts: utterances });
+  res.json({
+    ...searchTranscript(transcripts, {
+      q: req.query.q,
+      speakers,
+      fromSec,
+      toSec,
+      all,
+      offset,
+      limit,
+      state,
+    }),
+    offset,
+    limit,
+  });
+});
+
+/* -------------------------------------------
+   TRANSCRIPT EXPORT (?format=srt|vtt|md|txt|json)
+--------------------------------------------*/
+app.get("/api/bots/:id/export", (req, res) => {
+  const botId = req.params.id;
+  const bot = botsState.get(botId);
+  if (!bot) return res.status(404).json({ error: "Bot not found" });
+
+  const format = String(req.query.format || "txt").toLowerCase();
+  const file = exportTranscript(botId, { ...bot, transcripts: resolveTranscripts(bot) }, format);
+  if (!file) {
+    return res.status(400).json({
+      error: `Unknown format "${format}" (expected one of: ${Object.keys(EXPORT_FORMATS).join(", ")})`,
+    });
+  }
+
+  res.set({
+    "Content-Type": file.contentType,
+    "Content-Disposition": `attachment; filename="${file.filename}"`,
+  });
+  res.send(file.body);
+});
+
+/* -------------------------------------------
+   LIVE BOT EVENTS (Server-Sent Events)
+   Event types: snapshot, utterance, partial, participant, speakers, metrics,
+   status, recording, summary, summary_progress.
+   Clients resume with the Last-Event-ID header (EventSource does this for
+   you) or ?lastEventId= when reconnecting by hand; ids from before a
+   backend restart get a fresh snapshot.
+--------------------------------------------*/
+app.get("/api/bots/:id/events", (req, res) => {
+  const botId = req.params.id;
+  const bot = botsState.get(botId);
+  if (!bot) return res.status(404).json({ error: "Bot not found" });
+
+  events.subscribe(botId, req, res, () => botView(bot));
+});
+
+/* -------------------------------------------
+   BOT STATUS POLL (see lib/botStatus.mjs)
+   Fallback for when Recall's status webhooks aren't pointed here (a new
+   tunnel URL each run): recent bots that haven't ended are checked every
+   STATUS_POLL_SEC (0 turns it off).
+--------------------------------------------*/
+const STATUS_POLL_MAX_AGE_MS = 6 * 60 * 60 * 1000;
+
+async function pollBotStatus(botId, state) {
+  const resp = await fetch(`${RECALL_BASE}/bot/${encodeURIComponent(botId)}/`, {
+    headers: { Authorization: `Token ${RECALL_API_KEY}`, accept: "application/json" },
+  });
+  if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+  let changed = false;
+  for (const next of statusesFromBot(await resp.json())) {
+    changed = applyStatusChange(state, next) || changed;
+  }
+  if (changed) {
+    console.log(`[Status] bot=${botId} ${state.status} (polled)`);
+    publishStatus(botId, state);
+    if (TERMINAL_STATUSES.has(state.status)) finalizeBot(botId, state);
+    persistBot(botId);
+  }
+}
+
+let pollingBots = false;
+
+async function pollActiveBots() {
+  if (pollingBots) return;
+  pollingBots = true;
   try {
-    // Stop recording
-    const stopResp = await fetch(
-      `${RECALL_BASE}/bot/${encodeURIComponent(botId)}/stop_recording/`,
-      {
-        method: "POST",
-        headers: {
-          Authorization: `Token ${RECALL_API_KEY}`,
-          accept: "application/json",
-        },
+    const cutoff = Date.now() - STATUS_POLL_MAX_AGE_MS;
+    for (const [botId, state] of botsState.entries()) {
+      if (TERMINAL_STATUSES.has(state.status) || !(Date.parse(state.createdAt) > cutoff)) continue;
+      try {
+        await pollBotStatus(botId, state);
+      } catch (e) {
+        console.warn(`[Status] Poll failed for ${botId}:`, e.message);
       }
-    );
-    const stopText = await stopResp.text();
-    if (!stopResp.ok) {
-      console.error("Recall stop_recording error:", stopText);
+    }
+  } finally {
+    pollingBots = false;
+  }
+}
+
+/* -------------------------------------------
+   CALL END (auto-finalize)
+   A bot is finalized once: from the console's End button, a terminal Recall
+   status (call_ended, done, fatal), or nobody left in the call for
+   AUTO_END_EMPTY_MINUTES (0 turns that off). Finalizing closes open speech,
+   freezes the participation snapshot and, with AUTO_SUMMARY=true, starts
+   the summary in the background.
+--------------------------------------------*/
+const AUTO_END_CHECK_MS = 30 * 1000;
+
+async function leaveCall(botId) {
+  for (const action of ["stop_recording", "leave_call"]) {
+    const resp = await fetch(`${RECALL_BASE}/bot/${encodeURIComponent(botId)}/${action}/`, {
+      method: "POST",
+      headers: {
+        Authorization: `Token ${RECALL_API_KEY}`,
+        accept: "application/json",
+      },
+    });
+    const text = await resp.text();
+    if (!resp.ok) {
+      console.error(`Recall ${action} error:`, text);
     } else {
-      console.log("[Bot] stop_recording OK for", botId);
+      console.log(`[Bot] ${action} OK for`, botId);
     }
+  }
+}
 
-    // Leave call
-    const leaveResp = await fetch(
-      `${RECALL_BASE}/bot/${encodeURIComponent(botId)}/leave_call/`,
-      {
-        method: "POST",
-        headers: {
-          Authorization: `Token ${RECALL_API_KEY}`,
-          accept: "application/json",
-        },
+// Returns false when the bot was already finalized.
+function finalizeBot(botId, state, change = null) {
+  if (state.finalizedAt) return false;
+  state.finalizedAt = new Date().toISOString();
+  if (change) applyStatusChange(state, change);
+  if (!state.endedAt) state.endedAt = state.finalizedAt;
+  state.emptySince = null;
+
+  const endedAtSec = Date.now() / 1000;
+  Object.values(state.participants).forEach((p) => {
+    p.inCall = false;
+    p.isSpeaking = false;
+    closeSpeech(botId, state, p.id, endedAtSec);
+  });
+
+  // Keep the final metrics with the bot so they survive a restart.
+  refreshParticipation(botId, state);
+  state.participationSnapshot = participationSnapshot(state.participation);
+  if (!state.recording && wantsRecording(state)) {
+    state.recording = {
+      status: "waiting",
+      recordingId: null,
+      audio: null,
+      error: null,
+      waitingSince: state.finalizedAt,
+    };
+  }
+  console.log(`[Finalize] bot=${botId} ${state.status}${state.statusReason ? `: ${state.statusReason}` : ""}`);
+  persistBot(botId);
+  publishStatus(botId, state);
+  Object.values(state.participants).forEach((p) => {
+    events.publish(botId, "participant", { action: "leave", participant: p });
+  });
+
+  autoSummarize(botId, state);
+  return true;
+}
+
+function autoSummarize(botId, state) {
+  if (process.env.AUTO_SUMMARY !== "true") return;
+  if (state.summary || state.summaryProgress?.status === "running" || !state.transcripts?.length) return;
+  let llm;
+  try {
+    llm = getLLMProvider();
+  } catch (e) {
+    console.warn(`[Finalize] No background summary for ${botId}: ${e.message}`);
+    return;
+  }
+  console.log(`[Finalize] Summarizing ${botId} in the background`);
+  generateSummary(botId, state, llm).catch((e) => {
+    console.error(`[Finalize] Background summary failed for ${botId}:`, e.message);
+  });
+}
+
+let endingEmptyCalls = false;
+
+async function endEmptyCalls() {
+  const minutes = parseFloat(process.env.AUTO_END_EMPTY_MINUTES ?? "2");
+  if (!(minutes > 0) || endingEmptyCalls) return;
+  endingEmptyCalls = true;
+  try {
+    const cutoff = Date.now() - minutes * 60 * 1000;
+    for (const [botId, state] of botsState.entries()) {
+      if (state.finalizedAt || !(Date.parse(state.emptySince) <= cutoff)) continue;
+      console.log(`[Finalize] bot=${botId} call empty since ${state.emptySince}; leaving`);
+      try {
+        await leaveCall(botId);
+      } catch (e) {
+        console.warn(`[Finalize] leave_call failed for ${botId}:`, e.message);
       }
+      // Recall's call_ended webhook may have finalized it while we waited.
+      if (state.finalizedAt) continue;
+      finalizeBot(botId, state, {
+        code: "ended",
+        subCode: null,
+        message: `Everyone left; ended after ${minutes} min with nobody in the call.`,
+        at: new Date().toISOString(),
+      });
+    }
+  } finally {
+    endingEmptyCalls = false;
+  }
+}
+
+/* -------------------------------------------
+   RECORDINGS + ASYNC TRANSCRIPT (see lib/recordings.mjs)
+   Finalized bots wait for Recall to finish the recording, then the mixed
+   audio is downloaded and, with ASYNC_TRANSCRIPT=true, a refined transcript
+   is requested and fetched. Checked every RECORDINGS_POLL_SEC and right away
+   on recording.done / transcript.done webhooks; gives up after
+   RECORDING_GIVE_UP_MS.
+     state.recording        { status: waiting|processing|done|failed, recordingId, startedAt,
+                              audio: { file, contentType, bytes }, error, waitingSince }
+     state.asyncTranscript  { status: processing|done|failed, transcriptId,
+                              utterances, error }
+--------------------------------------------*/
+const RECORDING_GIVE_UP_MS = 3 * 60 * 60 * 1000;
+const collecting = new Set();
+
+function asyncTranscriptEnabled() {
+  return process.env.ASYNC_TRANSCRIPT === "true";
+}
+
+function wantsRecording(state) {
+  return state.botOptions?.recordAudio !== false || asyncTranscriptEnabled();
+}
+
+async function recallRequest(method, pathname, body) {
+  const resp = await fetch(`${RECALL_BASE}${pathname}`, {
+    method,
+    headers: {
+      Authorization: `Token ${RECALL_API_KEY}`,
+      accept: "application/json",
+      ...(body && { "content-type": "application/json" }),
+    },
+    ...(body && { body: JSON.stringify(body) }),
+  });
+  const text = await resp.text();
+  if (!resp.ok) throw new Error(`${method} ${pathname}: HTTP ${resp.status} ${text.slice(0, 200)}`);
+  return text ? JSON.parse(text) : {};
+}
+
+function recordingPending(state) {
+  const rec = state.recording;
+  if (!state.finalizedAt || !rec) return false;
+  if (rec.status === "waiting" || rec.status === "processing") return true;
+  if (rec.status !== "done" || !asyncTranscriptEnabled()) return false;
+  // Not requested yet (or retried): only while Recall still has the media.
+  if (!state.asyncTranscript) return Date.now() - Date.parse(rec.waitingSince) < RECORDING_GIVE_UP_MS;
+  return state.asyncTranscript.status === "processing";
+}
+
+async function collectAsyncTranscript(botId, state) {
+  let job = state.asyncTranscript;
+  if (!job) {
+    const created = transcriptArtifact(
+      await recallRequest("POST", `/recording/${encodeURIComponent(state.recording.recordingId)}/create_transcript/`, {
+        provider: { recallai_async: { language_code: state.botOptions?.language || "en" } },
+        diarization: { use_separate_streams_when_available: true },
+      })
     );
-    const leaveText = await leaveResp.text();
-    if (!leaveResp.ok) {
-      console.error("Recall leave_call error:", leaveText);
-    } else {
-      console.log("[Bot] leave_call OK for", botId);
+    job = state.asyncTranscript = { status: "processing", transcriptId: created.id, utterances: null, error: null };
+    console.log(`[Recording] bot=${botId} requested async transcript ${created.id}`);
+  }
+  if (job.status !== "processing") return;
+
+  const artifact = transcriptArtifact(
+    await recallRequest("GET", `/transcript/${encodeURIComponent(job.transcriptId)}/`)
+  );
+  if (artifact.status === "failed") {
+    job.status = "failed";
+    job.error = artifact.subCode || "Recall could not transcribe the recording";
+  } else if (artifact.status === "done" && artifact.downloadUrl) {
+    const resp = await fetch(artifact.downloadUrl);
+    if (!resp.ok) throw new Error(`transcript download: HTTP ${resp.status}`);
+    job.utterances = utterancesFromTranscript(await resp.json());
+    job.status = "done";
+    console.log(`[Recording] bot=${botId} async transcript has ${job.utterances.length} utterances`);
+  }
+  job.updatedAt = new Date().toISOString();
+}
+
+async function collectRecording(botId, state) {
+  if (collecting.has(botId) || !recordingPending(state)) return;
+  collecting.add(botId);
+  const rec = state.recording;
+  try {
+    if (rec.status !== "done") {
+      const recording = latestRecording(await recallRequest("GET", `/bot/${encodeURIComponent(botId)}/`));
+      if (recording?.status === "failed" || recording?.status === "deleted") {
+        rec.status = "failed";
+        rec.error = `Recall recording ${recording.status}${recording.subCode ? ` (${recording.subCode})` : ""}`;
+      } else if (recording?.status === "done") {
+        rec.recordingId = recording.id;
+        rec.startedAt = recording.startedAt;
+        if (recording.audioUrl && !rec.audio) {
+          const resp = await fetch(recording.audioUrl);
+          if (!resp.ok) throw new Error(`audio download: HTTP ${resp.status}`);
+          rec.audio = await media.save(botId, "audio", resp);
+          console.log(`[Recording] bot=${botId} saved ${rec.audio.file} (${rec.audio.bytes} bytes)`);
+        }
+        rec.status = "done";
+      } else if (recording) {
+        rec.status = "processing";
+      }
     }
+    if (rec.status === "done" && asyncTranscriptEnabled()) await collectAsyncTranscript(botId, state);
+    rec.error = rec.status === "failed" ? rec.error : null;
+  } catch (e) {
+    console.warn(`[Recording] bot=${botId}:`, e.message);
+    rec.error = e.message;
+  } finally {
+    collecting.delete(botId);
+  }
 
-    state.status = "ended";
-    state.endedAt = new Date().toISOString();
+  if (recordingPending(state) && Date.now() - Date.parse(rec.waitingSince) > RECORDING_GIVE_UP_MS) {
+    if (rec.status !== "done") rec.status = "failed";
+    if (state.asyncTranscript?.status === "processing") state.asyncTranscript.status = "failed";
+    rec.error = rec.error || "Recall never finished processing the recording";
+  }
+  rec.updatedAt = new Date().toISOString();
+  persistBot(botId);
+  publishRecording(botId, state);
+}
 
-    Object.values(state.participants).forEach((p) => {
-      p.inCall = false;
-      p.isSpeaking = false;
-    });
+async function collectPendingRecordings() {
+  for (const [botId, state] of botsState.entries()) {
+    if (recordingPending(state)) await collectRecording(botId, state);
+  }
+}
+
+app.get("/api/bots/:id/recording/audio", (req, res) => {
+  const state = botsState.get(req.params.id);
+  if (!state) return res.status(404).json({ error: "Bot not found" });
+  const audio = state.recording?.audio;
+  if (!audio) return res.status(404).json({ error: "No recording saved for this bot yet" });
+  // sendFile answers Range requests, so the player can seek.
+  res.type(audio.contentType);
+  res.sendFile(path.resolve(media.pathFor(req.params.id, audio.file)), (err) => {
+    if (err && !res.headersSent) res.status(404).json({ error: "Recording file is missing" });
+  });
+});
 
+// The refined transcript under resolved speaker names, with metrics recomputed on it.
+app.get("/api/bots/:id/transcript/refined", (req, res) => {
+  const state = botsState.get(req.params.id);
+  if (!state) return res.status(404).json({ error: "Bot not found" });
+  if (state.asyncTranscript?.status !== "done") {
+    return res.status(404).json({ error: "No refined transcript for this bot yet" });
+  }
+  const directory = speakerDirectory(state);
+  const transcripts = resolveTranscripts(
+    { ...state, transcripts: state.asyncTranscript.utterances },
+    directory
+  );
+  res.json({
+    transcripts,
+    participation: computeParticipationMetrics(
+      transcripts,
+      policyFor(state),
+      speechSegmentsFor(state, directory)
+    ),
+  });
+});
+
+// Retry after a failure, or check now instead of waiting for the poll.
+app.post("/api/bots/:id/recording/refresh", async (req, res) => {
+  const botId = req.params.id;
+  const state = botsState.get(botId);
+  if (!state) return res.status(404).json({ error: "Bot not found" });
+  if (!state.finalizedAt) return res.status(409).json({ error: "The call hasn't ended yet" });
+
+  const waitingSince = new Date().toISOString();
+  if (!state.recording || state.recording.status === "failed") {
+    state.recording = { ...state.recording, status: "waiting", error: null };
+  }
+  state.recording.waitingSince = waitingSince;
+  if (state.asyncTranscript?.status === "failed") state.asyncTranscript = null;
+  await collectRecording(botId, state);
+  res.json({ recording: state.recording, asyncTranscript: describeAsyncTranscript(state.asyncTranscript) });
+});
+
+/* -------------------------------------------
+   STOP BOT (stop_recording + leave_call)
+--------------------------------------------*/
+app.post("/api/bots/:id/stop", async (req, res) => {
+  const botId = req.params.id;
+  const state = botsState.get(botId);
+  if (!state) return res.status(404).json({ error: "Bot not found" });
+
+  try {
+    await leaveCall(botId);
+    finalizeBot(botId, state, {
+      code: "ended",
+      subCode: null,
+      message: "Stopped from the console.",
+      at: new Date().toISOString(),
+    });
     res.json({ ok: true });
   } catch (e) {
     console.error("Bot stop error:", e);
@@ -814,7 +2097,7 @@ app.post("/api/bots/:id/stop", async (req, res) => {
 });
 
 /* -------------------------------------------
-   AI COACH (OpenAI Responses API)
+   AI COACH (LLM provider, see lib/llm.mjs)
 --------------------------------------------*/
 app.post("/api/bots/:id/coach", async (req, res) => {
   const botId = req.params.id;
@@ -824,10 +2107,11 @@ app.post("/api/bots/:id/coach", async (req, res) => {
   const { userName, userRole } = req.body || {};
   if (!userName) return res.status(400).json({ error: "userName required" });
 
-  const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-  const OPENAI_MODEL = process.env.OPENAI_MODEL || "gpt-5-mini";
-  if (!OPENAI_API_KEY) {
-    return res.status(500).json({ error: "OPENAI_API_KEY missing" });
+  let llm;
+  try {
+    llm = getLLMProvider();
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
   }
 
   const { windowText, windowWordShare, windowDominantSpeaker } =
@@ -848,97 +2132,18 @@ Rules:
 `;
 
   try {
-    const resp = await fetch("https://api.openai.com/v1/responses", {
-      method: "POST",
-      headers: {
-        "content-type": "application/json",
-        Authorization: `Bearer ${OPENAI_API_KEY}`,
-      },
-        body: JSON.stringify({
-          model: OPENAI_MODEL,
-          instructions: "You are a concise, helpful meeting participation coach.",
-          input: prompt,
-          // Keep short but leave some headroom to avoid truncation
-          max_output_tokens: 500,
-        }),
-      });
-
-    const raw = await resp.text();
-    let json = null;
-    try {
-      json = raw ? JSON.parse(raw) : null;
-    } catch (e) {
-      console.error("[AI coach] Non-JSON from OpenAI:", raw.slice(0, 300));
-      return res
-        .status(502)
-        .json({ error: "Unexpected response from OpenAI", details: raw });
-    }
-
-    if (!resp.ok) {
-      console.error("[AI coach] Error:", json);
-      return res.status(500).json({ error: "OpenAI coach error", details: json });
-    }
-
-    // Extract text from the different response shapes OpenAI may return
-    function extractOpenAIText(body) {
-      if (!body || typeof body !== "object") return "";
-
-      if (typeof body.output_text === "string" && body.output_text.trim()) {
-        return body.output_text.trim();
-      }
-
-      if (Array.isArray(body.output)) {
-        const fromOutput = body.output
-          .map((item) => {
-            if (Array.isArray(item?.content)) {
-              return item.content
-                .map((c) => (typeof c?.text === "string" ? c.text : ""))
-                .filter(Boolean)
-                .join("");
-            }
-            if (typeof item?.text === "string") return item.text;
-            return "";
-          })
-          .filter(Boolean)
-          .join("\n")
-          .trim();
-        if (fromOutput) return fromOutput;
-      }
-
-      const choiceText =
-        body.choices &&
-        body.choices[0] &&
-        body.choices[0].message &&
-        body.choices[0].message.content;
-      if (typeof choiceText === "string" && choiceText.trim()) {
-        return choiceText.trim();
-      }
-
-      if (typeof body.output_str === "string" && body.output_str.trim()) {
-        return body.output_str.trim();
-      }
-
-      if (typeof body.text === "string" && body.text.trim()) {
-        return body.text.trim();
-      }
-
-      return "";
-    }
-
-    const text = extractOpenAIText(json);
-    const finishReason =
-      (Array.isArray(json?.output) &&
-        (json.output[0]?.finish_reason ||
-          json.output[json.output.length - 1]?.finish_reason)) ||
-      json?.choices?.[0]?.finish_reason ||
-      json?.finish_reason ||
-      json?.incomplete_details?.reason ||
-      null;
+    const { text, finishReason } = await llm.generate({
+      purpose: "coach",
+      instructions: "You are a concise, helpful meeting participation coach.",
+      input: prompt,
+      // Keep short but leave some headroom to avoid truncation
+      maxOutputTokens: 500,
+    });
 
     console.log(
-      `[AI coach] status=${resp.status} parsed_len=${text.length} finish_reason=${
+      `[AI coach] provider=${llm.name} parsed_len=${text.length} finish_reason=${
         finishReason || "unknown"
-      } keys=${Object.keys(json || {}).join(",")}`
+      }`
     );
 
     const defaultHint =
@@ -950,10 +2155,7 @@ Rules:
 
     if (!text) {
       console.warn(
-        `[AI coach] Empty text parsed; finish_reason=${finishReason || "unknown"} raw_preview=${raw.slice(
-          0,
-          200
-        )}`
+        `[AI coach] Empty text parsed; finish_reason=${finishReason || "unknown"}`
       );
 
       // Fallback: return a default nudge so UI always gets a hint
@@ -962,164 +2164,179 @@ Rules:
 
     res.json({ hint: text, finishReason });
   } catch (e) {
+    if (e instanceof LLMError) {
+      return res
+        .status(e.status)
+        .json({ error: `AI coach: ${e.message}`, details: e.details });
+    }
     console.error("AI coach failure:", e);
     res.status(500).json({ error: "Internal coach error" });
   }
 });
 
 /* -------------------------------------------
-   AI SUMMARY (OpenAI Responses API)
+   AI SUMMARY (LLM provider, see lib/llm.mjs)
+   Send "Accept: text/event-stream" to get the reply streamed as SSE:
+     progress { phase, chunk, totalChunks }
+     partial  { structured }   best summary so far (throttled)
+     done     state.summary
+     error    { error, details }
+   Closing the stream cancels the generation; the previous summary is kept.
 --------------------------------------------*/
+const SUMMARY_PARTIAL_INTERVAL_MS = 150;
+
+/*
+  Summarize a bot's transcript and store it on the bot; shared by the route
+  and the background summary after a call ends. Progress goes out as
+  summary_progress events; errors (including aborts) are rethrown.
+*/
+async function generateSummary(botId, state, llm, { onProgress, onPartial, signal } = {}) {
+  const directory = speakerDirectory(state);
+  const transcripts = resolveTranscripts(state, directory);
+  const diagnostics = computeDiagnostics(state);
+  const participation = computeParticipationMetrics(
+    transcripts,
+    policyFor(state),
+    speechSegmentsFor(state, directory)
+  );
+
+  const setProgress = (progress) => {
+    state.summaryProgress = progress;
+    events.publish(botId, "summary_progress", progress);
+  };
+  const startedAt = new Date().toISOString();
+
+  try {
+    const result = await summarizeMeeting({
+      llm,
+      transcripts,
+      diagnostics,
+      participation,
+      chunkOptions: {
+        maxTokens: parseInt(process.env.SUMMARY_CHUNK_TOKENS || "6000", 10),
+        maxSpanSec: parseInt(process.env.SUMMARY_CHUNK_MINUTES || "20", 10) * 60,
+      },
+      onProgress: ({ phase, chunk, totalChunks }) => {
+        console.log(`[AI summary] bot=${botId} ${phase} ${chunk}/${totalChunks}`);
+        setProgress({ status: "running", phase, chunk, totalChunks, startedAt });
+        onProgress?.({ phase, chunk, totalChunks });
+      },
+      onPartial,
+      signal,
+    });
+
+    console.log(
+      `[AI summary] provider=${llm.name} chunks=${result.chunks} structured=${!!result.structured} repairs=${
+        result.issues.length
+      } finish_reason=${result.finishReason || "unknown"}`
+    );
+    if (result.issues.length) console.warn("[AI summary] Repaired:", result.issues.join("; "));
+
+    state.summary = {
+      text: result.text,
+      structured: result.structured,
+      repairs: result.issues,
+      chunks: result.chunks,
+      createdAt: new Date().toISOString(),
+      model: result.model,
+      provider: llm.name,
+      finishReason: result.finishReason,
+    };
+    setProgress({ status: "done", chunk: result.chunks, totalChunks: result.chunks, startedAt });
+    persistBot(botId);
+    events.publish(botId, "summary", state.summary);
+    return state.summary;
+  } catch (e) {
+    if (signal?.aborted) {
+      console.log(`[AI summary] bot=${botId} cancelled by client`);
+      setProgress({ status: "cancelled", startedAt });
+    } else {
+      setProgress({ status: "failed", error: e.message, startedAt });
+    }
+    persistBot(botId);
+    throw e;
+  }
+}
+
 app.post("/api/bots/:id/summary", async (req, res) => {
   const botId = req.params.id;
   const state = botsState.get(botId);
   if (!state) return res.status(404).json({ error: "Bot not found" });
 
-  const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-  const OPENAI_MODEL = process.env.OPENAI_MODEL || "gpt-5-mini";
-  if (!OPENAI_API_KEY) {
-    return res.status(500).json({ error: "OPENAI_API_KEY missing" });
+  let llm;
+  try {
+    llm = getLLMProvider();
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
   }
 
-  const transcripts = state.transcripts || [];
-    const diagnostics = computeDiagnostics(state);
-    const participation = computeParticipationMetrics(transcripts);
-
-    const transcriptText = transcripts
-      .map((t) => `[${t.createdAt}] ${t.speakerName}: ${t.text}`)
-      .join("\n");
-
-  const prompt = `
-You are generating a structured "Meeting Summary + Inclusivity Report".
-
-Transcript:
-${transcriptText}
+  if (state.summaryProgress?.status === "running") {
+    return res.status(409).json({ error: "Summary already being generated", progress: state.summaryProgress });
+  }
 
-Participation diagnostics:
-${JSON.stringify(diagnostics, null, 2)}
+  const streaming = (req.get("accept") || "").includes("text/event-stream");
+  const controller = new AbortController();
+  let finished = false;
+  let lastPartialAt = 0;
 
-Live participation metrics:
-${JSON.stringify(participation, null, 2)}
+  const sendEvent = (type, data) => {
+    if (streaming && !res.writableEnded) {
+      res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
 
-Create Markdown sections:
-1. Overview (3–5 bullets)
-2. Decisions
-3. Action Items
-4. Inclusivity & Participation
-`;
+  if (streaming) {
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    // res (not req) "close" fires when the client goes away mid-stream.
+    res.on("close", () => {
+      if (!finished) controller.abort();
+    });
+  }
 
   try {
-    const resp = await fetch("https://api.openai.com/v1/responses", {
-      method: "POST",
-      headers: {
-        "content-type": "application/json",
-        Authorization: `Bearer ${OPENAI_API_KEY}`,
-      },
-        body: JSON.stringify({
-          model: OPENAI_MODEL,
-          instructions:
-            "You write clear, neutral, structured meeting summaries with inclusivity analysis.",
-          input: prompt,
-          // Allow longer outputs so sections don't get truncated.
-          max_output_tokens: 2000,
-        }),
-      });
+    const summary = await generateSummary(botId, state, llm, {
+      onProgress: (progress) => sendEvent("progress", progress),
+      onPartial: streaming
+        ? (structured) => {
+            const now = Date.now();
+            if (now - lastPartialAt < SUMMARY_PARTIAL_INTERVAL_MS) return;
+            lastPartialAt = now;
+            sendEvent("partial", { structured });
+          }
+        : null,
+      signal: controller.signal,
+    });
+    finished = true;
 
-    const raw = await resp.text();
-    let json = null;
-    try {
-      json = raw ? JSON.parse(raw) : null;
-    } catch (e) {
-      console.error("[AI summary] Non-JSON from OpenAI:", raw.slice(0, 300));
+    if (streaming) {
+      sendEvent("done", summary);
+      return res.end();
+    }
+    res.json(summary);
+  } catch (e) {
+    finished = true;
+    if (controller.signal.aborted) return res.end();
+
+    if (streaming) {
+      if (!(e instanceof LLMError)) console.error("Summary error:", e);
+      sendEvent("error", {
+        error: e instanceof LLMError ? `AI summary: ${e.message}` : "Internal summary error",
+        details: e instanceof LLMError ? e.details : null,
+      });
+      return res.end();
+    }
+    if (e instanceof LLMError) {
       return res
-        .status(502)
-        .json({ error: "Unexpected response from OpenAI", details: raw });
+        .status(e.status)
+        .json({ error: `AI summary: ${e.message}`, details: e.details });
     }
-
-      if (!resp.ok) {
-        console.error("[AI summary] Error:", json);
-        return res
-          .status(500)
-          .json({ error: "OpenAI summary error", details: json });
-      }
-
-      // Extract text from the different response shapes OpenAI may return
-      function extractOpenAIText(body) {
-        if (!body || typeof body !== "object") return "";
-
-        // 1) responses API (preferred)
-        if (typeof body.output_text === "string" && body.output_text.trim()) {
-          return body.output_text.trim();
-        }
-
-        // 2) responses API streamed/object output: output: [{ content: [{ text }] }]
-        if (Array.isArray(body.output)) {
-          const fromOutput = body.output
-            .map((item) => {
-              if (Array.isArray(item?.content)) {
-                return item.content
-                  .map((c) => (typeof c?.text === "string" ? c.text : ""))
-                  .filter(Boolean)
-                  .join("");
-              }
-              if (typeof item?.text === "string") return item.text;
-              return "";
-            })
-            .filter(Boolean)
-            .join("\n")
-            .trim();
-          if (fromOutput) return fromOutput;
-        }
-
-        // 3) Chat Completions style fallback
-        const choiceText =
-          body.choices &&
-          body.choices[0] &&
-          body.choices[0].message &&
-          body.choices[0].message.content;
-        if (typeof choiceText === "string" && choiceText.trim()) {
-          return choiceText.trim();
-        }
-
-        // 4) Generic strings we sometimes see
-        if (typeof body.output_str === "string" && body.output_str.trim()) {
-          return body.output_str.trim();
-        }
-
-        // 5) Some responses include a top-level "text"
-        if (typeof body.text === "string" && body.text.trim()) {
-          return body.text.trim();
-        }
-
-        return "";
-      }
-
-      const text = extractOpenAIText(json);
-      const finishReason =
-        (Array.isArray(json?.output) &&
-          (json.output[0]?.finish_reason ||
-            json.output[json.output.length - 1]?.finish_reason)) ||
-        json?.choices?.[0]?.finish_reason ||
-        json?.finish_reason ||
-        json?.incomplete_details?.reason ||
-        null;
-
-      console.log(
-        `[AI summary] OpenAI response parsed text length=${text.length} finish_reason=${
-          finishReason || "unknown"
-        } keys=${Object.keys(json || {}).join(",")}`
-      );
-
-      state.summary = {
-        text,
-        createdAt: new Date().toISOString(),
-        model: OPENAI_MODEL,
-        finishReason,
-      };
-
-      res.json(state.summary);
-    } catch (e) {
-      console.error("Summary error:", e);
+    console.error("Summary error:", e);
     res.status(500).json({ error: "Internal summary error" });
   }
 });
@@ -1142,6 +2359,14 @@ app.get("/api/debug/bots/:id", (req, res) => {
 --------------------------------------------*/
 app.listen(PORT, () => {
   console.log(`[Backend] Running on http://localhost:${PORT}`);
+  scheduler.start();
+  const statusPollSec = parseFloat(process.env.STATUS_POLL_SEC ?? "30");
+  if (statusPollSec > 0) setInterval(pollActiveBots, statusPollSec * 1000);
+  setInterval(endEmptyCalls, AUTO_END_CHECK_MS);
+  const recordingsPollSec = parseFloat(process.env.RECORDINGS_POLL_SEC ?? "60");
+  if (recordingsPollSec > 0) setInterval(collectPendingRecordings, recordingsPollSec * 1000);
+  syncCalendarFeed();
+  setInterval(syncCalendarFeed, (parseFloat(process.env.CALENDAR_SYNC_MINUTES) || 30) * 60 * 1000);
 
   const base = (process.env.PUBLIC_BASE_URL || "").trim();
   if (base) {
@@ -1,6 +1,8 @@
 ﻿// frontend/src/App.jsx
 import { useEffect, useMemo, useRef, useState } from 'react';
 import WordSharePie from './WordSharePie';
+import ConversationGraph from './ConversationGraph';
+import TrendChart from './TrendChart';
 
 const API_BASE = 'http://localhost:8000';
 const PIE_COLORS = [
@@ -16,7 +18,7 @@ const PIE_COLORS = [
 const EMPTY_TRANSCRIPTS = [];
 
 function statusInfo(status) {
-    if (!status || status === 'created') {
+    if (!status || status === 'created' || status === 'ready') {
         return { label: 'Idle', tone: 'idle' };
     }
     if (
@@ -29,7 +31,21 @@ function statusInfo(status) {
     if (status === 'joining_call' || status === 'joining_meeting' || status === 'starting') {
         return { label: 'Joining...', tone: 'idle' };
     }
-    if (status === 'ended' || status === 'finished' || status === 'call_ended') {
+    if (status === 'in_waiting_room') {
+        return { label: 'Waiting room', tone: 'idle' };
+    }
+    if (status === 'in_call_not_recording' || status === 'recording_permission_allowed') {
+        return { label: 'In call', tone: 'idle' };
+    }
+    if (status === 'recording_permission_denied') {
+        return { label: 'Recording denied', tone: 'error' };
+    }
+    if (
+        status === 'ended' ||
+        status === 'finished' ||
+        status === 'call_ended' ||
+        status === 'done'
+    ) {
         return { label: 'Finished', tone: 'finished' };
     }
     if (status === 'failed' || status === 'fatal') {
@@ -38,6 +54,18 @@ function statusInfo(status) {
     return { label: status, tone: 'idle' };
 }
 
+// Selected bot + view live in the query string so reloads and shared links keep them
+const APP_VIEWS = ['live', 'summary', 'dashboard', 'trends'];
+
+function readUrlSelection() {
+    const params = new URLSearchParams(window.location.search);
+    const view = params.get('view');
+    return {
+        botId: params.get('bot') || null,
+        view: APP_VIEWS.includes(view) ? view : 'live',
+    };
+}
+
 // count words per speaker
 function computeWordCounts(transcripts) {
     const counts = {};
@@ -61,7 +89,111 @@ function buildPieData(wordCounts) {
         .filter((d) => d.value > 0);
 }
 
-// Parse the LLM summary (markdown-style) into sections
+// Event types pushed by GET /api/bots/:id/events
+const BOT_EVENT_TYPES = [
+    'snapshot',
+    'utterance',
+    'partial',
+    'participant',
+    'speakers',
+    'speech',
+    'metrics',
+    'status',
+    'recording',
+    'summary',
+    'summary_progress',
+];
+
+// Apply one SSE delta to the local copy of the bot state
+function applyBotEvent(prev, type, data) {
+    if (type === 'snapshot') return data;
+    if (!prev) return prev;
+
+    switch (type) {
+        case 'utterance':
+            return {
+                ...prev,
+                transcripts: [...(prev.transcripts || []), data],
+                partialTranscript: '',
+            };
+        case 'partial':
+            return { ...prev, partialTranscript: data.text || '' };
+        case 'participant': {
+            const p = data.participant;
+            if (!p) return prev;
+            return {
+                ...prev,
+                participants: { ...(prev.participants || {}), [p.id]: p },
+            };
+        }
+        case 'speakers':
+            // Renames/merges re-resolve every past utterance
+            return {
+                ...prev,
+                speakers: data.speakers,
+                transcripts: data.transcripts,
+                speechSegments: data.speechSegments || prev.speechSegments,
+            };
+        case 'speech':
+            return {
+                ...prev,
+                speechSegments: [...(prev.speechSegments || []), data],
+            };
+        case 'metrics':
+            return { ...prev, participation: data };
+        case 'status':
+        case 'recording':
+            return { ...prev, ...data };
+        case 'summary':
+            return { ...prev, summary: data };
+        case 'summary_progress':
+            return { ...prev, summaryProgress: data };
+        default:
+            return prev;
+    }
+}
+
+// Pick the most recently created of two summary objects
+function newerSummary(a, b) {
+    if (!a) return b || null;
+    if (!b) return a;
+    return String(a.createdAt || '') >= String(b.createdAt || '') ? a : b;
+}
+
+// Read a fetch() response body as Server-Sent Events (EventSource can't POST)
+async function readEventStream(res, onEvent) {
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true }).replace(/\r/g, '');
+
+        let sep;
+        while ((sep = buffer.indexOf('\n\n')) !== -1) {
+            const frame = buffer.slice(0, sep);
+            buffer = buffer.slice(sep + 2);
+
+            let type = 'message';
+            const dataLines = [];
+            frame.split('\n').forEach((line) => {
+                if (line.startsWith('event:')) type = line.slice(6).trim();
+                else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+            });
+            if (!dataLines.length) continue;
+
+            try {
+                onEvent(type, JSON.parse(dataLines.join('\n')));
+            } catch (err) {
+                console.warn('Bad summary stream event:', type, err);
+            }
+        }
+    }
+}
+
+// Parse the LLM summary (markdown-style) into sections; fallback when there is no structured summary
 function parseSummarySections(text) {
     const result = {
         overview: '',
@@ -165,13 +297,20 @@ function useHoverCard(strength = 'medium') {
 
 export default function App() {
     const [meetingUrl, setMeetingUrl] = useState('');
-    const [botId, setBotId] = useState(null);
+    const [policies, setPolicies] = useState([]);
+    const [policyId, setPolicyId] = useState('default');
+    const [seriesName, setSeriesName] = useState('');
+    const [joinAt, setJoinAt] = useState(''); // datetime-local value; empty = join now
+    const [botOptions, setBotOptions] = useState(DEFAULT_BOT_OPTIONS);
+    const [showBotOptions, setShowBotOptions] = useState(false);
+    const [notice, setNotice] = useState('');
+    const [linkCheck, setLinkCheck] = useState(null); // { input, ok, label, meetingId, passcode | error }
+    const [botId, setBotId] = useState(() => readUrlSelection().botId);
     const [botState, setBotState] = useState(null);
     const [creating, setCreating] = useState(false);
     const [endRequested, setEndRequested] = useState(false);
     const [error, setError] = useState('');
-    const [pollIntervalMs] = useState(1000);
-    const [view, setView] = useState('live'); // 'live' | 'summary'
+    const [view, setView] = useState(() => readUrlSelection().view); // 'live' | 'summary' | 'dashboard' | 'trends'
     const [speakingView, setSpeakingView] = useState('ratio'); // 'ratio' | 'duration'
 
     // Live coaching state
@@ -187,10 +326,28 @@ export default function App() {
         );
     }, [botState]);
 
+    // participant id -> resolved speaker name (after merges/relabels)
+    const speakerByParticipant = useMemo(() => {
+        const map = {};
+        (botState?.speakers || []).forEach((s) => {
+            (s.participantIds || []).forEach((id) => {
+                map[id] = s.name;
+            });
+        });
+        return map;
+    }, [botState?.speakers]);
+
     const transcripts = botState?.transcripts ?? EMPTY_TRANSCRIPTS;
     const partialTranscript = botState?.partialTranscript || '';
     const transcriptListRef = useRef(null);
+    const transcriptSearch = useTranscriptSearch({
+        botId,
+        transcripts,
+        listRef: transcriptListRef,
+    });
     const participation = botState?.participation || null;
+    // Only show the check for what's in the box now, not a stale answer
+    const linkHint = linkCheck && linkCheck.input === meetingUrl.trim() ? linkCheck : null;
 
     const wordCounts = useMemo(
         () => computeWordCounts(transcripts),
@@ -222,9 +379,21 @@ export default function App() {
     const meetingCardHover = useHoverCard('strong');
     const liveTimelineHover = useHoverCard('strong');
 
+    // Switch the console to another bot (from creation or the dashboard)
+    function openBot(id, nextView = 'live') {
+        if (id !== botId) {
+            setBotId(id);
+            setBotState(null);
+            setEndRequested(false);
+            setCoachHint('');
+        }
+        setView(nextView);
+    }
+
     async function handleCreateBot(e) {
         e?.preventDefault();
         setError('');
+        setNotice('');
 
         if (!meetingUrl.trim()) {
             setError('Please paste a meeting URL.');
@@ -236,7 +405,13 @@ export default function App() {
             const res = await fetch(`${API_BASE}/api/bots`, {
                 method: 'POST',
                 headers: { 'content-type': 'application/json' },
-                body: JSON.stringify({ meetingUrl: meetingUrl.trim() }),
+                body: JSON.stringify({
+                    meetingUrl: meetingUrl.trim(),
+                    policy: policyId,
+                    series: seriesName.trim() || undefined,
+                    joinAt: joinAt ? new Date(joinAt).toISOString() : undefined,
+                    options: botOptions,
+                }),
             });
 
             const data = await res.json();
@@ -246,11 +421,18 @@ export default function App() {
                 return;
             }
 
+            // 202 { job }: held until joinAt, listed under All meetings
+            if (data.job) {
+                setNotice(
+                    `Bot scheduled to join at ${formatClock(data.job.joinAt)}. Manage it under All meetings.`,
+                );
+                setMeetingUrl('');
+                setJoinAt('');
+                return;
+            }
+
             // Backend returns { botId: '...' } in your current setup
-            setBotId(data.botId);
-            setBotState(null);
-            setView('live');
-            setEndRequested(false);
+            openBot(data.botId);
         } catch (err) {
             console.error('Error calling /api/bots:', err);
             setError('Could not reach backend.');
@@ -351,39 +533,112 @@ export default function App() {
     }
 
 
-    // Poll bot state (transcripts, participants, participation stats)
+    // Policy profiles for the create form (thresholds live server-side)
+    useEffect(() => {
+        let cancelled = false;
+        fetch(`${API_BASE}/api/policies`)
+            .then((res) => res.json())
+            .then((data) => {
+                if (!cancelled && Array.isArray(data.policies)) setPolicies(data.policies);
+            })
+            .catch((err) => console.error('Error calling /api/policies:', err));
+        return () => {
+            cancelled = true;
+        };
+    }, []);
+
+    // Validate the meeting link as it's typed (parsed server-side, debounced)
+    useEffect(() => {
+        const input = meetingUrl.trim();
+        if (!input) return;
+        let cancelled = false;
+        const timer = setTimeout(() => {
+            fetch(`${API_BASE}/api/meeting-links/parse?url=${encodeURIComponent(input)}`)
+                .then((res) => res.json())
+                .then((data) => {
+                    if (!cancelled) setLinkCheck({ ...data, input });
+                })
+                .catch((err) => console.error('Error calling /api/meeting-links/parse:', err));
+        }, 300);
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [meetingUrl]);
+
+    // Stream bot state (snapshot first, then deltas) with reconnect + resume
     useEffect(() => {
         if (!botId) return;
 
         let cancelled = false;
-        const fetchState = async () => {
-            try {
-                const res = await fetch(`${API_BASE}/api/bots/${botId}/state`);
-                const data = await res.json();
-                if (!cancelled) setBotState(data);
-            } catch (err) {
-                console.error('Error fetching bot state:', err);
-            }
+        let source = null;
+        let retryTimer = null;
+        let retryDelayMs = 1000;
+        let lastEventId = null;
+
+        const connect = () => {
+            const qs =
+                lastEventId !== null
+                    ? `?lastEventId=${encodeURIComponent(lastEventId)}`
+                    : '';
+            source = new EventSource(`${API_BASE}/api/bots/${botId}/events${qs}`);
+
+            BOT_EVENT_TYPES.forEach((type) => {
+                source.addEventListener(type, (e) => {
+                    if (cancelled) return;
+                    if (e.lastEventId) lastEventId = e.lastEventId;
+                    retryDelayMs = 1000;
+
+                    let data = null;
+                    try {
+                        data = JSON.parse(e.data);
+                    } catch (err) {
+                        console.error('Bad bot event payload:', type, err);
+                        return;
+                    }
+                    setBotState((prev) => applyBotEvent(prev, type, data));
+                });
+            });
+
+            source.onerror = () => {
+                // EventSource retries by itself unless the stream was closed for good
+                if (cancelled || source.readyState !== EventSource.CLOSED) return;
+                console.warn(`Bot event stream closed; retrying in ${retryDelayMs}ms`);
+                retryTimer = setTimeout(connect, retryDelayMs);
+                retryDelayMs = Math.min(retryDelayMs * 2, 15000);
+            };
         };
 
-        fetchState();
-        const id = setInterval(fetchState, pollIntervalMs);
+        connect();
 
         return () => {
             cancelled = true;
-            clearInterval(id);
+            clearTimeout(retryTimer);
+            source?.close();
         };
-    }, [botId, pollIntervalMs]);
+    }, [botId]);
 
     const status = botState?.status;
     const statusMeta = statusInfo(status);
 
-    // Auto-scroll transcript to bottom on new entries
+    // Mirror the selection into the URL (replaceState: no history spam)
+    useEffect(() => {
+        const params = new URLSearchParams(window.location.search);
+        if (botId) params.set('bot', botId);
+        else params.delete('bot');
+        if (view !== 'live') params.set('view', view);
+        else params.delete('view');
+        const qs = params.toString();
+        window.history.replaceState(null, '', `${window.location.pathname}${qs ? `?${qs}` : ''}`);
+    }, [botId, view]);
+
+    // Auto-scroll transcript to bottom on new entries (not while searching)
+    const searchActive = transcriptSearch.active;
     useEffect(() => {
         const el = transcriptListRef.current;
-        if (!el) return;
+        if (!el || searchActive) return;
         el.scrollTop = el.scrollHeight;
-    }, [transcripts.length, partialTranscript]);
+    }, [transcripts.length, partialTranscript, searchActive]);
 
     // Reset coach throttle when switching bots
     useEffect(() => {
@@ -447,6 +702,20 @@ export default function App() {
         };
     }, [botId, view, coachEnabled, transcripts.length]);
 
+    if (view === 'dashboard') {
+        return (
+            <BotDashboard
+                activeBotId={botId}
+                onOpen={openBot}
+                onBack={() => setView('live')}
+            />
+        );
+    }
+
+    if (view === 'trends') {
+        return <SeriesTrends onOpen={openBot} onBack={() => setView('live')} />;
+    }
+
     // If in summary view and we have a bot, show summary page
     if (view === 'summary' && botId && botState) {
         return (
@@ -487,6 +756,26 @@ export default function App() {
                         participants + transcripts in real time.
                     </span>
                 </div>
+                <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+                    <button
+                        className="button button-secondary"
+                        type="button"
+                        onClick={() => setView('dashboard')}
+                        style={{ alignSelf: 'flex-end' }}
+                    >
+                        <Icon name="people" />
+                        All meetings
+                    </button>
+                    <button
+                        className="button button-secondary"
+                        type="button"
+                        onClick={() => setView('trends')}
+                        style={{ alignSelf: 'flex-end' }}
+                    >
+                        <Icon name="timeline" />
+                        Trends
+                    </button>
+                </div>
             </header>
 
             {/* BOT CONTROL CARD */}
@@ -501,8 +790,9 @@ export default function App() {
                             <Icon name="link" size={18} />
                             <h2>Meeting Link</h2>
                         </div>
-                        <span>Paste a Zoom/Meet/Teams link to spawn a bot.</span>
+                        <span>Paste a Zoom, Meet, Teams, Webex or GoTo link to spawn a bot.</span>
                     </div>
+                    {botId && <BotStatusPill label={statusMeta.label} tone={statusMeta.tone} />}
                 </div>
 
                 <form
@@ -531,9 +821,15 @@ export default function App() {
                             disabled={creating || !meetingUrl.trim()}
                             style={botId ? { display: 'none' } : undefined}
                         >
-                            {creating ? 'Creating...' : botId ? 'Create new bot' : 'Create bot'}
+                            {creating
+                                ? 'Creating...'
+                                : joinAt
+                                  ? 'Schedule bot'
+                                  : botId
+                                    ? 'Create new bot'
+                                    : 'Create bot'}
                         </button>
-                        {botId && !endRequested && (
+                        {botId && !endRequested && statusMeta.tone !== 'finished' && (
                             <button
                                 type="button"
                                 className="button"
@@ -545,7 +841,8 @@ export default function App() {
                             </button>
                         )}
 
-                        {botId && (endRequested || status === 'ended' || view === 'summary') && (
+                        {botId &&
+                            (endRequested || statusMeta.tone === 'finished' || view === 'summary') && (
                             <button
                                 type="button"
                                 className="button"
@@ -557,6 +854,17 @@ export default function App() {
                         )}
                     </div>
 
+                    {!botId && linkHint && (
+                        <div style={{ fontSize: 12, color: linkHint.ok ? '#166534' : '#b45309' }}>
+                            {linkHint.ok
+                                ? `${linkHint.label} meeting ${linkHint.meetingId}` +
+                                  (linkHint.passcode ? ' · passcode included' : '')
+                                : linkHint.error}
+                        </div>
+                    )}
+
+                    {botId && <BotStatusHistory botState={botState} tone={statusMeta.tone} />}
+
                     <div
                         style={{
                             marginTop: 8,
@@ -567,6 +875,91 @@ export default function App() {
                             flexWrap: 'wrap',
                         }}
                     >
+                        {policies.length > 0 && (
+                            <div
+                                className="toggle-chip"
+                                title={
+                                    policies.find((p) => p.id === policyId)?.description ||
+                                    'Thresholds used to flag dominance, quiet voices and silence'
+                                }
+                            >
+                                <label>
+                                    <span>Policy</span>
+                                    {/* Fixed once the bot exists; shows the bot's own profile */}
+                                    <select
+                                        value={botId ? participation?.policy?.id || policyId : policyId}
+                                        onChange={(e) => setPolicyId(e.target.value)}
+                                        disabled={!!botId}
+                                        style={{ fontSize: 13, borderRadius: 8, padding: '2px 4px' }}
+                                    >
+                                        {policies.map((p) => (
+                                            <option key={p.id} value={p.id}>
+                                                {p.name}
+                                            </option>
+                                        ))}
+                                    </select>
+                                </label>
+                            </div>
+                        )}
+
+                        <div
+                            className="toggle-chip"
+                            title="Meetings with the same series name (or the same link) are compared under Trends"
+                        >
+                            <label>
+                                <span>Series</span>
+                                <input
+                                    type="text"
+                                    placeholder={botId ? 'none' : 'e.g. Daily standup'}
+                                    value={seriesName}
+                                    onChange={(e) => setSeriesName(e.target.value)}
+                                    disabled={!!botId}
+                                    style={{
+                                        fontSize: 13,
+                                        borderRadius: 8,
+                                        padding: '2px 6px',
+                                        width: 140,
+                                        border: '1px solid rgba(229, 232, 242, 0.9)',
+                                    }}
+                                />
+                            </label>
+                        </div>
+
+                        {!botId && (
+                            <div
+                                className="toggle-chip"
+                                title="Leave empty to join now; later times schedule the bot"
+                            >
+                                <label>
+                                    <span>Join at</span>
+                                    <input
+                                        type="datetime-local"
+                                        value={joinAt}
+                                        onChange={(e) => setJoinAt(e.target.value)}
+                                        style={{
+                                            fontSize: 13,
+                                            borderRadius: 8,
+                                            padding: '2px 6px',
+                                            border: '1px solid rgba(229, 232, 242, 0.9)',
+                                        }}
+                                    />
+                                </label>
+                            </div>
+                        )}
+
+                        {!botId && (
+                            <div className="toggle-chip">
+                                <label>
+                                    <input
+                                        type="checkbox"
+                                        checked={showBotOptions}
+                                        onChange={(e) => setShowBotOptions(e.target.checked)}
+                                    />
+                                    <span>Bot options</span>
+                                </label>
+                            </div>
+                        )}
+
                         <div className="toggle-chip">
                             <label>
                                 <input
@@ -599,6 +992,10 @@ export default function App() {
 
                     </div>
 
+                    {!botId && showBotOptions && (
+                        <BotOptionsPanel value={botOptions} onChange={setBotOptions} />
+                    )}
+
 
                     {error && (
                         <div
@@ -611,6 +1008,11 @@ export default function App() {
                             {error}
                         </div>
                     )}
+                    {notice && (
+                        <div style={{ marginTop: 4, fontSize: 12, color: '#166534' }}>
+                            {notice}
+                        </div>
+                    )}
                 </form>
             </section>
 
@@ -633,9 +1035,20 @@ export default function App() {
                                 spoken right now.
                             </span>
                         </div>
-                        <span className="badge-small">{transcripts.length} turns</span>
+                        <div style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+                            <TranscriptExportMenu botId={botId} disabled={!transcripts.length} />
+                            <span className="badge-small">
+                                {transcriptSearch.active
+                                    ? `${transcriptSearch.visible.length} of ${transcripts.length} turns`
+                                    : `${transcripts.length} turns`}
+                            </span>
+                        </div>
                     </div>
 
+                    {transcripts.length > 0 && (
+                        <TranscriptSearchBar search={transcriptSearch} speakerColors={speakerColors} />
+                    )}
+
                     <div
                         className="transcript-list"
                         ref={transcriptListRef}
@@ -649,8 +1062,16 @@ export default function App() {
                             </div>
                         )}
 
-                        {transcripts.map((t) => (
-                            <div key={t.id} className="transcript-item">
+                        {transcriptSearch.active && transcripts.length > 0 && !transcriptSearch.visible.length && (
+                            <div style={{ opacity: 0.6, fontSize: 13 }}>No lines match these filters.</div>
+                        )}
+
+                        {transcriptSearch.visible.map((t) => (
+                            <div
+                                key={t.id}
+                                className="transcript-item"
+                                data-search-current={t.id === transcriptSearch.currentId}
+                            >
                                 <div
                                     style={{
                                         display: 'flex',
@@ -679,7 +1100,13 @@ export default function App() {
                                         </div>
                                     )}
                                 </div>
-                                <div className="transcript-text">{t.text}</div>
+                                <div className="transcript-text">
+                                    <HighlightedText
+                                        text={t.text}
+                                        ranges={transcriptSearch.rangesById[t.id]}
+                                        current={t.id === transcriptSearch.currentId}
+                                    />
+                                </div>
                             </div>
                         ))}
 
@@ -829,6 +1256,18 @@ export default function App() {
                                               )}
                                     </div>
 
+                                    {participation?.turnTransitions && (
+                                        <div>
+                                            <div className="wordshare-header">
+                                                <span>Who responds to whom</span>
+                                            </div>
+                                            <ConversationGraph
+                                                transitions={participation.turnTransitions}
+                                                colorMap={speakerColors}
+                                            />
+                                        </div>
+                                    )}
+
                                     {participation && speakingView === 'ratio' && (
                                         <SpeakingTimeRatio
                                             participation={participation}
@@ -856,8 +1295,18 @@ export default function App() {
                                 )}
 
                                 {participantsList.map((p) => (
-                                    <ParticipantRow key={p.id} p={p} />
+                                    <ParticipantRow
+                                        key={p.id}
+                                        p={p}
+                                        speakerName={speakerByParticipant[p.id]}
+                                    />
                                 ))}
+
+                                <SpeakerManager
+                                    botId={botId}
+                                    speakers={botState?.speakers || []}
+                                    participants={botState?.participants || {}}
+                                />
                             </>
                         )}
                     </div>
@@ -880,6 +1329,7 @@ export default function App() {
                 </div>
                 <SpeakerTimeline
                     transcripts={transcripts}
+                    speechSegments={botState?.speechSegments}
                     participation={participation}
                     colorMap={speakerColors}
                 />
@@ -994,6 +1444,347 @@ function Icon({ name, size = 18, color = 'currentColor' }) {
     }
 }
 
+const EXPORT_OPTIONS = [
+    { format: 'srt', label: 'Subtitles (.srt)' },
+    { format: 'vtt', label: 'WebVTT (.vtt)' },
+    { format: 'md', label: 'Markdown for Docs/Word (.md)' },
+    { format: 'txt', label: 'Plain text (.txt)' },
+    { format: 'json', label: 'JSON (.json)' },
+];
+
+// Download menu for GET /api/bots/:id/export (the backend sends Content-Disposition)
+function TranscriptExportMenu({ botId, disabled }) {
+    const detailsRef = useRef(null);
+    if (!botId || disabled) return null;
+
+    return (
+        <details ref={detailsRef} style={{ position: 'relative' }}>
+            <summary className="badge-small" style={{ cursor: 'pointer', listStyle: 'none' }}>
+                Download
+            </summary>
+            <div
+                style={{
+                    position: 'absolute',
+                    right: 0,
+                    top: 'calc(100% + 6px)',
+                    zIndex: 20,
+                    minWidth: 220,
+                    padding: 6,
+                    borderRadius: 12,
+                    background: 'white',
+                    border: '1px solid rgba(229, 232, 242, 0.9)',
+                    boxShadow: '0 16px 32px rgba(15,23,42,0.12)',
+                    display: 'flex',
+                    flexDirection: 'column',
+                }}
+            >
+                {EXPORT_OPTIONS.map((opt) => (
+                    <a
+                        key={opt.format}
+                        href={`${API_BASE}/api/bots/${botId}/export?format=${opt.format}`}
+                        onClick={() => {
+                            if (detailsRef.current) detailsRef.current.open = false;
+                        }}
+                        style={{
+                            padding: '6px 10px',
+                            borderRadius: 8,
+                            fontSize: 13,
+                            color: '#0f172a',
+                            textDecoration: 'none',
+                        }}
+                    >
+                        {opt.label}
+                    </a>
+                ))}
+            </div>
+        </details>
+    );
+}
+
+/* ---------- Bot options (name, chat intro, avatar, transcription) ---------- */
+
+// Mirrors DEFAULT_BOT_OPTIONS in backend/lib/botOptions.mjs
+const DEFAULT_BOT_OPTIONS = {
+    botName: null,
+    chatMessage: null,
+    avatar: null,
+    language: 'en',
+    transcriptionMode: 'prioritize_low_latency',
+    recordAudio: true,
+};
+
+const TRANSCRIPT_LANGUAGES = [
+    ['en', 'English'],
+    ['auto', 'Auto-detect'],
+    ['es', 'Spanish'],
+    ['fr', 'French'],
+    ['de', 'German'],
+    ['pt', 'Portuguese'],
+    ['it', 'Italian'],
+    ['nl', 'Dutch'],
+    ['hi', 'Hindi'],
+    ['ja', 'Japanese'],
+    ['zh', 'Chinese'],
+];
+
+const MAX_AVATAR_BYTES = 1024 * 1024;
+
+const optionInputStyle = {
+    fontSize: 13,
+    borderRadius: 8,
+    padding: '4px 8px',
+    border: '1px solid rgba(229, 232, 242, 0.9)',
+    background: 'rgba(255,255,255,0.85)',
+};
+
+// Create-bot options with saved presets (GET/PUT/DELETE /api/bot-presets)
+function BotOptionsPanel({ value, onChange }) {
+    const [presets, setPresets] = useState([]);
+    const [presetId, setPresetId] = useState('');
+    const [presetName, setPresetName] = useState('');
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        let cancelled = false;
+        fetch(`${API_BASE}/api/bot-presets`)
+            .then((res) => res.json())
+            .then((data) => {
+                if (!cancelled && Array.isArray(data.presets)) setPresets(data.presets);
+            })
+            .catch((err) => console.error('Error calling /api/bot-presets:', err));
+        return () => {
+            cancelled = true;
+        };
+    }, []);
+
+    function update(fields) {
+        setError('');
+        onChange({ ...value, ...fields });
+    }
+
+    function choosePreset(id) {
+        setPresetId(id);
+        const preset = presets.find((p) => p.id === id);
+        onChange(preset ? { ...DEFAULT_BOT_OPTIONS, ...preset.options } : DEFAULT_BOT_OPTIONS);
+        setPresetName(preset?.name || '');
+    }
+
+    // Recall's low-latency streaming is English-only
+    function chooseLanguage(language) {
+        update(
+            language === 'en'
+                ? { language }
+                : { language, transcriptionMode: 'prioritize_accuracy' },
+        );
+    }
+
+    function handleAvatar(e) {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        if (file.type !== 'image/jpeg') {
+            setError('Avatar must be a JPEG image.');
+            return;
+        }
+        if (file.size > MAX_AVATAR_BYTES) {
+            setError('Avatar must be 1 MB or smaller.');
+            return;
+        }
+        const reader = new FileReader();
+        reader.onload = () => update({ avatar: reader.result });
+        reader.readAsDataURL(file);
+    }
+
+    async function savePreset() {
+        const name = presetName.trim();
+        const id = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+        if (!id) return;
+        setError('');
+        try {
+            const res = await fetch(`${API_BASE}/api/bot-presets/${id}`, {
+                method: 'PUT',
+                headers: { 'content-type': 'application/json' },
+                body: JSON.stringify({ name, options: value }),
+            });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok) {
+                setError(data.error || 'Failed to save preset.');
+                return;
+            }
+            setPresets((prev) =>
+                [...prev.filter((p) => p.id !== data.id), data].sort((a, b) => a.name.localeCompare(b.name)),
+            );
+            setPresetId(data.id);
+        } catch (err) {
+            console.error('Error calling PUT /api/bot-presets/:id:', err);
+            setError('Could not reach backend.');
+        }
+    }
+
+    async function deletePreset() {
+        if (!presetId) return;
+        try {
+            const res = await fetch(`${API_BASE}/api/bot-presets/${presetId}`, { method: 'DELETE' });
+            if (!res.ok) {
+                const data = await res.json().catch(() => ({}));
+                setError(data.error || 'Failed to delete preset.');
+                return;
+            }
+            setPresets((prev) => prev.filter((p) => p.id !== presetId));
+            setPresetId('');
+        } catch (err) {
+            console.error('Error calling DELETE /api/bot-presets/:id:', err);
+            setError('Could not reach backend.');
+        }
+    }
+
+    const accuracyOnly = value.language !== 'en';
+
+    return (
+        <div
+            style={{
+                display: 'grid',
+                gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))',
+                gap: 10,
+                padding: 12,
+                borderRadius: 12,
+                background: 'rgba(255,255,255,0.55)',
+                border: '1px solid rgba(229, 232, 242, 0.9)',
+                fontSize: 12,
+            }}
+        >
+            <label style={{ display: 'flex', flexDirection: 'column', gap: 4 }}>
+                <span>Preset</span>
+                <select value={presetId} onChange={(e) => choosePreset(e.target.value)} style={optionInputStyle}>
+                    <option value="">Defaults</option>
+                    {presets.map((p) => (
+                        <option key={p.id} value={p.id}>
+                            {p.name}
+                        </option>
+                    ))}
+                </select>
+            </label>
+
+            <label style={{ display: 'flex', flexDirection: 'column', gap: 4 }}>
+                <span>Bot name</span>
+                <input
+                    type="text"
+                    maxLength={100}
+                    placeholder="Recall's default"
+                    value={value.botName || ''}
+                    onChange={(e) => update({ botName: e.target.value || null })}
+                    style={optionInputStyle}
+                />
+            </label>
+
+            <label style={{ display: 'flex', flexDirection: 'column', gap: 4 }}>
+                <span>Transcript language</span>
+                <select
+                    value={value.language}
+                    onChange={(e) => chooseLanguage(e.target.value)}
+                    style={optionInputStyle}
+                >
+                    {TRANSCRIPT_LANGUAGES.map(([code, label]) => (
+                        <option key={code} value={code}>
+                            {label}
+                        </option>
+                    ))}
+                    {!TRANSCRIPT_LANGUAGES.some(([code]) => code === value.language) && (
+                        <option value={value.language}>{value.language}</option>
+                    )}
+                </select>
+            </label>
+
+            <label
+                style={{ display: 'flex', flexDirection: 'column', gap: 4 }}
+                title={accuracyOnly ? 'Low latency is English-only' : undefined}
+            >
+                <span>Transcription</span>
+                <select
+                    value={value.transcriptionMode}
+                    onChange={(e) => update({ transcriptionMode: e.target.value })}
+                    style={optionInputStyle}
+                >
+                    <option value="prioritize_low_latency" disabled={accuracyOnly}>
+                        Low latency (live coaching)
+                    </option>
+                    <option value="prioritize_accuracy">Accuracy (slower captions)</option>
+                </select>
+            </label>
+
+            <label style={{ display: 'flex', flexDirection: 'column', gap: 4, gridColumn: '1 / -1' }}>
+                <span>Chat intro message</span>
+                <textarea
+                    rows={2}
+                    maxLength={500}
+                    placeholder="Posted to the meeting chat when the bot joins, e.g. why it's recording"
+                    value={value.chatMessage || ''}
+                    onChange={(e) => update({ chatMessage: e.target.value || null })}
+                    style={{ ...optionInputStyle, resize: 'vertical', fontFamily: 'inherit' }}
+                />
+            </label>
+
+            <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+                {value.avatar && (
+                    <img
+                        src={value.avatar}
+                        alt="Bot avatar"
+                        style={{ width: 40, height: 30, objectFit: 'cover', borderRadius: 6 }}
+                    />
+                )}
+                <label className="button button-secondary" style={{ cursor: 'pointer', fontSize: 12 }}>
+                    {value.avatar ? 'Change avatar' : 'Avatar (JPEG)'}
+                    <input type="file" accept="image/jpeg" onChange={handleAvatar} style={{ display: 'none' }} />
+                </label>
+                {value.avatar && (
+                    <button
+                        type="button"
+                        className="button button-secondary"
+                        style={{ fontSize: 12 }}
+                        onClick={() => update({ avatar: null })}
+                    >
+                        Remove
+                    </button>
+                )}
+            </div>
+
+            <label style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+                <input
+                    type="checkbox"
+                    checked={value.recordAudio}
+                    onChange={(e) => update({ recordAudio: e.target.checked })}
+                />
+                <span>Record mixed audio (mp3)</span>
+            </label>
+
+            <div style={{ display: 'flex', alignItems: 'center', gap: 6, gridColumn: '1 / -1' }}>
+                <input
+                    type="text"
+                    placeholder="Preset name"
+                    value={presetName}
+                    onChange={(e) => setPresetName(e.target.value)}
+                    style={{ ...optionInputStyle, flex: 1 }}
+                />
+                <button
+                    type="button"
+                    className="button button-secondary"
+                    disabled={!presetName.trim()}
+                    onClick={savePreset}
+                >
+                    Save preset
+                </button>
+                {presetId && (
+                    <button type="button" className="button button-secondary" onClick={deletePreset}>
+                        Delete preset
+                    </button>
+                )}
+            </div>
+
+            {error && <div style={{ color: '#b91c1c', gridColumn: '1 / -1' }}>{error}</div>}
+        </div>
+    );
+}
+
 function BotStatusPill({ label, tone }) {
     const cls =
         tone === 'active'
@@ -1012,7 +1803,37 @@ function BotStatusPill({ label, tone }) {
     );
 }
 
-function ParticipantRow({ p }) {
+// Why the bot is where it is (waiting room, kicked, fatal), plus every step so far
+function BotStatusHistory({ botState, tone }) {
+    const history = botState?.statusHistory || [];
+    const reason = botState?.statusReason;
+    if (!reason && history.length === 0) return null;
+
+    return (
+        <div style={{ fontSize: 12 }}>
+            {reason && (
+                <div style={{ color: tone === 'error' ? '#b91c1c' : tone === 'finished' ? '#6b7280' : '#b45309' }}>
+                    {reason}
+                </div>
+            )}
+            {history.length > 0 && (
+                <details style={{ marginTop: 4, color: '#6b7280' }}>
+                    <summary style={{ cursor: 'pointer' }}>Status history ({history.length})</summary>
+                    <ul style={{ margin: '6px 0 0', paddingLeft: 18 }}>
+                        {history.map((h) => (
+                            <li key={`${h.code}-${h.at}`}>
+                                {new Date(h.at).toLocaleTimeString()} · {statusInfo(h.code).label}
+                                {h.subCode ? ` (${h.subCode})` : ''}
+                            </li>
+                        ))}
+                    </ul>
+                </details>
+            )}
+        </div>
+    );
+}
+
+function ParticipantRow({ p, speakerName }) {
     const isSpeaking = !!p.isSpeaking;
     const inCall = p.inCall !== false;
 
@@ -1040,6 +1861,7 @@ function ParticipantRow({ p }) {
                 <div className="participant-sub">
                     {p.email ? p.email + ' - ' : ''}
                     {inCall ? 'In call' : 'Not in call'}
+                    {speakerName && speakerName !== p.name && ` - counted as ${speakerName}`}
                 </div>
             </div>
 
@@ -1048,8 +1870,179 @@ function ParticipantRow({ p }) {
     );
 }
 
-function SummarySectionCard({ title, children }) {
-    // Render plain text into paragraphs and bullet lists for better readability.
+// Merge duplicate speakers (rejoins, second devices) or fix their names.
+// The backend answers with a 'speakers' event carrying re-resolved transcripts,
+// so pies, timeline and diagnostics update without local bookkeeping.
+function SpeakerManager({ botId, speakers, participants }) {
+    const [editingKey, setEditingKey] = useState(null);
+    const [draft, setDraft] = useState('');
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState('');
+
+    if (!botId || !speakers.length) return null;
+
+    async function send(action, body) {
+        setBusy(true);
+        setError('');
+        try {
+            const res = await fetch(`${API_BASE}/api/bots/${botId}/speakers/${action}`, {
+                method: 'POST',
+                headers: { 'content-type': 'application/json' },
+                body: JSON.stringify(body),
+            });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok || data.error) {
+                console.error(`Speaker ${action} failed:`, data);
+                setError(data.error || `Speaker ${action} failed.`);
+                return false;
+            }
+            return true;
+        } catch (err) {
+            console.error(`Error calling /speakers/${action}:`, err);
+            setError('Could not reach backend.');
+            return false;
+        } finally {
+            setBusy(false);
+        }
+    }
+
+    async function saveLabel(key) {
+        if (await send('relabel', { key, label: draft })) setEditingKey(null);
+    }
+
+    function keyLabel(key) {
+        const p = key.startsWith('id:') ? participants[key.slice(3)] : null;
+        return p?.name || key.replace(/^(id|name):/, '');
+    }
+
+    return (
+        <div
+            style={{
+                marginTop: 12,
+                padding: 14,
+                borderRadius: 12,
+                background: 'rgba(255,255,255,0.65)',
+                border: '1px solid rgba(255,255,255,0.35)',
+                display: 'flex',
+                flexDirection: 'column',
+                gap: 8,
+            }}
+        >
+            <div style={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+                <div style={{ fontSize: 15, fontWeight: 700 }}>Speakers</div>
+                <div style={{ fontSize: 12, color: '#6b7280' }}>
+                    Merge duplicates or rename a speaker; all analytics are recomputed.
+                </div>
+            </div>
+
+            {error && <div style={{ fontSize: 12, color: '#b91c1c' }}>{error}</div>}
+
+            {speakers.map((s) => (
+                <div
+                    key={s.key}
+                    style={{ display: 'flex', flexDirection: 'column', gap: 4, fontSize: 13 }}
+                >
+                    <div style={{ display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap' }}>
+                        {editingKey === s.key ? (
+                            <>
+                                <input
+                                    className="input"
+                                    value={draft}
+                                    onChange={(e) => setDraft(e.target.value)}
+                                    onKeyDown={(e) => {
+                                        if (e.key === 'Enter') saveLabel(s.key);
+                                        if (e.key === 'Escape') setEditingKey(null);
+                                    }}
+                                    placeholder={s.name}
+                                    style={{ padding: '4px 8px', fontSize: 13, maxWidth: 180 }}
+                                    autoFocus
+                                />
+                                <button
+                                    className="button"
+                                    type="button"
+                                    disabled={busy}
+                                    onClick={() => saveLabel(s.key)}
+                                    style={{ padding: '4px 10px', fontSize: 12 }}
+                                >
+                                    Save
+                                </button>
+                                <button
+                                    className="button button-secondary"
+                                    type="button"
+                                    onClick={() => setEditingKey(null)}
+                                    style={{ padding: '4px 10px', fontSize: 12 }}
+                                >
+                                    Cancel
+                                </button>
+                            </>
+                        ) : (
+                            <>
+                                <strong>{s.name}</strong>
+                                <span style={{ color: '#6b7280', fontSize: 12 }}>
+                                    {s.utterances} turns
+                                </span>
+                                <button
+                                    className="button button-secondary"
+                                    type="button"
+                                    disabled={busy}
+                                    onClick={() => {
+                                        setEditingKey(s.key);
+                                        setDraft(s.label || s.name);
+                                    }}
+                                    style={{ padding: '2px 8px', fontSize: 12 }}
+                                >
+                                    Rename
+                                </button>
+                                {speakers.length > 1 && (
+                                    <select
+                                        value=""
+                                        disabled={busy}
+                                        onChange={(e) =>
+                                            e.target.value &&
+                                            send('merge', { from: s.key, into: e.target.value })
+                                        }
+                                        style={{ fontSize: 12, padding: '2px 4px', borderRadius: 8 }}
+                                    >
+                                        <option value="">Merge into...</option>
+                                        {speakers
+                                            .filter((other) => other.key !== s.key)
+                                            .map((other) => (
+                                                <option key={other.key} value={other.key}>
+                                                    {other.name}
+                                                </option>
+                                            ))}
+                                    </select>
+                                )}
+                            </>
+                        )}
+                    </div>
+
+                    {(s.aliases.length > 0 || s.mergedKeys.length > 0) && (
+                        <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap', fontSize: 12, color: '#6b7280' }}>
+                            {s.aliases.length > 0 && <span>Also seen as: {s.aliases.join(', ')}</span>}
+                            {s.mergedKeys.map((key) => (
+                                <button
+                                    key={key}
+                                    type="button"
+                                    className="badge-small"
+                                    disabled={busy}
+                                    title="Split this speaker back out"
+                                    onClick={() => send('unmerge', { key })}
+                                    style={{ cursor: 'pointer', border: 'none' }}
+                                >
+                                    {keyLabel(key)} ×
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            ))}
+        </div>
+    );
+}
+
+function SummarySectionCard({ title, children }) {
+    // Render plain text into paragraphs and bullet lists for better readability.
     function renderContent(text) {
         const lines = String(text || '').split(/\r?\n/);
         const parts = [];
@@ -1125,6 +2118,121 @@ function SummarySectionCard({ title, children }) {
     );
 }
 
+/* ---------- Structured summary (JSON from /summary) ---------- */
+
+const SEVERITY_STYLES = {
+    info: { background: '#eef1f8', color: '#475569' },
+    watch: { background: '#fef3c7', color: '#92400e' },
+    concern: { background: '#fee2e2', color: '#b91c1c' },
+};
+
+function SourceChip({ utterance }) {
+    if (!utterance) return null;
+    return (
+        <span
+            title={`${utterance.speakerName}: ${utterance.text}`}
+            style={{
+                marginLeft: 6,
+                fontSize: 11,
+                padding: '1px 6px',
+                borderRadius: 999,
+                background: '#eef1f8',
+                color: '#475569',
+                fontVariantNumeric: 'tabular-nums',
+                whiteSpace: 'nowrap',
+            }}
+        >
+            {utterance.speakerName}
+            {typeof utterance.startSec === 'number' && ` @ ${formatTimeSec(utterance.startSec)}`}
+        </span>
+    );
+}
+
+function StructuredSummaryGrid({ summary, transcriptById }) {
+    const listStyle = {
+        margin: '0 0 6px 14px',
+        padding: 0,
+        lineHeight: 1.5,
+        color: '#0f172a',
+    };
+    const empty = <div style={{ opacity: 0.6 }}>None recorded.</div>;
+
+    return (
+        <div className="summary-grid">
+            <SummarySectionCard title="Overview">
+                {summary.overview.length ? (
+                    <ul style={listStyle}>
+                        {summary.overview.map((item, i) => (
+                            <li key={i} style={{ marginBottom: 4 }}>{item}</li>
+                        ))}
+                    </ul>
+                ) : empty}
+            </SummarySectionCard>
+
+            <SummarySectionCard title="Decisions">
+                {summary.decisions.length ? (
+                    <ul style={listStyle}>
+                        {summary.decisions.map((d, i) => (
+                            <li key={i} style={{ marginBottom: 4 }}>
+                                {d.text}
+                                {d.sourceUtteranceIds.map((id) => (
+                                    <SourceChip key={id} utterance={transcriptById[id]} />
+                                ))}
+                            </li>
+                        ))}
+                    </ul>
+                ) : empty}
+            </SummarySectionCard>
+
+            <SummarySectionCard title="Action items">
+                {summary.actionItems.length ? (
+                    <ul style={listStyle}>
+                        {summary.actionItems.map((a, i) => (
+                            <li key={i} style={{ marginBottom: 6 }}>
+                                <div>
+                                    {a.task}
+                                    <SourceChip utterance={transcriptById[a.sourceUtteranceId]} />
+                                </div>
+                                <div style={{ fontSize: 12, color: '#6b7280' }}>
+                                    Owner: {a.owner || 'unassigned'} · Due: {a.dueDate || 'not set'}
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+                ) : empty}
+            </SummarySectionCard>
+
+            <SummarySectionCard title="Inclusivity & Engagement">
+                {summary.inclusivity.length ? (
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
+                        {summary.inclusivity.map((f, i) => (
+                            <div key={i} style={{ lineHeight: 1.5, color: '#0f172a' }}>
+                                <span
+                                    style={{
+                                        ...(SEVERITY_STYLES[f.severity] || SEVERITY_STYLES.info),
+                                        fontSize: 11,
+                                        fontWeight: 600,
+                                        padding: '1px 8px',
+                                        borderRadius: 999,
+                                        marginRight: 6,
+                                        textTransform: 'uppercase',
+                                    }}
+                                >
+                                    {f.severity}
+                                </span>
+                                {f.finding}
+                                {f.speakers.length > 0 && (
+                                    <span style={{ color: '#6b7280' }}> ({f.speakers.join(', ')})</span>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                ) : empty}
+            </SummarySectionCard>
+        </div>
+    );
+}
+
 /* ---------- Speaking time ratio (shared between live + summary) ---------- */
 
 function SpeakingTimeRatio({ participation, title, caption, colorMap }) {
@@ -1242,6 +2350,8 @@ function SpeakingTimeRatio({ participation, title, caption, colorMap }) {
 
 function SpeakingTimeDuration({ participation, title, caption, colorMap }) {
     const durations = participation?.speakingTimeSec || {};
+    // Present when talk time comes from speech_on/off rather than word timestamps
+    const speechTime = participation?.speechTime || null;
     const entries = Object.entries(durations)
         .map(([name, seconds]) => ({
             name,
@@ -1293,6 +2403,16 @@ function SpeakingTimeDuration({ participation, title, caption, colorMap }) {
                                     {formatTimeSec(seconds)} · {(share * 100).toFixed(0)}%
                                 </span>
                             </div>
+                            {speechTime?.bySpeaker?.[name] && (
+                                <div style={{ fontSize: 11, color: '#94a3b8' }}>
+                                    {speechTime.bySpeaker[name].turns} turns · median{' '}
+                                    {formatTimeSec(speechTime.bySpeaker[name].medianTurnSec || 0)}
+                                    {speechTime.bySpeaker[name].overlapSec > 0 &&
+                                        ` · ${formatTimeSec(
+                                            speechTime.bySpeaker[name].overlapSec,
+                                        )} overlapping`}
+                                </div>
+                            )}
                             <div
                                 style={{
                                     height: 10,
@@ -1316,6 +2436,295 @@ function SpeakingTimeDuration({ participation, title, caption, colorMap }) {
 
             <div style={{ fontSize: 12, color: '#475569' }}>
                 Total speaking time tracked: {formatTimeSec(total)}
+                {speechTime
+                    ? ` · ${formatTimeSec(speechTime.overlapSec)} overlapping · median turn ${formatTimeSec(
+                          speechTime.medianTurnSec || 0,
+                      )}`
+                    : ''}
+            </div>
+            <div style={{ fontSize: 11, color: '#94a3b8' }}>
+                {speechTime
+                    ? 'From speech start/stop events.'
+                    : 'Estimated from transcript word timestamps.'}
+            </div>
+        </div>
+    );
+}
+
+/* ---------- Transcript search (GET /api/bots/:id/transcript) ---------- */
+
+const SEARCH_PAGE_SIZE = 500; // the endpoint's max limit
+const SEARCH_DEBOUNCE_MS = 250;
+
+/*
+  Search + filters over a transcript list, answered by the backend with
+  ?all=1 so lines that pass the speaker/time filters but miss the query
+  come back too. Non-matching lines stay visible; matches are highlighted
+  with the server's ranges and stepped through with next/prev, and the
+  current one is scrolled into view inside listRef.
+*/
+function useTranscriptSearch({ botId, source = 'realtime', transcripts, listRef }) {
+    const [query, setQuery] = useState('');
+    const [speakers, setSpeakers] = useState([]);
+    const [fromText, setFromText] = useState('');
+    const [toText, setToText] = useState('');
+    const [matchIndex, setMatchIndex] = useState(0);
+    const [result, setResult] = useState(null); // { scope, hits, error } of the last answer
+
+    const speakerNames = useMemo(
+        () => [...new Set(transcripts.map((t) => t.speakerName).filter(Boolean))],
+        [transcripts],
+    );
+
+    const active = !!query.trim() || speakers.length > 0 || !!fromText.trim() || !!toText.trim();
+    const searchParams = new URLSearchParams({ all: '1', limit: String(SEARCH_PAGE_SIZE) });
+    if (source === 'refined') searchParams.set('source', 'refined');
+    if (query.trim()) searchParams.set('q', query.trim());
+    speakers.forEach((name) => searchParams.append('speaker', name));
+    if (fromText.trim()) searchParams.set('from', fromText.trim());
+    if (toText.trim()) searchParams.set('to', toText.trim());
+    const searchQs = searchParams.toString();
+    // Ranges only apply to the text they were computed on
+    const scope = `${botId}|${source}`;
+
+    // Re-run on new utterances too, so live lines get filtered and highlighted
+    useEffect(() => {
+        if (!botId || !active) return;
+        let cancelled = false;
+        const timer = setTimeout(async () => {
+            const hits = [];
+            let error = '';
+            try {
+                for (;;) {
+                    const res = await fetch(
+                        `${API_BASE}/api/bots/${botId}/transcript?${searchQs}&offset=${hits.length}`,
+                    );
+                    const data = await res.json().catch(() => ({}));
+                    if (!res.ok) {
+                        error = data.error || 'Search failed.';
+                        break;
+                    }
+                    const page = Array.isArray(data.transcripts) ? data.transcripts : [];
+                    hits.push(...page);
+                    if (!page.length || hits.length >= data.matched) break;
+                }
+            } catch (err) {
+                console.error('Error searching transcript:', err);
+                error = 'Could not reach backend.';
+            }
+            if (!cancelled) setResult({ scope, hits, error });
+        }, SEARCH_DEBOUNCE_MS);
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [botId, scope, searchQs, active, transcripts.length]);
+
+    // Until the first answer (or after an error) everything stays visible
+    const answer = active && result?.scope === scope && !result.error ? result : null;
+
+    const visible = useMemo(() => {
+        if (!answer) return transcripts;
+        const ids = new Set(answer.hits.map((h) => h.id));
+        return transcripts.filter((t) => ids.has(t.id));
+    }, [transcripts, answer]);
+
+    const rangesById = useMemo(() => {
+        const map = {};
+        if (!answer || !query.trim()) return map;
+        answer.hits.forEach((h) => {
+            if (h.matches?.length) map[h.id] = h.matches;
+        });
+        return map;
+    }, [answer, query]);
+
+    const matchIds = useMemo(
+        () => visible.filter((t) => rangesById[t.id]).map((t) => t.id),
+        [visible, rangesById],
+    );
+    const currentIndex = matchIds.length ? Math.min(matchIndex, matchIds.length - 1) : -1;
+    const currentId = currentIndex >= 0 ? matchIds[currentIndex] : null;
+
+    useEffect(() => {
+        if (currentId === null) return;
+        listRef.current
+            ?.querySelector('[data-search-current="true"]')
+            ?.scrollIntoView({ block: 'nearest' });
+    }, [currentId, listRef]);
+
+    return {
+        query,
+        setQuery: (value) => {
+            setQuery(value);
+            setMatchIndex(0);
+        },
+        speakers,
+        toggleSpeaker: (name) =>
+            setSpeakers((prev) =>
+                prev.includes(name) ? prev.filter((n) => n !== name) : [...prev, name],
+            ),
+        speakerNames,
+        fromText,
+        setFromText,
+        toText,
+        setToText,
+        error: active && result?.scope === scope ? result.error : '',
+        active,
+        visible,
+        rangesById,
+        matchCount: matchIds.length,
+        currentIndex,
+        currentId,
+        next: () => matchIds.length && setMatchIndex((currentIndex + 1) % matchIds.length),
+        prev: () =>
+            matchIds.length &&
+            setMatchIndex((currentIndex - 1 + matchIds.length) % matchIds.length),
+        clear: () => {
+            setQuery('');
+            setSpeakers([]);
+            setFromText('');
+            setToText('');
+            setMatchIndex(0);
+        },
+    };
+}
+
+function HighlightedText({ text, ranges, current }) {
+    if (!ranges?.length) return text;
+    const parts = [];
+    let pos = 0;
+    ranges.forEach(([start, end]) => {
+        if (start > pos) parts.push(text.slice(pos, start));
+        parts.push(
+            <mark
+                key={start}
+                style={{
+                    background: current ? '#fbbf24' : '#fde68a',
+                    color: 'inherit',
+                    borderRadius: 3,
+                    padding: '0 1px',
+                }}
+            >
+                {text.slice(start, end)}
+            </mark>,
+        );
+        pos = end;
+    });
+    if (pos < text.length) parts.push(text.slice(pos));
+    return parts;
+}
+
+const SEARCH_INPUT_STYLE = {
+    fontSize: 13,
+    borderRadius: 8,
+    padding: '4px 8px',
+    border: '1px solid rgba(229, 232, 242, 0.9)',
+    background: 'rgba(255,255,255,0.8)',
+};
+
+function TranscriptSearchBar({ search, speakerColors }) {
+    return (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 6, marginBottom: 8, fontSize: 12 }}>
+            <div style={{ display: 'flex', gap: 6, alignItems: 'center', flexWrap: 'wrap' }}>
+                <input
+                    type="search"
+                    placeholder="Search transcript"
+                    value={search.query}
+                    onChange={(e) => search.setQuery(e.target.value)}
+                    onKeyDown={(e) => {
+                        if (e.key !== 'Enter') return;
+                        e.preventDefault();
+                        if (e.shiftKey) search.prev();
+                        else search.next();
+                    }}
+                    style={{ ...SEARCH_INPUT_STYLE, flex: '1 1 160px' }}
+                />
+                {search.query.trim() && (
+                    <>
+                        <span style={{ color: '#475569', fontVariantNumeric: 'tabular-nums' }}>
+                            {search.matchCount
+                                ? `${search.currentIndex + 1} of ${search.matchCount}`
+                                : 'No matches'}
+                        </span>
+                        <button
+                            type="button"
+                            className="badge-small"
+                            onClick={search.prev}
+                            disabled={!search.matchCount}
+                            title="Previous match (Shift+Enter)"
+                            style={{ cursor: 'pointer', border: 'none' }}
+                        >
+                            ↑
+                        </button>
+                        <button
+                            type="button"
+                            className="badge-small"
+                            onClick={search.next}
+                            disabled={!search.matchCount}
+                            title="Next match (Enter)"
+                            style={{ cursor: 'pointer', border: 'none' }}
+                        >
+                            ↓
+                        </button>
+                    </>
+                )}
+            </div>
+
+            <div style={{ display: 'flex', gap: 6, alignItems: 'center', flexWrap: 'wrap' }}>
+                {search.speakerNames.map((name) => {
+                    const color = speakerColors[name] || '#7a5af8';
+                    const on = search.speakers.includes(name);
+                    return (
+                        <button
+                            key={name}
+                            type="button"
+                            onClick={() => search.toggleSpeaker(name)}
+                            style={{
+                                cursor: 'pointer',
+                                fontSize: 12,
+                                padding: '2px 10px',
+                                borderRadius: 999,
+                                border: `1px solid ${color}`,
+                                background: on ? color : 'transparent',
+                                color: on ? '#ffffff' : color,
+                            }}
+                        >
+                            {name}
+                        </button>
+                    );
+                })}
+                <label
+                    style={{ display: 'flex', gap: 4, alignItems: 'center', color: '#475569' }}
+                    title="m:ss from the start of the call (the recording), same as exported SRT/VTT cues"
+                >
+                    Call time from
+                    <input
+                        type="text"
+                        placeholder="0:00"
+                        value={search.fromText}
+                        onChange={(e) => search.setFromText(e.target.value)}
+                        style={{ ...SEARCH_INPUT_STYLE, width: 56 }}
+                    />
+                    to
+                    <input
+                        type="text"
+                        placeholder="end"
+                        value={search.toText}
+                        onChange={(e) => search.setToText(e.target.value)}
+                        style={{ ...SEARCH_INPUT_STYLE, width: 56 }}
+                    />
+                </label>
+                {search.error && <span style={{ color: '#b45309' }}>{search.error}</span>}
+                {search.active && (
+                    <button
+                        type="button"
+                        className="badge-small"
+                        onClick={search.clear}
+                        style={{ cursor: 'pointer', border: 'none' }}
+                    >
+                        Clear
+                    </button>
+                )}
             </div>
         </div>
     );
@@ -1323,12 +2732,22 @@ function SpeakingTimeDuration({ participation, title, caption, colorMap }) {
 
 /* ---------- Speaker timeline (per-speaker segments + silences) ---------- */
 
-function SpeakerTimeline({ transcripts, participation, colorMap }) {
+// onSeek(sec) makes segments and silences clickable; playheadSec draws the playback position
+function SpeakerTimeline({ transcripts, speechSegments, participation, colorMap, onSeek, playheadSec }) {
     const [tooltip, setTooltip] = useState(null);
     const timelineRef = useRef(null);
-    const timed = (transcripts || []).filter((t) =>
-        Number.isFinite(t.startSec)
-    );
+    // speech_on/off intervals when available: they also cover untranscribed speech
+    const spoken = (speechSegments || [])
+        .filter((s) => Number.isFinite(s.startSec) && Number.isFinite(s.endSec))
+        .map((s) => ({
+            speakerName: s.speaker,
+            startSec: s.startSec,
+            endSec: s.endSec,
+            text: `Speaking for ${formatTimeSec(s.endSec - s.startSec)}`,
+        }));
+    const timed = spoken.length
+        ? spoken
+        : (transcripts || []).filter((t) => Number.isFinite(t.startSec));
 
     if (!timed.length) return null;
 
@@ -1357,6 +2776,7 @@ function SpeakerTimeline({ transcripts, participation, colorMap }) {
         const widthPct = (dur / span) * 100;
         if (!perSpeaker[speaker]) perSpeaker[speaker] = [];
         perSpeaker[speaker].push({
+            startSec: t.startSec,
             startPct,
             widthPct: Math.min(100, widthPct),
             hitEndPct: Math.min(100, startPct + (rawDur / span) * 100),
@@ -1387,6 +2807,7 @@ function SpeakerTimeline({ transcripts, participation, colorMap }) {
         const toPct = Math.min(100, fromPct + widthPct);
         return {
             key: `silence-${idx}`,
+            fromSec: p.fromSec,
             fromPct,
             toPct,
             widthPct: Math.min(100, widthPct),
@@ -1453,8 +2874,15 @@ function SpeakerTimeline({ transcripts, participation, colorMap }) {
                                         bottom: 0,
                                         background: 'linear-gradient(90deg, #e2e8f0, #f8fafc)',
                                         opacity: 0.4,
-                                        pointerEvents: 'none',
+                                        pointerEvents: onSeek ? 'auto' : 'none',
+                                        cursor: onSeek ? 'pointer' : undefined,
                                     }}
+                                    title={
+                                        onSeek
+                                            ? `Silence (${formatTimeSec(range.durationSec)}), click to play`
+                                            : undefined
+                                    }
+                                    onClick={onSeek ? () => onSeek(range.fromSec) : undefined}
                                 />
                             ))}
                             {segments.map((seg, idx) => (
@@ -1469,8 +2897,10 @@ function SpeakerTimeline({ transcripts, participation, colorMap }) {
                                         background: color,
                                         opacity: 0.9,
                                         borderRadius: 999,
+                                        cursor: onSeek ? 'pointer' : undefined,
                                     }}
                                     data-segment="true"
+                                    onClick={onSeek ? () => onSeek(seg.startSec) : undefined}
                                     onMouseMove={(e) => {
                                         const rect = timelineRef.current?.getBoundingClientRect();
                                         if (!rect) return;
@@ -1484,13 +2914,29 @@ function SpeakerTimeline({ transcripts, participation, colorMap }) {
                                     onMouseLeave={() => setTooltip(null)}
                                 />
                             ))}
+                            {Number.isFinite(playheadSec) &&
+                                playheadSec >= baseStart &&
+                                playheadSec <= totalEnd && (
+                                <div
+                                    style={{
+                                        position: 'absolute',
+                                        left: `${((playheadSec - baseStart) / span) * 100}%`,
+                                        top: 0,
+                                        bottom: 0,
+                                        width: 2,
+                                        background: '#0f172a',
+                                        pointerEvents: 'none',
+                                    }}
+                                />
+                            )}
                         </div>
                     </div>
                 );
             })}
 
             <div style={{ fontSize: 12, color: '#475569' }}>
-                Timeline span: {formatTimeSec(span)} (relative to first captured utterance)
+                Timeline span: {formatTimeSec(span)} (relative to first captured{' '}
+                {spoken.length ? 'speech' : 'utterance'})
             </div>
 
             {tooltip && tooltip.title !== 'Silence' && (
@@ -1529,12 +2975,12 @@ function SpeakerTimeline({ transcripts, participation, colorMap }) {
     );
 }
 
-function SpeakingViewToggle({ value, onChange }) {
-    const options = [
-        { id: 'ratio', label: 'Words' },
-        { id: 'duration', label: 'Time' },
-    ];
+const SPEAKING_VIEW_OPTIONS = [
+    { id: 'ratio', label: 'Words' },
+    { id: 'duration', label: 'Time' },
+];
 
+function SpeakingViewToggle({ value, onChange, options = SPEAKING_VIEW_OPTIONS }) {
     return (
         <div
             style={{
@@ -1576,6 +3022,82 @@ function SpeakingViewToggle({ value, onChange }) {
 
 /* ---------- Participation Diagnostics ---------- */
 
+const BALANCE_CHECK_LABELS = {
+    dominance: 'Top speaker share',
+    silence: 'Silence share of call',
+    quiet: 'Quietest speaker share',
+};
+
+// Rows: who interrupted; columns: who got interrupted.
+function InterruptionMatrix({ matrix }) {
+    const rows = Object.keys(matrix || {});
+    if (!rows.length) return null;
+    const columns = [
+        ...new Set(rows.flatMap((name) => Object.keys(matrix[name] || {}))),
+    ];
+    const max = Math.max(
+        1,
+        ...rows.flatMap((name) => columns.map((col) => matrix[name][col] || 0)),
+    );
+    const cellStyle = {
+        padding: '4px 8px',
+        textAlign: 'center',
+        borderBottom: '1px solid #eef1f8',
+    };
+
+    return (
+        <div style={{ overflowX: 'auto', marginTop: 6 }}>
+            <table style={{ borderCollapse: 'collapse', fontSize: 12 }}>
+                <thead>
+                    <tr>
+                        <th
+                            style={{
+                                ...cellStyle,
+                                textAlign: 'left',
+                                color: '#64748b',
+                                fontWeight: 500,
+                            }}
+                        >
+                            interrupter ↓ / interrupted →
+                        </th>
+                        {columns.map((col) => (
+                            <th key={col} style={{ ...cellStyle, fontWeight: 600 }}>
+                                {col}
+                            </th>
+                        ))}
+                    </tr>
+                </thead>
+                <tbody>
+                    {rows.map((name) => (
+                        <tr key={name}>
+                            <td style={{ ...cellStyle, textAlign: 'left', fontWeight: 600 }}>
+                                {name}
+                            </td>
+                            {columns.map((col) => {
+                                const count = matrix[name][col] || 0;
+                                return (
+                                    <td
+                                        key={col}
+                                        style={{
+                                            ...cellStyle,
+                                            color: count ? '#0f172a' : '#cbd5e1',
+                                            background: count
+                                                ? `rgba(239,68,68,${0.08 + (0.32 * count) / max})`
+                                                : 'transparent',
+                                        }}
+                                    >
+                                        {col === name ? '-' : count}
+                                    </td>
+                                );
+                            })}
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
 function ParticipationDiagnostics({ participation, mode = 'live' }) {
     if (!participation) return null;
 
@@ -1590,6 +3112,10 @@ function ParticipationDiagnostics({ participation, mode = 'live' }) {
         durationSec,
         balance = { status: 'balanced', reasons: [] },
         interruptionCounts = {},
+        interruptionMatrix = {},
+        successfulInterruptions,
+        unsuccessfulInterruptions,
+        backchannels,
         turnTakingPerMin,
     } = participation;
 
@@ -1616,6 +3142,8 @@ function ParticipationDiagnostics({ participation, mode = 'live' }) {
     const balanceReasons = Array.isArray(balance.reasons)
         ? balance.reasons.filter(Boolean)
         : [];
+    const balanceChecks = Array.isArray(balance.checks) ? balance.checks : [];
+    const policy = participation.policy || null;
 
     const title =
         mode === 'live'
@@ -1680,6 +3208,18 @@ function ParticipationDiagnostics({ participation, mode = 'live' }) {
                 )}
             </div>
 
+            {(totalInterruptions > 0 || backchannels > 0) && (
+                <div style={{ color: '#475569' }}>
+                    {Number.isFinite(successfulInterruptions) &&
+                        totalInterruptions > 0 &&
+                        `${successfulInterruptions} took the floor, ${
+                            unsuccessfulInterruptions || 0
+                        } talked over and stopped. `}
+                    {backchannels > 0 &&
+                        `${backchannels} back-channel ("yeah", "mm-hm") not counted.`}
+                </div>
+            )}
+
             {interruptionList.length > 0 && (
                 <div>
                     <strong>Interruptions by speaker:</strong>
@@ -1720,6 +3260,13 @@ function ParticipationDiagnostics({ participation, mode = 'live' }) {
                 </div>
             )}
 
+            {Object.keys(interruptionMatrix).length > 0 && (
+                <div>
+                    <strong>Who interrupted whom:</strong>
+                    <InterruptionMatrix matrix={interruptionMatrix} />
+                </div>
+            )}
+
             <div>
                 <strong>Turn-taking rate:</strong>{' '}
                 {Number.isFinite(turnTakingPerMin)
@@ -1763,6 +3310,30 @@ function ParticipationDiagnostics({ participation, mode = 'live' }) {
                 {balanceReasons.length > 0 && <> - {balanceReasons.join('; ')}</>}
             </div>
 
+            {policy && (
+                <div>
+                    <strong>Policy:</strong> {policy.name}
+                    {policy.description && (
+                        <span style={{ color: '#6b7280' }}> - {policy.description}</span>
+                    )}
+                    {balanceChecks.length > 0 && (
+                        <div style={{ marginTop: 4, display: 'flex', flexDirection: 'column', gap: 2 }}>
+                            {balanceChecks.map((c) => (
+                                <div
+                                    key={c.id}
+                                    style={{ color: c.flagged ? '#b45309' : '#475569' }}
+                                >
+                                    {c.flagged ? '!' : '✓'} {BALANCE_CHECK_LABELS[c.id] || c.id}:{' '}
+                                    {Number.isFinite(c.value) ? `${(c.value * 100).toFixed(0)}%` : 'n/a'}
+                                    {' '}(flag {c.id === 'quiet' ? 'below' : 'above'}{' '}
+                                    {(c.limit * 100).toFixed(0)}%)
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            )}
+
             {Object.keys(repetitionSummary).length > 0 && (
                 <div>
                     <strong>Repetition patterns:</strong>{' '}
@@ -1788,44 +3359,269 @@ function ParticipationDiagnostics({ participation, mode = 'live' }) {
     );
 }
 
-/* ---------- Summary View "page" ---------- */
+/* ---------- Post-call recording (audio + refined transcript) ---------- */
 
-function SummaryView({
-    botId,
-    botState,
-    wordCounts,
-    pieData,
-    onBack,
-    speakingView,
-    setSpeakingView,
-}) {
-    const transcripts = botState.transcripts || [];
-    const participation = botState.participation || null;
-    const speakerColors = useMemo(() => {
-        const map = {};
-        pieData.forEach((d, idx) => {
-            map[d.name] = PIE_COLORS[idx % PIE_COLORS.length];
-        });
-        return map;
-    }, [pieData]);
+const RECORDING_STATUS_LABELS = {
+    waiting: 'Waiting for Recall to process the recording...',
+    processing: 'Recall is processing the recording...',
+    failed: 'Recording unavailable',
+};
 
-    // AI summary local state
-    const [summaryText, setSummaryText] = useState(botState.summary?.text || '');
-    const [summaryFinishReason, setSummaryFinishReason] = useState(
-        botState.summary?.finishReason || null,
-    );
-    const [summaryLoading, setSummaryLoading] = useState(false);
-    const [summaryError, setSummaryError] = useState('');
+function RecordingStatus({ botId, recording, asyncTranscript }) {
+    const [retrying, setRetrying] = useState(false);
+    if (!recording) return null;
 
-    // Keep local summary in sync with backend state
-    useEffect(() => {
-        setSummaryText(botState.summary?.text || '');
-        setSummaryFinishReason(botState.summary?.finishReason || null);
-    }, [botState.summary]);
+    async function handleRetry() {
+        setRetrying(true);
+        try {
+            // The result arrives as a 'recording' event too
+            await fetch(`${API_BASE}/api/bots/${botId}/recording/refresh`, { method: 'POST' });
+        } catch (err) {
+            console.error('Error refreshing recording:', err);
+        } finally {
+            setRetrying(false);
+        }
+    }
 
-    const totalWordsCount =
-        participation?.totalWords ??
-        Object.values(wordCounts || {}).reduce((sum, v) => sum + v, 0);
+    const failed = recording.status === 'failed' || asyncTranscript?.status === 'failed';
+    const parts = [];
+    if (recording.status !== 'done') parts.push(RECORDING_STATUS_LABELS[recording.status] || recording.status);
+    if (asyncTranscript?.status === 'processing') parts.push('Refining the transcript...');
+    if (asyncTranscript?.status === 'failed') parts.push('Refined transcript failed');
+
+    return (
+        <div
+            style={{
+                display: 'flex',
+                gap: 8,
+                alignItems: 'center',
+                flexWrap: 'wrap',
+                fontSize: 12,
+                color: failed ? '#b91c1c' : '#6b7280',
+                marginBottom: 8,
+            }}
+        >
+            {recording.audio && (
+                <a href={`${API_BASE}/api/bots/${botId}/recording/audio`} download>
+                    Download audio ({(recording.audio.bytes / (1024 * 1024)).toFixed(1)} MB)
+                </a>
+            )}
+            {parts.length > 0 && <span>{parts.join(' · ')}</span>}
+            {(recording.error || asyncTranscript?.error) && (
+                <span title={recording.error || asyncTranscript.error}>
+                    ({recording.error || asyncTranscript.error})
+                </span>
+            )}
+            {failed && (
+                <button type="button" className="button" onClick={handleRetry} disabled={retrying}>
+                    {retrying ? 'Retrying...' : 'Retry'}
+                </button>
+            )}
+        </div>
+    );
+}
+
+/* ---------- Recording playback (audio synced to transcript + timeline) ---------- */
+
+// Wall-clock second (what transcript/timeline timestamps use) where the audio starts
+function recordingStartSec(recording, transcripts, speechSegments) {
+    const started = Date.parse(recording?.startedAt || '');
+    if (Number.isFinite(started)) return started / 1000;
+    // Fetched before start times were stored: assume it starts with the first speech
+    const starts = [...(speechSegments || []), ...(transcripts || [])]
+        .map((t) => t.startSec)
+        .filter(Number.isFinite);
+    return starts.length ? Math.min(...starts) : 0;
+}
+
+function RecordingPlayer({ src, audioRef, startSec, silences, onTime, onSeek }) {
+    return (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 8, marginTop: 8 }}>
+            <audio
+                ref={audioRef}
+                src={src}
+                controls
+                preload="metadata"
+                onTimeUpdate={(e) => onTime(e.currentTarget.currentTime)}
+                style={{ width: '100%' }}
+            />
+            {silences.length > 0 && (
+                <div
+                    style={{
+                        display: 'flex',
+                        gap: 6,
+                        flexWrap: 'wrap',
+                        alignItems: 'center',
+                        fontSize: 12,
+                        color: '#475569',
+                    }}
+                >
+                    <span>Jump to silence:</span>
+                    {silences.map((p) => (
+                        <button
+                            key={`${p.fromSec}-${p.toSec}`}
+                            type="button"
+                            className="badge-small"
+                            onClick={() => onSeek(p.fromSec)}
+                            style={{ cursor: 'pointer', border: 'none' }}
+                        >
+                            {formatTimeSec(p.fromSec - startSec)} · {formatTimeSec(p.durationSec)}
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
+
+/* ---------- Summary View "page" ---------- */
+
+const TRANSCRIPT_SOURCES = [
+    { id: 'realtime', label: 'Real-time' },
+    { id: 'refined', label: 'Refined' },
+];
+
+function SummaryView({
+    botId,
+    botState,
+    wordCounts: liveWordCounts,
+    pieData: livePieData,
+    onBack,
+    speakingView,
+    setSpeakingView,
+}) {
+    // Real-time = the streaming captions; refined = Recall's post-call transcript
+    const [transcriptSource, setTranscriptSource] = useState('realtime');
+    const [refined, setRefined] = useState(null);
+    const [refinedError, setRefinedError] = useState('');
+    const refinedReady = botState.asyncTranscript?.status === 'done';
+    const useRefined = refinedReady && transcriptSource === 'refined' && !!refined;
+
+    const transcripts = useRefined
+        ? refined.transcripts
+        : (botState.transcripts ?? EMPTY_TRANSCRIPTS);
+    const participation = useRefined ? refined.participation : botState.participation || null;
+    const refinedWordCounts = useMemo(
+        () => (refined ? computeWordCounts(refined.transcripts) : null),
+        [refined],
+    );
+    const wordCounts = useRefined ? refinedWordCounts : liveWordCounts;
+    const pieData = useMemo(
+        () => (useRefined ? buildPieData(refinedWordCounts) : livePieData),
+        [useRefined, refinedWordCounts, livePieData],
+    );
+    // Colors follow the live speakers so switching sources doesn't repaint everyone
+    const speakerColors = useMemo(() => {
+        const map = {};
+        livePieData.forEach((d, idx) => {
+            map[d.name] = PIE_COLORS[idx % PIE_COLORS.length];
+        });
+        return map;
+    }, [livePieData]);
+
+    async function handleTranscriptSource(next) {
+        setTranscriptSource(next);
+        setRefinedError('');
+        if (next !== 'refined' || refined) return;
+        try {
+            const res = await fetch(`${API_BASE}/api/bots/${botId}/transcript/refined`);
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok) {
+                setRefinedError(data.error || 'Could not load the refined transcript.');
+                setTranscriptSource('realtime');
+                return;
+            }
+            setRefined(data);
+        } catch (err) {
+            console.error('Error loading refined transcript:', err);
+            setRefinedError('Could not reach backend.');
+            setTranscriptSource('realtime');
+        }
+    }
+
+    // AI summary: the reply we just received, or whatever the event stream pushed
+    const [generatedSummary, setGeneratedSummary] = useState(null);
+    const [summaryLoading, setSummaryLoading] = useState(false);
+    const [summaryError, setSummaryError] = useState('');
+    // Sections streamed in while a generation is running
+    const [streamingSummary, setStreamingSummary] = useState(null);
+    const summaryAbortRef = useRef(null);
+    const summary = newerSummary(generatedSummary, botState.summary);
+    const summaryText = summary?.text || '';
+    const summaryFinishReason = streamingSummary ? null : summary?.finishReason || null;
+    const structuredSummary = streamingSummary || summary?.structured || null;
+    const summaryProgress = botState.summaryProgress || null;
+    const progressLabel =
+        summaryLoading && summaryProgress?.status === 'running' && summaryProgress.totalChunks > 1
+            ? summaryProgress.phase === 'reduce'
+                ? `Merging ${summaryProgress.totalChunks} parts...`
+                : `Summarizing part ${summaryProgress.chunk} of ${summaryProgress.totalChunks}...`
+            : null;
+    // Started by the backend when the call ended (AUTO_SUMMARY), not by this page
+    const backgroundSummary = !summaryLoading && summaryProgress?.status === 'running';
+    // Summary citations point at real-time utterance ids, whichever source is shown
+    const liveTranscripts = botState.transcripts ?? EMPTY_TRANSCRIPTS;
+
+    // Audio playback: clicks seek, the playing utterance is highlighted
+    const audioRef = useRef(null);
+    const summaryTranscriptListRef = useRef(null);
+    const [playheadSec, setPlayheadSec] = useState(null);
+    const hasAudio = !!botState.recording?.audio;
+    const audioStartSec = useMemo(
+        () => recordingStartSec(botState.recording, liveTranscripts, botState.speechSegments),
+        [botState.recording, liveTranscripts, botState.speechSegments],
+    );
+    const silencePeriods = useMemo(
+        () =>
+            // Every silence once the call is over; live pushes only carry the last few
+            (participation?.silence?.allPeriods || participation?.silence?.periods || []).filter(
+                (p) => Number.isFinite(p.fromSec) && Number.isFinite(p.toSec),
+            ),
+        [participation],
+    );
+    const activeUtteranceId = useMemo(() => {
+        if (playheadSec === null) return null;
+        let active = null;
+        transcripts.forEach((t) => {
+            if (!Number.isFinite(t.startSec) || t.startSec > playheadSec) return;
+            const end = Number.isFinite(t.endSec) ? t.endSec : t.startSec + 1;
+            if (playheadSec <= end + 0.5) active = t.id;
+        });
+        return active;
+    }, [transcripts, playheadSec]);
+
+    function seekTo(sec) {
+        const audio = audioRef.current;
+        if (!audio || !Number.isFinite(sec)) return;
+        audio.currentTime = Math.max(0, sec - audioStartSec);
+        audio.play().catch((err) => console.warn('Playback blocked:', err));
+    }
+
+    const transcriptSearch = useTranscriptSearch({
+        botId,
+        source: useRefined ? 'refined' : 'realtime',
+        transcripts,
+        listRef: summaryTranscriptListRef,
+    });
+
+    // Keep the playing line in view (only while playing, so reading isn't hijacked)
+    useEffect(() => {
+        if (activeUtteranceId === null || audioRef.current?.paused) return;
+        summaryTranscriptListRef.current
+            ?.querySelector('[data-playing="true"]')
+            ?.scrollIntoView({ block: 'nearest' });
+    }, [activeUtteranceId]);
+    const transcriptById = useMemo(() => {
+        const map = {};
+        liveTranscripts.forEach((t) => {
+            map[String(t.id)] = t;
+        });
+        return map;
+    }, [liveTranscripts]);
+
+    const totalWordsCount =
+        participation?.totalWords ??
+        Object.values(wordCounts || {}).reduce((sum, v) => sum + v, 0);
     const callDurationSec = participation?.durationSec ?? null;
     const timeCounts = useMemo(() => {
         const counts = {};
@@ -1841,48 +3637,70 @@ function SummaryView({
     const summaryTimelineHover = useHoverCard('strong');
     const aiSummaryHover = useHoverCard('strong');
 
+    // Leaving the summary view cancels an in-flight generation
+    useEffect(() => () => summaryAbortRef.current?.abort(), []);
+
     async function handleGenerateSummary() {
         if (!botId) return;
+        const controller = new AbortController();
+        summaryAbortRef.current = controller;
         setSummaryLoading(true);
         setSummaryError('');
+        setStreamingSummary(null);
 
         try {
             const res = await fetch(`${API_BASE}/api/bots/${botId}/summary`, {
                 method: 'POST',
-                headers: { 'content-type': 'application/json' },
+                headers: {
+                    'content-type': 'application/json',
+                    accept: 'text/event-stream',
+                },
+                signal: controller.signal,
             });
 
-            const data = await res.json().catch(() => ({}));
-            if (!res.ok || data.error) {
+            if (!res.ok) {
+                const data = await res.json().catch(() => ({}));
                 console.error('Summary failed:', data);
                 setSummaryError(data.error || 'Failed to generate summary.');
                 return;
             }
 
-            const newText =
-                typeof data.text === 'string'
-                    ? data.text
-                    : typeof data.summaryText === 'string'
-                    ? data.summaryText
-                    : '';
-
-            if (newText) setSummaryText(newText);
-            if (data.finishReason) setSummaryFinishReason(data.finishReason);
+            await readEventStream(res, (type, data) => {
+                if (type === 'partial' && data.structured) {
+                    setStreamingSummary(data.structured);
+                } else if (type === 'done') {
+                    setGeneratedSummary(data);
+                } else if (type === 'error') {
+                    console.error('Summary failed:', data);
+                    setSummaryError(data.error || 'Failed to generate summary.');
+                }
+            });
         } catch (err) {
+            if (err.name === 'AbortError') return;
             console.error('Error calling /summary:', err);
             setSummaryError('Could not reach backend to summarize.');
         } finally {
+            if (summaryAbortRef.current === controller) summaryAbortRef.current = null;
+            setStreamingSummary(null);
             setSummaryLoading(false);
         }
     }
 
-    const sections = useMemo(() => parseSummarySections(summaryText), [summaryText]);
+    function handleCancelSummary() {
+        summaryAbortRef.current?.abort();
+    }
+
+    const sections = useMemo(
+        () => (structuredSummary ? null : parseSummarySections(summaryText)),
+        [structuredSummary, summaryText],
+    );
     const hasStructuredSections =
-        !!sections.overview ||
+        !!sections &&
+        (!!sections.overview ||
         !!sections.decisions ||
         !!sections.actions ||
         !!sections.inclusivity ||
-        !!sections.other;
+        !!sections.other);
 
     return (
         <div className="app-shell">
@@ -1915,21 +3733,71 @@ function SummaryView({
                                 <h2>Final transcript</h2>
                             </div>
                             <span>
-                                All finalized utterances captured while the bot was in the call.
+                                {useRefined
+                                    ? "Recall's post-call transcript; analytics are recomputed from it."
+                                    : 'All finalized utterances captured while the bot was in the call.'}
+                            </span>
+                        </div>
+                        <div style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+                            {refinedReady && (
+                                <SpeakingViewToggle
+                                    value={transcriptSource}
+                                    onChange={handleTranscriptSource}
+                                    options={TRANSCRIPT_SOURCES}
+                                />
+                            )}
+                            <TranscriptExportMenu botId={botId} disabled={!transcripts.length} />
+                            <span className="badge-small">
+                                {transcriptSearch.active
+                                    ? `${transcriptSearch.visible.length} of ${transcripts.length} turns`
+                                    : `${transcripts.length} turns`}
                             </span>
                         </div>
-                        <span className="badge-small">{transcripts.length} turns</span>
                     </div>
 
-                    <div className="transcript-list" style={{ maxHeight: '100vh', overflowY: 'auto', paddingRight: 6 }}>
+                    <RecordingStatus
+                        botId={botId}
+                        recording={botState.recording}
+                        asyncTranscript={botState.asyncTranscript}
+                    />
+                    {refinedError && (
+                        <div style={{ fontSize: 12, color: '#b91c1c', marginBottom: 6 }}>{refinedError}</div>
+                    )}
+                    {transcripts.length > 0 && (
+                        <TranscriptSearchBar search={transcriptSearch} speakerColors={speakerColors} />
+                    )}
+
+                    <div
+                        className="transcript-list"
+                        ref={summaryTranscriptListRef}
+                        style={{ maxHeight: '100vh', overflowY: 'auto', paddingRight: 6 }}
+                    >
                         {transcripts.length === 0 && (
                             <div style={{ opacity: 0.6, fontSize: 13 }}>
                                 No transcript captured for this bot.
                             </div>
                         )}
 
-                        {transcripts.map((t) => (
-                            <div key={t.id} className="transcript-item">
+                        {transcriptSearch.active && transcripts.length > 0 && !transcriptSearch.visible.length && (
+                            <div style={{ opacity: 0.6, fontSize: 13 }}>No lines match these filters.</div>
+                        )}
+
+                        {transcriptSearch.visible.map((t) => (
+                            <div
+                                key={t.id}
+                                className="transcript-item"
+                                data-playing={t.id === activeUtteranceId}
+                                data-search-current={t.id === transcriptSearch.currentId}
+                                onClick={hasAudio ? () => seekTo(t.startSec) : undefined}
+                                title={hasAudio ? 'Play from here' : undefined}
+                                style={{
+                                    cursor: hasAudio ? 'pointer' : undefined,
+                                    ...(t.id === activeUtteranceId && {
+                                        background: 'rgba(122,90,248,0.12)',
+                                        boxShadow: 'inset 3px 0 0 #7a5af8',
+                                    }),
+                                }}
+                            >
                                 <div
                                     style={{
                                         display: 'flex',
@@ -1958,7 +3826,13 @@ function SummaryView({
                                         </div>
                                     )}
                                 </div>
-                                <div className="transcript-text">{t.text}</div>
+                                <div className="transcript-text">
+                                    <HighlightedText
+                                        text={t.text}
+                                        ranges={transcriptSearch.rangesById[t.id]}
+                                        current={t.id === transcriptSearch.currentId}
+                                    />
+                                </div>
                             </div>
                         ))}
                     </div>
@@ -2079,6 +3953,18 @@ function SummaryView({
                                   )}
                         </div>
 
+                        {participation?.turnTransitions && (
+                            <div>
+                                <div className="wordshare-header">
+                                    <span>Who responds to whom</span>
+                                </div>
+                                <ConversationGraph
+                                    transitions={participation.turnTransitions}
+                                    colorMap={speakerColors}
+                                />
+                            </div>
+                        )}
+
                         {participation && speakingView === 'ratio' && (
                             <SpeakingTimeRatio
                                 participation={participation}
@@ -2118,13 +4004,30 @@ function SummaryView({
                             <Icon name="timeline" size={20} />
                             <h2>Speaking timeline</h2>
                         </div>
-                        <span>Per-speaker segments with silence gaps shaded.</span>
+                        <span>
+                            {hasAudio
+                                ? 'Click a segment, a silence or a transcript line to play from there.'
+                                : 'Per-speaker segments with silence gaps shaded.'}
+                        </span>
                     </div>
                 </div>
+                {hasAudio && (
+                    <RecordingPlayer
+                        src={`${API_BASE}/api/bots/${botId}/recording/audio`}
+                        audioRef={audioRef}
+                        startSec={audioStartSec}
+                        silences={silencePeriods}
+                        onTime={(t) => setPlayheadSec(audioStartSec + t)}
+                        onSeek={seekTo}
+                    />
+                )}
                 <SpeakerTimeline
                     transcripts={transcripts}
+                    speechSegments={botState?.speechSegments}
                     participation={participation}
                     colorMap={speakerColors}
+                    onSeek={hasAudio ? seekTo : undefined}
+                    playheadSec={hasAudio ? playheadSec : null}
                 />
             </section>
 
@@ -2147,20 +4050,32 @@ function SummaryView({
                     <div className="summary-actions">
                         <span className="summary-badge">
                             {summaryLoading
-                                ? 'Refreshing...'
+                                ? progressLabel || (streamingSummary ? 'Writing...' : 'Refreshing...')
+                                : backgroundSummary
+                                ? 'Summarizing in the background...'
                                 : summaryText
                                 ? 'Up to date'
                                 : 'Needs summary'}
                         </span>
-                        <button
-                            className="button"
-                            type="button"
-                            onClick={handleGenerateSummary}
-                            disabled={summaryLoading}
-                        >
-                            <Icon name="doc" />
-                            {summaryLoading ? 'Generating ...' : 'Generate / refresh summary'}
-                        </button>
+                        {summaryLoading ? (
+                            <button
+                                className="button"
+                                type="button"
+                                onClick={handleCancelSummary}
+                            >
+                                Cancel
+                            </button>
+                        ) : (
+                            <button
+                                className="button"
+                                type="button"
+                                onClick={handleGenerateSummary}
+                                disabled={backgroundSummary}
+                            >
+                                <Icon name="doc" />
+                                Generate / refresh summary
+                            </button>
+                        )}
                     </div>
                 </div>
 
@@ -2176,9 +4091,10 @@ function SummaryView({
                     </div>
                 )}
 
-                {summaryText && (
+                {(summaryText || structuredSummary) && (
                     <div style={{ marginTop: 4 }}>
-                        {summaryFinishReason === 'length' && (
+                        {(summaryFinishReason === 'length' ||
+                            summaryFinishReason === 'max_output_tokens') && (
                             <div
                                 style={{
                                     fontSize: 11,
@@ -2191,6 +4107,13 @@ function SummaryView({
                             </div>
                         )}
 
+                        {structuredSummary && (
+                            <StructuredSummaryGrid
+                                summary={structuredSummary}
+                                transcriptById={transcriptById}
+                            />
+                        )}
+
                         {hasStructuredSections && (
                             <div className="summary-grid">
                                 {sections.overview && (
@@ -2222,7 +4145,7 @@ function SummaryView({
                             </div>
                         )}
 
-                        {summaryText && !hasStructuredSections && (
+                        {summaryText && !structuredSummary && !hasStructuredSections && (
                             <div className="summary-grid">
                                 <SummarySectionCard title="Summary">
                                     {summaryText}
@@ -2232,7 +4155,7 @@ function SummaryView({
                     </div>
                 )}
 
-                {!summaryText && (
+                {!summaryText && !structuredSummary && (
                     <div
                         style={{
                             marginTop: 4,
@@ -2247,7 +4170,849 @@ function SummaryView({
             </section>
         </div>
     );
-}/* ---------- Coach Toast ---------- */
+}/* ---------- Multi-bot dashboard ---------- */
+
+const DASHBOARD_POLL_MS = 5000;
+
+const BALANCE_STYLES = {
+    balanced: { label: 'Balanced', background: '#dcfce7', color: '#166534' },
+    needs_attention: { label: 'Needs attention', background: '#fef3c7', color: '#92400e' },
+};
+
+function formatClock(iso) {
+    if (!iso) return '';
+    const d = new Date(iso);
+    if (Number.isNaN(d.getTime())) return '';
+    return d.toLocaleString([], {
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+    });
+}
+
+/* ---------- Calendar import (.ics) ---------- */
+
+const IMPORT_STATUS_LABELS = {
+    new: 'New',
+    scheduled: 'Already scheduled',
+    moved: 'Moved in calendar',
+    opted_out: 'Opted out earlier',
+    dispatched: 'Bot already joined',
+    failed: 'Last attempt failed',
+    cancelled: 'Cancelled in calendar',
+    no_link: 'No meeting link',
+};
+
+const importSelectable = (ev) => !['no_link', 'cancelled', 'dispatched'].includes(ev.status);
+
+function CalendarImport({ onImported }) {
+    const [source, setSource] = useState(null); // { ics } | { url } sent to the backend
+    const [sourceLabel, setSourceLabel] = useState('');
+    const [feedUrl, setFeedUrl] = useState('');
+    const [plan, setPlan] = useState(null); // dry-run result: { name, events }
+    const [picked, setPicked] = useState({}); // instance key -> include?
+    const [busy, setBusy] = useState(''); // 'previewing' | 'importing'
+    const [error, setError] = useState('');
+    const [notice, setNotice] = useState('');
+    const importHover = useHoverCard('strong');
+
+    async function preview(nextSource, label) {
+        setBusy('previewing');
+        setError('');
+        setNotice('');
+        try {
+            const res = await fetch(`${API_BASE}/api/calendar/import`, {
+                method: 'POST',
+                headers: { 'content-type': 'application/json' },
+                body: JSON.stringify({ ...nextSource, dryRun: true }),
+            });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok) {
+                setError(data.error || 'Failed to read calendar.');
+                setPlan(null);
+                return;
+            }
+            setSource(nextSource);
+            setSourceLabel(data.name || label);
+            setPlan(data);
+            setPicked(Object.fromEntries(data.events.map((ev) => [ev.key, ev.selected])));
+        } catch (err) {
+            console.error('Error calling POST /api/calendar/import:', err);
+            setError('Could not reach backend.');
+        } finally {
+            setBusy('');
+        }
+    }
+
+    function handleFile(e) {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        file.text().then((ics) => preview({ ics }, file.name));
+    }
+
+    async function runImport() {
+        const include = [];
+        const exclude = [];
+        plan.events.filter(importSelectable).forEach((ev) => {
+            (picked[ev.key] ? include : exclude).push(ev.key);
+        });
+
+        setBusy('importing');
+        setError('');
+        try {
+            const res = await fetch(`${API_BASE}/api/calendar/import`, {
+                method: 'POST',
+                headers: { 'content-type': 'application/json' },
+                body: JSON.stringify({ ...source, include, exclude }),
+            });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok) {
+                setError(data.error || 'Failed to import calendar.');
+                return;
+            }
+            const events = data.events || [];
+            const count = (action) => events.filter((ev) => ev.action === action && !ev.error).length;
+            const failed = events.filter((ev) => ev.error);
+            setNotice(
+                `Scheduled ${count('schedule')}, moved ${count('reschedule')}, cancelled ${count('cancel')}.` +
+                    (failed.length ? ` ${failed.length} failed: ${failed[0].error}` : ''),
+            );
+            setPlan(null);
+            onImported();
+        } catch (err) {
+            console.error('Error calling POST /api/calendar/import:', err);
+            setError('Could not reach backend.');
+        } finally {
+            setBusy('');
+        }
+    }
+
+    const selectable = plan ? plan.events.filter(importSelectable) : [];
+    const pickedCount = selectable.filter((ev) => picked[ev.key]).length;
+
+    return (
+        <section className="card" style={{ ...importHover.style }} {...importHover.handlers}>
+            <div className="card-header">
+                <div>
+                    <h2>Import calendar</h2>
+                    <span>
+                        Upload an .ics file or paste a feed URL. Re-importing is safe: booked meetings
+                        are kept and moved ones follow the calendar.
+                    </span>
+                </div>
+            </div>
+
+            <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', alignItems: 'center' }}>
+                <label className="button button-secondary" style={{ cursor: 'pointer' }}>
+                    Upload .ics
+                    <input
+                        type="file"
+                        accept=".ics,text/calendar"
+                        onChange={handleFile}
+                        style={{ display: 'none' }}
+                    />
+                </label>
+                <input
+                    className="input"
+                    type="text"
+                    placeholder="https://calendar.google.com/calendar/ical/.../basic.ics"
+                    value={feedUrl}
+                    onChange={(e) => setFeedUrl(e.target.value)}
+                    style={{
+                        flex: 1,
+                        minWidth: 220,
+                        borderRadius: 12,
+                        padding: '8px 12px',
+                        border: '1px solid rgba(229, 232, 242, 0.9)',
+                        background: 'rgba(255,255,255,0.72)',
+                    }}
+                />
+                <button
+                    className="button"
+                    type="button"
+                    disabled={busy !== '' || !feedUrl.trim()}
+                    onClick={() => preview({ url: feedUrl.trim() }, feedUrl.trim())}
+                >
+                    {busy === 'previewing' ? 'Reading...' : 'Preview'}
+                </button>
+            </div>
+
+            {error && <div style={{ fontSize: 12, color: '#b91c1c', marginTop: 8 }}>{error}</div>}
+            {notice && <div style={{ fontSize: 12, color: '#166534', marginTop: 8 }}>{notice}</div>}
+
+            {plan && (
+                <div style={{ display: 'flex', flexDirection: 'column', gap: 6, marginTop: 12 }}>
+                    <div style={{ fontSize: 13, fontWeight: 700 }}>
+                        {sourceLabel} · {plan.events.length} upcoming
+                    </div>
+                    {plan.events.length === 0 && (
+                        <div style={{ fontSize: 12, opacity: 0.7 }}>
+                            No events in the import window.
+                        </div>
+                    )}
+                    {plan.events.map((ev) => (
+                        <label
+                            key={ev.key}
+                            style={{
+                                display: 'flex',
+                                alignItems: 'center',
+                                gap: 10,
+                                padding: '6px 10px',
+                                borderRadius: 10,
+                                background: 'rgba(255,255,255,0.65)',
+                                opacity: importSelectable(ev) ? 1 : 0.55,
+                                fontSize: 13,
+                            }}
+                            title={ev.meetingUrl || ''}
+                        >
+                            <input
+                                type="checkbox"
+                                disabled={!importSelectable(ev)}
+                                checked={Boolean(picked[ev.key])}
+                                onChange={(e) =>
+                                    setPicked((prev) => ({ ...prev, [ev.key]: e.target.checked }))
+                                }
+                            />
+                            <span style={{ width: 120, color: '#6b7280' }}>{formatClock(ev.start)}</span>
+                            <span style={{ flex: 1, fontWeight: 600 }}>{ev.title}</span>
+                            <span style={{ fontSize: 12, color: '#6b7280' }}>
+                                {ev.platformLabel || ''}
+                            </span>
+                            <span className="badge-small">{IMPORT_STATUS_LABELS[ev.status] || ev.status}</span>
+                        </label>
+                    ))}
+                    {selectable.length > 0 && (
+                        <div style={{ display: 'flex', gap: 8, justifyContent: 'flex-end', marginTop: 4 }}>
+                            <button className="button button-secondary" type="button" onClick={() => setPlan(null)}>
+                                Discard
+                            </button>
+                            <button className="button" type="button" disabled={busy !== ''} onClick={runImport}>
+                                {busy === 'importing'
+                                    ? 'Importing...'
+                                    : `Import (${pickedCount} of ${selectable.length} selected)`}
+                            </button>
+                        </div>
+                    )}
+                </div>
+            )}
+        </section>
+    );
+}
+
+function BotDashboard({ activeBotId, onOpen, onBack }) {
+    const [bots, setBots] = useState([]);
+    const [jobs, setJobs] = useState([]); // scheduled bots (GET /api/schedule)
+    const [loaded, setLoaded] = useState(false);
+    const [error, setError] = useState('');
+    const [busy, setBusy] = useState({}); // botId -> 'ending' | 'summarizing'
+    const [refreshKey, setRefreshKey] = useState(0);
+    const dashboardHover = useHoverCard('strong');
+
+    // Poll the list; per-bot event streams would be one connection per meeting
+    useEffect(() => {
+        let cancelled = false;
+
+        async function loadBots() {
+            try {
+                const [res, scheduleRes] = await Promise.all([
+                    fetch(`${API_BASE}/api/bots`),
+                    fetch(`${API_BASE}/api/schedule`),
+                ]);
+                const data = await res.json().catch(() => ({}));
+                const schedule = await scheduleRes.json().catch(() => ({}));
+                if (cancelled) return;
+                if (!res.ok) {
+                    setError(data.error || 'Failed to load bots.');
+                    return;
+                }
+                setBots(Array.isArray(data.bots) ? data.bots : []);
+                // Upcoming, plus the last day's failures so a missed meeting doesn't go unnoticed
+                const failedSince = new Date(Date.now() - 24 * 3600 * 1000).toISOString();
+                setJobs(
+                    (Array.isArray(schedule.jobs) ? schedule.jobs : []).filter(
+                        (j) =>
+                            j.status === 'scheduled' ||
+                            (j.status === 'failed' && j.joinAt >= failedSince),
+                    ),
+                );
+                setError('');
+            } catch (err) {
+                if (!cancelled) {
+                    console.error('Error calling GET /api/bots:', err);
+                    setError('Could not reach backend.');
+                }
+            } finally {
+                if (!cancelled) setLoaded(true);
+            }
+        }
+
+        loadBots();
+        const id = setInterval(loadBots, DASHBOARD_POLL_MS);
+        return () => {
+            cancelled = true;
+            clearInterval(id);
+        };
+    }, [refreshKey]);
+
+    async function runAction(id, kind, path, failMessage) {
+        setBusy((prev) => ({ ...prev, [id]: kind }));
+        setError('');
+        try {
+            const res = await fetch(`${API_BASE}/api/bots/${id}/${path}`, {
+                method: 'POST',
+                headers: { 'content-type': 'application/json' },
+            });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok || data.error) {
+                console.error(`Dashboard ${path} failed:`, data);
+                setError(data.error || failMessage);
+            }
+        } catch (err) {
+            console.error(`Error calling /api/bots/:id/${path}:`, err);
+            setError(failMessage);
+        } finally {
+            setBusy((prev) => {
+                const next = { ...prev };
+                delete next[id];
+                return next;
+            });
+            setRefreshKey((k) => k + 1);
+        }
+    }
+
+    async function cancelJob(id) {
+        setBusy((prev) => ({ ...prev, [id]: 'cancelling' }));
+        setError('');
+        try {
+            const res = await fetch(`${API_BASE}/api/schedule/${id}`, { method: 'DELETE' });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok) {
+                console.error('Cancel scheduled bot failed:', data);
+                setError(data.error || 'Failed to cancel scheduled bot.');
+            }
+        } catch (err) {
+            console.error('Error calling DELETE /api/schedule/:id:', err);
+            setError('Failed to cancel scheduled bot.');
+        } finally {
+            setBusy((prev) => {
+                const next = { ...prev };
+                delete next[id];
+                return next;
+            });
+            setRefreshKey((k) => k + 1);
+        }
+    }
+
+    const activeCount = bots.filter((b) => statusInfo(b.status).tone !== 'finished').length;
+
+    return (
+        <div className="app-shell">
+            <header className="app-header">
+                <div className="app-title">
+                    <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+                        <Icon name="people" size={20} />
+                        <h1 style={{ margin: 0 }}>All meetings</h1>
+                    </div>
+                    <span>
+                        Every bot the backend knows about. Open one to watch it live, end it,
+                        or summarize it.
+                    </span>
+                </div>
+                <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+                    <button className="button" type="button" onClick={onBack} style={{ alignSelf: 'flex-end' }}>
+                        Back to console
+                    </button>
+                </div>
+            </header>
+
+            <section
+                className="card"
+                style={{ ...dashboardHover.style }}
+                {...dashboardHover.handlers}
+            >
+                <div className="card-header">
+                    <div>
+                        <h2>Bots</h2>
+                        <span>Refreshes every {DASHBOARD_POLL_MS / 1000}s.</span>
+                    </div>
+                    <span className="badge-small">
+                        {activeCount} active / {bots.length} total
+                    </span>
+                </div>
+
+                {error && (
+                    <div style={{ fontSize: 12, color: '#b91c1c', marginBottom: 8 }}>{error}</div>
+                )}
+
+                {loaded && !bots.length && !error && (
+                    <div style={{ opacity: 0.6, fontSize: 13 }}>
+                        No bots yet. Create one from the console.
+                    </div>
+                )}
+
+                {jobs.length > 0 && (
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: 8, marginBottom: 12 }}>
+                        <div style={{ fontSize: 13, fontWeight: 700 }}>Scheduled</div>
+                        {jobs.map((job) => (
+                            <div
+                                key={job.id}
+                                style={{
+                                    display: 'flex',
+                                    alignItems: 'center',
+                                    justifyContent: 'space-between',
+                                    gap: 12,
+                                    flexWrap: 'wrap',
+                                    padding: 12,
+                                    borderRadius: 12,
+                                    background: 'rgba(255,255,255,0.65)',
+                                    border: '1px dashed rgba(122, 90, 248, 0.5)',
+                                }}
+                            >
+                                <div style={{ display: 'flex', flexDirection: 'column', gap: 4, minWidth: 0 }}>
+                                    <div
+                                        style={{
+                                            fontSize: 13,
+                                            fontWeight: 600,
+                                            overflow: 'hidden',
+                                            textOverflow: 'ellipsis',
+                                            whiteSpace: 'nowrap',
+                                            maxWidth: 420,
+                                        }}
+                                        title={job.meetingUrl}
+                                    >
+                                        {job.source?.title || job.meetingUrl}
+                                    </div>
+                                    <div style={{ fontSize: 12, color: '#6b7280' }}>
+                                        Joins {formatClock(job.joinAt)}
+                                        {job.seriesName && <> · {job.seriesName}</>}
+                                        {' · '}
+                                        {job.mode === 'recall' ? 'scheduled with Recall' : 'held by this backend'}
+                                    </div>
+                                    {job.status === 'failed' && (
+                                        <div style={{ fontSize: 12, color: '#b91c1c' }}>
+                                            Failed to join: {job.error || 'unknown error'}
+                                        </div>
+                                    )}
+                                </div>
+                                {job.status === 'scheduled' && (
+                                    <button
+                                        className="button button-secondary"
+                                        type="button"
+                                        disabled={busy[job.id] === 'cancelling'}
+                                        onClick={() => cancelJob(job.id)}
+                                    >
+                                        {busy[job.id] === 'cancelling' ? 'Cancelling...' : 'Cancel'}
+                                    </button>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                <div style={{ display: 'flex', flexDirection: 'column', gap: 10 }}>
+                    {bots.map((b) => {
+                        const meta = statusInfo(b.status);
+                        const ended = meta.tone === 'finished';
+                        const balance = b.balance ? BALANCE_STYLES[b.balance.status] : null;
+                        const rowBusy = busy[b.id];
+                        const summarizing = rowBusy === 'summarizing' || b.summaryStatus === 'running';
+
+                        return (
+                            <div
+                                key={b.id}
+                                style={{
+                                    display: 'flex',
+                                    alignItems: 'center',
+                                    justifyContent: 'space-between',
+                                    gap: 12,
+                                    flexWrap: 'wrap',
+                                    padding: 12,
+                                    borderRadius: 12,
+                                    background: 'rgba(255,255,255,0.65)',
+                                    border:
+                                        b.id === activeBotId
+                                            ? '1px solid #7a5af8'
+                                            : '1px solid rgba(229, 232, 242, 0.9)',
+                                }}
+                            >
+                                <div style={{ display: 'flex', flexDirection: 'column', gap: 4, minWidth: 0 }}>
+                                    <div style={{ display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap' }}>
+                                        <BotStatusPill label={meta.label} tone={meta.tone} />
+                                        {balance && (
+                                            <span
+                                                title={(b.balance.reasons || []).join('; ')}
+                                                style={{
+                                                    background: balance.background,
+                                                    color: balance.color,
+                                                    fontSize: 11,
+                                                    fontWeight: 600,
+                                                    padding: '2px 8px',
+                                                    borderRadius: 999,
+                                                }}
+                                            >
+                                                {balance.label}
+                                            </span>
+                                        )}
+                                        {b.summaryStatus === 'running' && (
+                                            <span className="badge-small">Summarizing...</span>
+                                        )}
+                                    </div>
+                                    <div
+                                        style={{
+                                            fontSize: 13,
+                                            fontWeight: 600,
+                                            overflow: 'hidden',
+                                            textOverflow: 'ellipsis',
+                                            whiteSpace: 'nowrap',
+                                            maxWidth: 420,
+                                        }}
+                                        title={b.meetingUrl || b.id}
+                                    >
+                                        {b.meetingUrl || `Bot ${b.id.slice(0, 8)}`}
+                                    </div>
+                                    {b.series && b.series.name !== b.meetingUrl && (
+                                        <div style={{ fontSize: 12, color: '#475569' }}>
+                                            Series: {b.series.name}
+                                        </div>
+                                    )}
+                                    {b.statusReason && (
+                                        <div
+                                            style={{
+                                                fontSize: 12,
+                                                color: meta.tone === 'error' ? '#b91c1c' : '#6b7280',
+                                            }}
+                                        >
+                                            {b.statusReason}
+                                        </div>
+                                    )}
+                                    <div style={{ fontSize: 12, color: '#6b7280' }}>
+                                        {b.platformLabel && <>{b.platformLabel} · </>}
+                                        Started {formatClock(b.createdAt) || 'unknown'}
+                                        {b.endedAt && <> · Ended {formatClock(b.endedAt)}</>}
+                                        {' · '}
+                                        {ended
+                                            ? `${b.participantCount} participants`
+                                            : `${b.inCallCount}/${b.participantCount} in call`}
+                                        {' · '}
+                                        {b.transcriptCount} turns
+                                    </div>
+                                </div>
+
+                                <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
+                                    <button
+                                        className="button button-secondary"
+                                        type="button"
+                                        onClick={() => onOpen(b.id, 'live')}
+                                    >
+                                        Open
+                                    </button>
+                                    {b.hasSummary && (
+                                        <button
+                                            className="button button-secondary"
+                                            type="button"
+                                            onClick={() => onOpen(b.id, 'summary')}
+                                        >
+                                            <Icon name="doc" />
+                                            View summary
+                                        </button>
+                                    )}
+                                    <button
+                                        className="button button-secondary"
+                                        type="button"
+                                        disabled={summarizing || !b.transcriptCount}
+                                        onClick={() =>
+                                            runAction(b.id, 'summarizing', 'summary', 'Failed to generate summary.')
+                                        }
+                                    >
+                                        {summarizing ? 'Summarizing...' : b.hasSummary ? 'Re-summarize' : 'Summarize'}
+                                    </button>
+                                    {!ended && (
+                                        <button
+                                            className="button"
+                                            type="button"
+                                            disabled={rowBusy === 'ending'}
+                                            onClick={() => runAction(b.id, 'ending', 'stop', 'Failed to stop bot.')}
+                                        >
+                                            <Icon name="stop" />
+                                            {rowBusy === 'ending' ? 'Ending...' : 'End'}
+                                        </button>
+                                    )}
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+            </section>
+
+            <CalendarImport onImported={() => setRefreshKey((k) => k + 1)} />
+        </div>
+    );
+}
+
+/* ---------- Meeting series trends ---------- */
+
+const percent = (v) => `${Math.round(v)}%`;
+
+function SeriesTrends({ onOpen, onBack }) {
+    const [seriesList, setSeriesList] = useState([]);
+    const [seriesId, setSeriesId] = useState('');
+    const [trends, setTrends] = useState(null);
+    const [loaded, setLoaded] = useState(false);
+    const [error, setError] = useState('');
+    const trendsHover = useHoverCard('strong');
+
+    useEffect(() => {
+        let cancelled = false;
+        (async () => {
+            try {
+                const res = await fetch(`${API_BASE}/api/series`);
+                const data = await res.json().catch(() => ({}));
+                if (cancelled) return;
+                if (!res.ok) {
+                    setError(data.error || 'Failed to load meeting series.');
+                    return;
+                }
+                const list = Array.isArray(data.series) ? data.series : [];
+                setSeriesList(list);
+                setSeriesId((current) => current || list[0]?.id || '');
+            } catch (err) {
+                if (!cancelled) {
+                    console.error('Error calling GET /api/series:', err);
+                    setError('Could not reach backend.');
+                }
+            } finally {
+                if (!cancelled) setLoaded(true);
+            }
+        })();
+        return () => {
+            cancelled = true;
+        };
+    }, []);
+
+    useEffect(() => {
+        if (!seriesId) return undefined;
+        let cancelled = false;
+        (async () => {
+            try {
+                const res = await fetch(
+                    `${API_BASE}/api/series/${encodeURIComponent(seriesId)}/trends`,
+                );
+                const data = await res.json().catch(() => ({}));
+                if (cancelled) return;
+                if (!res.ok) {
+                    setError(data.error || 'Failed to load trends.');
+                    return;
+                }
+                setTrends(data);
+                setError('');
+            } catch (err) {
+                if (!cancelled) {
+                    console.error('Error calling GET /api/series/:id/trends:', err);
+                    setError('Could not reach backend.');
+                }
+            }
+        })();
+        return () => {
+            cancelled = true;
+        };
+    }, [seriesId]);
+
+    const meetings = trends?.meetings || [];
+    const people = trends?.people || [];
+    const colorMap = useMemo(() => {
+        const map = {};
+        (trends?.people || []).forEach((name, idx) => {
+            map[name] = PIE_COLORS[idx % PIE_COLORS.length];
+        });
+        return map;
+    }, [trends]);
+
+    // One row per meeting; people who weren't there are gaps, not zeros
+    const label = (m) => formatClock(m.date) || m.botId.slice(0, 8);
+    const shareData = meetings.map((m) => {
+        const row = { label: label(m) };
+        people.forEach((name) => {
+            row[name] = m.people[name] ? m.people[name].share * 100 : null;
+        });
+        return row;
+    });
+    const interruptionData = meetings.map((m) => {
+        const row = { label: label(m) };
+        people.forEach((name) => {
+            row[name] = m.people[name] ? m.people[name].interruptions : null;
+        });
+        return row;
+    });
+    const silenceData = meetings.map((m) => ({
+        label: label(m),
+        Silence: Number.isFinite(m.silenceRatio) ? m.silenceRatio * 100 : null,
+    }));
+
+    const chartCard = (title, caption, chart) => (
+        <div
+            style={{
+                padding: 14,
+                borderRadius: 12,
+                background: 'rgba(255,255,255,0.65)',
+                border: '1px solid rgba(229, 232, 242, 0.9)',
+                display: 'flex',
+                flexDirection: 'column',
+                gap: 6,
+            }}
+        >
+            <div style={{ fontSize: 15, fontWeight: 700 }}>{title}</div>
+            <div style={{ fontSize: 12, color: '#6b7280' }}>{caption}</div>
+            {chart}
+        </div>
+    );
+
+    return (
+        <div className="app-shell">
+            <header className="app-header">
+                <div className="app-title">
+                    <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+                        <Icon name="timeline" size={20} />
+                        <h1 style={{ margin: 0 }}>Trends</h1>
+                    </div>
+                    <span>
+                        How participation changes across a recurring meeting. Meetings are
+                        grouped by series name, or by meeting link when unnamed.
+                    </span>
+                </div>
+                <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+                    <button className="button" type="button" onClick={onBack} style={{ alignSelf: 'flex-end' }}>
+                        Back to console
+                    </button>
+                </div>
+            </header>
+
+            <section
+                className="card"
+                style={{ ...trendsHover.style }}
+                {...trendsHover.handlers}
+            >
+                <div className="card-header">
+                    <div>
+                        <h2>Meeting series</h2>
+                        <span>
+                            {meetings.length
+                                ? `${meetings.length} meetings with participation data`
+                                : 'Pick a series to compare its meetings.'}
+                        </span>
+                    </div>
+                    {seriesList.length > 0 && (
+                        <select
+                            value={seriesId}
+                            onChange={(e) => setSeriesId(e.target.value)}
+                            style={{ fontSize: 13, borderRadius: 8, padding: '4px 6px', maxWidth: 320 }}
+                        >
+                            {seriesList.map((s) => (
+                                <option key={s.id} value={s.id}>
+                                    {s.name} ({s.meetings})
+                                </option>
+                            ))}
+                        </select>
+                    )}
+                </div>
+
+                {error && (
+                    <div style={{ fontSize: 12, color: '#b91c1c', marginBottom: 8 }}>{error}</div>
+                )}
+
+                {loaded && !seriesList.length && !error && (
+                    <div style={{ opacity: 0.6, fontSize: 13 }}>
+                        No meetings yet. Give bots a series name when creating them to group
+                        recurring meetings.
+                    </div>
+                )}
+
+                {trends && (
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: 12 }}>
+                        {chartCard(
+                            'Speaking share',
+                            'Share of words per person in each meeting.',
+                            <TrendChart
+                                data={shareData}
+                                keys={people}
+                                colorMap={colorMap}
+                                valueFormatter={percent}
+                                domain={[0, 100]}
+                            />,
+                        )}
+                        {chartCard(
+                            'Interruptions',
+                            'Times each person talked over someone else.',
+                            <TrendChart data={interruptionData} keys={people} colorMap={colorMap} />,
+                        )}
+                        {chartCard(
+                            'Silence ratio',
+                            'Share of the call spent in silence.',
+                            <TrendChart
+                                data={silenceData}
+                                keys={['Silence']}
+                                valueFormatter={percent}
+                                domain={[0, 100]}
+                            />,
+                        )}
+
+                        <div style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
+                            {[...meetings].reverse().map((m) => {
+                                const balance = m.balanceStatus ? BALANCE_STYLES[m.balanceStatus] : null;
+                                return (
+                                    <div
+                                        key={m.botId}
+                                        style={{
+                                            display: 'flex',
+                                            alignItems: 'center',
+                                            justifyContent: 'space-between',
+                                            gap: 8,
+                                            fontSize: 12,
+                                        }}
+                                    >
+                                        <span>
+                                            {formatClock(m.date) || m.botId.slice(0, 8)}
+                                            {Number.isFinite(m.durationSec) &&
+                                                ` · ${formatTimeSec(m.durationSec)}`}
+                                            {' · '}
+                                            {Object.keys(m.people).length} speakers
+                                        </span>
+                                        <span style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+                                            {balance && (
+                                                <span
+                                                    style={{
+                                                        background: balance.background,
+                                                        color: balance.color,
+                                                        fontSize: 11,
+                                                        fontWeight: 600,
+                                                        padding: '2px 8px',
+                                                        borderRadius: 999,
+                                                    }}
+                                                >
+                                                    {balance.label}
+                                                </span>
+                                            )}
+                                            <button
+                                                className="button button-secondary"
+                                                type="button"
+                                                onClick={() => onOpen(m.botId, 'summary')}
+                                            >
+                                                Open
+                                            </button>
+                                        </span>
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    </div>
+                )}
+            </section>
+        </div>
+    );
+}
+
+/* ---------- Coach Toast ---------- */
 
 function CoachToast({ message, onClose }) {
     return (
@@ -0,0 +1,159 @@
+// src/ConversationGraph.jsx
+import { useId } from 'react';
+
+const SIZE = 240;
+const CENTER = SIZE / 2;
+const RADIUS = 78;
+const NODE_R = 9;
+
+// Point `dist` along the line from `from` towards `to`.
+function towards(from, to, dist) {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const len = Math.hypot(dx, dy) || 1;
+    return { x: from.x + (dx / len) * dist, y: from.y + (dy / len) * dist };
+}
+
+function shortName(name) {
+    return name.length > 14 ? `${name.slice(0, 13)}…` : name;
+}
+
+/*
+  transitions: participation.turnTransitions
+    { matrix: { from: { to: { count, avgLatencySec } } }, neverRespondedTo: [name] }
+  An arrow A -> B means B spoke right after A.
+*/
+export default function ConversationGraph({ transitions, colorMap }) {
+    const markerId = useId();
+    const matrix = transitions?.matrix || {};
+    const neverRespondedTo = transitions?.neverRespondedTo || [];
+    const names = [
+        ...new Set([
+            ...Object.keys(matrix),
+            ...Object.values(matrix).flatMap((targets) => Object.keys(targets)),
+            ...neverRespondedTo,
+        ]),
+    ];
+
+    if (names.length < 2) {
+        return (
+            <div style={{ fontSize: 12, opacity: 0.7 }}>
+                No hand-offs between speakers yet.
+            </div>
+        );
+    }
+
+    const positions = {};
+    names.forEach((name, idx) => {
+        const angle = (2 * Math.PI * idx) / names.length - Math.PI / 2;
+        positions[name] = {
+            x: CENTER + RADIUS * Math.cos(angle),
+            y: CENTER + RADIUS * Math.sin(angle),
+            cos: Math.cos(angle),
+            sin: Math.sin(angle),
+        };
+    });
+
+    const edges = Object.entries(matrix).flatMap(([from, targets]) =>
+        Object.entries(targets).map(([to, stat]) => ({ from, to, ...stat })),
+    );
+    const maxCount = Math.max(1, ...edges.map((e) => e.count));
+    const unanswered = new Set(neverRespondedTo);
+
+    return (
+        <div
+            style={{
+                display: 'flex',
+                flexDirection: 'column',
+                alignItems: 'center',
+                gap: 6,
+            }}
+        >
+            <svg
+                viewBox={`0 0 ${SIZE} ${SIZE}`}
+                style={{ width: '100%', maxWidth: 280, height: 'auto', overflow: 'visible' }}
+            >
+                <defs>
+                    <marker
+                        id={markerId}
+                        viewBox="0 0 10 10"
+                        refX="8"
+                        refY="5"
+                        markerWidth="5"
+                        markerHeight="5"
+                        orient="auto-start-reverse"
+                    >
+                        <path d="M 0 0 L 10 5 L 0 10 z" fill="#64748b" />
+                    </marker>
+                </defs>
+
+                {edges.map((e) => {
+                    const a = positions[e.from];
+                    const b = positions[e.to];
+                    // Bend each direction to its own side so A->B and B->A stay apart.
+                    const ctrl = {
+                        x: (a.x + b.x) / 2 - (b.y - a.y) * 0.2,
+                        y: (a.y + b.y) / 2 + (b.x - a.x) * 0.2,
+                    };
+                    const start = towards(a, ctrl, NODE_R + 2);
+                    const end = towards(b, ctrl, NODE_R + 3);
+                    const latency = Number.isFinite(e.avgLatencySec)
+                        ? `, avg ${e.avgLatencySec.toFixed(1)}s to respond`
+                        : '';
+                    return (
+                        <path
+                            key={`${e.from}->${e.to}`}
+                            d={`M ${start.x} ${start.y} Q ${ctrl.x} ${ctrl.y} ${end.x} ${end.y}`}
+                            fill="none"
+                            stroke={colorMap?.[e.to] || '#7a5af8'}
+                            strokeOpacity={0.6}
+                            strokeWidth={1 + (4 * e.count) / maxCount}
+                            strokeLinecap="round"
+                            markerEnd={`url(#${markerId})`}
+                        >
+                            <title>{`${e.to} after ${e.from}: ${e.count}×${latency}`}</title>
+                        </path>
+                    );
+                })}
+
+                {names.map((name) => {
+                    const p = positions[name];
+                    const anchor = p.cos > 0.3 ? 'start' : p.cos < -0.3 ? 'end' : 'middle';
+                    return (
+                        <g key={name}>
+                            <circle
+                                cx={p.x}
+                                cy={p.y}
+                                r={NODE_R}
+                                fill={colorMap?.[name] || '#7a5af8'}
+                                stroke={unanswered.has(name) ? '#ef4444' : '#ffffff'}
+                                strokeWidth={2}
+                                strokeDasharray={unanswered.has(name) ? '3 2' : undefined}
+                            >
+                                <title>{name}</title>
+                            </circle>
+                            <text
+                                x={p.x + p.cos * (NODE_R + 6)}
+                                y={p.y + p.sin * (NODE_R + 6) + (p.sin > 0.3 ? 8 : p.sin < -0.3 ? -2 : 4)}
+                                textAnchor={anchor}
+                                fontSize={10}
+                                fill="#334155"
+                            >
+                                {shortName(name)}
+                            </text>
+                        </g>
+                    );
+                })}
+            </svg>
+
+            <div style={{ fontSize: 12, color: '#64748b', textAlign: 'center' }}>
+                Arrows point to who spoke next; thicker means more often.
+            </div>
+            {neverRespondedTo.length > 0 && (
+                <div style={{ fontSize: 12, color: '#b91c1c', textAlign: 'center' }}>
+                    Nobody picked up after: {neverRespondedTo.join(', ')}
+                </div>
+            )}
+        </div>
+    );
+}
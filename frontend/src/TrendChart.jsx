@@ -0,0 +1,76 @@
+// src/TrendChart.jsx
+import {
+    LineChart,
+    Line,
+    XAxis,
+    YAxis,
+    CartesianGrid,
+    Tooltip,
+    Legend,
+    ResponsiveContainer,
+} from 'recharts';
+
+const COLORS = [
+    '#7a5af8',
+    '#5fc4e8',
+    '#f59e0b',
+    '#10b981',
+    '#ef4444',
+    '#6f86d6',
+    '#ec4899',
+    '#8aa0d6',
+];
+
+/*
+  data: [{ label, [key]: number | null }] one row per meeting, oldest first
+  keys: line names (people, or a single metric)
+*/
+export default function TrendChart({ data, keys, colorMap, valueFormatter, domain }) {
+    if (!data || data.length === 0 || !keys || keys.length === 0) {
+        return (
+            <div style={{ fontSize: 12, opacity: 0.7 }}>
+                No meetings with participation data yet.
+            </div>
+        );
+    }
+
+    const format = typeof valueFormatter === 'function' ? valueFormatter : (v) => v;
+
+    return (
+        <div style={{ width: '100%', height: 220 }}>
+            <ResponsiveContainer>
+                <LineChart data={data} margin={{ top: 8, right: 16, bottom: 0, left: -8 }}>
+                    <CartesianGrid stroke="rgba(148,163,184,0.25)" strokeDasharray="3 3" />
+                    <XAxis dataKey="label" tick={{ fontSize: 11, fill: '#64748b' }} />
+                    <YAxis
+                        tick={{ fontSize: 11, fill: '#64748b' }}
+                        tickFormatter={format}
+                        domain={domain || [0, 'auto']}
+                        allowDecimals={false}
+                    />
+                    <Tooltip
+                        formatter={(value) => format(value)}
+                        contentStyle={{
+                            background: 'rgba(255,255,255,0.9)',
+                            border: '1px solid rgba(229,232,242,0.9)',
+                            borderRadius: 12,
+                            fontSize: 12,
+                        }}
+                    />
+                    <Legend wrapperStyle={{ fontSize: 12 }} />
+                    {keys.map((key, idx) => (
+                        <Line
+                            key={key}
+                            type="monotone"
+                            dataKey={key}
+                            stroke={colorMap?.[key] || COLORS[idx % COLORS.length]}
+                            strokeWidth={2}
+                            dot={{ r: 3 }}
+                            connectNulls
+                        />
+                    ))}
+                </LineChart>
+            </ResponsiveContainer>
+        </div>
+    );
+}